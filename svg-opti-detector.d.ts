@@ -0,0 +1,856 @@
+// Type definitions for svg-opti-detector
+
+import type { Config as SvgoConfig } from 'svgo';
+
+export type { SvgoConfig };
+
+export interface SvgAttributes {
+  class: string | null;
+  id: string | null;
+  width: string | null;
+  height: string | null;
+  viewBox: string | null;
+}
+
+export interface SvgLocation {
+  line: number | null;
+  column: number | null;
+  startOffset: number | null;
+  endOffset: number | null;
+  domPath: string | null;
+  /** Path relative to the working directory, for SVGs from a directory scan */
+  file?: string;
+}
+
+/** The document around an inline SVG, for the accessibility audit */
+export interface AccessibilityContext {
+  /** Tag name of the enclosing link or button */
+  control: string | null;
+  /** Whether the enclosing link or button has a text alternative besides the SVG */
+  controlHasText: boolean;
+  /** aria-labelledby/aria-describedby ids that are not in the document */
+  missingReferences: Partial<Record<'aria-labelledby' | 'aria-describedby', string[]>>;
+}
+
+export interface ExtractedSvg {
+  html: string;
+  attributes: SvgAttributes;
+  location: SvgLocation | null;
+  /** Inside another <svg>, whose analysis covers it */
+  nested?: boolean;
+  /** With the accessibility option: the page around the SVG; for JSX components, whose surrounding markup is unknown, without a control or missing references */
+  accessibility?: AccessibilityContext;
+  /** With render: whether the SVG was in the server HTML or added on the client */
+  origin?: 'server' | 'client';
+}
+
+/** What the extractors pick up; accessibility adds the page context auditAccessibility needs */
+export interface ExtractOptions {
+  ignore?: string[];
+  accessibility?: boolean;
+}
+
+export interface SvgStat {
+  index: number;
+  originalSize: number;
+  optimizedSize: number;
+  /** null when SVGO failed to optimize the SVG */
+  optimizedHtml: string | null;
+  hash: string;
+  isDuplicate: boolean;
+  /** Why SVGO failed to optimize the SVG */
+  error: string | null;
+  /** Set by verify when optimizing changes how the SVG renders; sizes then stay the original */
+  unsafe?: boolean;
+}
+
+/** Worker threads running SVGO, from createWorkerPool() */
+export interface WorkerPool {
+  size: number;
+  optimize(markup: string): Promise<Omit<SvgStat, 'index' | 'isDuplicate'>>;
+  close(): Promise<void>;
+}
+
+/** Runs SVGO in worker threads; without a pool, concurrency above 1 starts one for the call */
+export interface ConcurrencyOptions {
+  concurrency?: number;
+  pool?: WorkerPool;
+}
+
+/** optimizeSvg() results by hashSvg() hash, then by markup (a promise while in flight); only valid for one SVGO configuration */
+export type SvgCache = Map<string, Map<string, Omit<SvgStat, 'index' | 'isDuplicate'> | Promise<Omit<SvgStat, 'index' | 'isDuplicate'>>>>;
+
+export interface SvgAnalysis {
+  totalOriginalSize: number;
+  totalOptimizedSize: number;
+  svgStats: SvgStat[];
+  /** Indices of every duplicate SVG, by hash */
+  duplicates: Record<string, number[]>;
+}
+
+export interface DuplicateGroup {
+  hash: string;
+  indices: number[];
+  classes: Array<string | null>;
+  locations: Array<SvgLocation | null>;
+  occurrences: number;
+  duplicateCount: number;
+  originalSavings: number;
+  optimizedSavings: number;
+}
+
+export interface DuplicateSummary {
+  groups: DuplicateGroup[];
+  duplicateGroupCount: number;
+  totalDuplicates: number;
+  deduplicationOnly: { totalSize: number; savings: number };
+  deduplicationAndOptimization: { totalSize: number; savings: number };
+  combinedSavings: number;
+  combinedSavingsPercent: number;
+}
+
+export interface CompressedSize {
+  gzip: number;
+  brotli: number;
+}
+
+export interface CompressedScenario extends CompressedSize {
+  savings: CompressedSize;
+}
+
+/** A page's HTML: raw, gzip and brotli sizes */
+export interface PageTransferSize extends CompressedSize {
+  size: number;
+}
+
+export interface TransferSizes {
+  svgs: Array<{ index: number; original: CompressedSize; optimized: CompressedSize }>;
+  /** Every SVG's markup compressed together */
+  totals: { original: CompressedSize; optimized: CompressedSize };
+  deduplicationOnly: CompressedScenario;
+  deduplicationAndOptimization: CompressedScenario;
+  /** The whole page before and after --fix and --extract-sprite --fix; null without the page HTML */
+  page: {
+    original: PageTransferSize;
+    optimized: PageTransferSize;
+    deduplicatedAndOptimized: PageTransferSize;
+  } | null;
+}
+
+export type SavingsCause =
+  | 'editor-metadata'
+  | 'comments'
+  | 'xml-prolog'
+  | 'precision'
+  | 'groups'
+  | 'defaults'
+  | 'dimensions'
+  | 'styles'
+  | 'unused-content'
+  | 'shapes'
+  | 'whitespace'
+  | 'other';
+
+export interface SavingsBreakdown {
+  /** Size after running the plugins one at a time; may differ from optimizedSize by a few bytes */
+  optimizedSize: number;
+  savings: number;
+  /** Largest first. "serialization" stands for what SVGO saves before any plugin runs */
+  causes: Array<{ cause: SavingsCause; label: string; savings: number; plugins: Array<{ name: string; savings: number }> }>;
+}
+
+export interface SavingsExplanations {
+  svgs: Array<SavingsBreakdown & { index: number; location: SvgLocation | null }>;
+  /** Every cause summed over all SVGs, largest first */
+  causes: Array<{ cause: SavingsCause; label: string; savings: number; svgCount: number }>;
+}
+
+/** RGBA pixels, as rasterizeSvg() returns them */
+export interface RasterImage {
+  width: number;
+  height: number;
+  pixels: Uint8Array | Uint8ClampedArray;
+}
+
+export interface RenderingVerification {
+  /** Share of the pixels (0-1) that may differ */
+  tolerance: number;
+  /** Width in pixels both versions are rendered at */
+  size: number;
+  svgs: Array<{
+    index: number;
+    location: SvgLocation | null;
+    status: 'unchanged' | 'changed' | 'error';
+    /** Share of the pixels that differ; null when rendering failed */
+    difference: number | null;
+    error?: string;
+  }>;
+}
+
+export interface VerifyOptions {
+  tolerance?: number;
+  size?: number;
+  /** Stands in for the resvg renderer */
+  rasterize?: (markup: string, width: number) => Promise<RasterImage>;
+}
+
+export type NearDuplicateDifference = 'color' | 'size' | 'ids' | 'shape';
+
+export interface NearDuplicateGroup {
+  indices: number[];
+  locations: Array<SvgLocation | null>;
+  similarity: number;
+  differences: NearDuplicateDifference[];
+  members: Array<{ index: number; similarity: number; differences: NearDuplicateDifference[] }>;
+  optimizedSavings: number;
+}
+
+export type AccessibilityRule =
+  | 'svg-a11y-missing-name'
+  | 'svg-a11y-role-img-without-name'
+  | 'svg-a11y-decorative-not-hidden'
+  | 'svg-a11y-focusable'
+  | 'svg-a11y-broken-reference'
+  | 'svg-a11y-stripped-by-svgo';
+
+export interface AccessibilityFinding {
+  rule: AccessibilityRule;
+  severity: 'error' | 'warning' | 'note';
+  message: string;
+}
+
+export interface AccessibilityEntry {
+  index: number;
+  location: SvgLocation | null;
+  findings: AccessibilityFinding[];
+}
+
+export interface IdCollision {
+  id: string;
+  /** SVGs defining the id, in document order */
+  indices: number[];
+  locations: Array<SvgLocation | null>;
+  /** SVGs that reference their own definition but get the first one */
+  misresolved: number[];
+}
+
+export interface IdConflicts {
+  collisions: IdCollision[];
+  /** url(#id) and href="#id" pointing at ids no SVG defines */
+  brokenReferences: Array<{ index: number; location: SvgLocation | null; ids: string[] }>;
+  /** Ids the SVGO config renames or removes */
+  renamedIds: Array<{ index: number; location: SvgLocation | null; ids: string[]; referencedElsewhere: string[] }>;
+  /** Ids defined in several SVGs after optimization */
+  optimizedCollisions: Array<{ id: string; indices: number[] }>;
+}
+
+export type SecuritySeverity = 'low' | 'medium' | 'high';
+
+export type SecurityRule =
+  | 'svg-security-script'
+  | 'svg-security-event-handler'
+  | 'svg-security-javascript-url'
+  | 'svg-security-foreign-object'
+  | 'svg-security-external-resource'
+  | 'svg-security-base64-payload';
+
+export interface SecurityFinding {
+  rule: SecurityRule;
+  severity: SecuritySeverity;
+  message: string;
+}
+
+export interface SecurityEntry {
+  index: number;
+  location: SvgLocation | null;
+  findings: SecurityFinding[];
+}
+
+export interface CanonicalizeOptions {
+  ignoreIds?: boolean;
+  ignoreColors?: boolean;
+  ignoreSize?: boolean;
+  precision?: number;
+}
+
+export interface Budgets {
+  maxTotalBytes: number | null;
+  maxSvgBytes: number | null;
+  maxSavingsPercent: number | null;
+  maxDuplicateGroups: number | null;
+  highSavingsPercent: number;
+  moderateSavingsPercent: number;
+}
+
+export interface BudgetBreach {
+  budget: keyof Budgets;
+  limit: number;
+  actual: number;
+  /** The SVG that breached the budget, null for page-level budgets */
+  index: number | null;
+  message: string;
+  /** The page, for site analyses */
+  page?: string;
+}
+
+export interface ExternalSvgReference {
+  type: 'img' | 'object' | 'embed' | 'link' | 'use' | 'style-attribute' | 'style-block';
+  url: string;
+  line: number | null;
+  column: number | null;
+}
+
+export interface ExternalSvgAnalysis {
+  resources: Array<{
+    url: string;
+    references: ExternalSvgReference[];
+    attributes: SvgAttributes;
+    originalSize: number;
+    optimizedSize: number;
+    hash: string;
+  }>;
+  unresolved: Array<ExternalSvgReference & { reason: string }>;
+  totalOriginalSize: number;
+  totalOptimizedSize: number;
+}
+
+export interface ComparedSvg {
+  index: number;
+  hash: string;
+  attributes: SvgAttributes;
+  location: SvgLocation | null;
+  originalSize: number;
+  optimizedSize: number;
+}
+
+export interface Comparison {
+  baseline: { source: string; summary: JsonReport['summary'] };
+  summary: {
+    addedCount: number;
+    removedCount: number;
+    grownCount: number;
+    newDuplicateGroupCount: number;
+    totalOriginalSizeDelta: number;
+    totalOptimizedSizeDelta: number;
+    /** Change in the bytes SVGO could still remove */
+    unoptimizedSizeDelta: number;
+  };
+  added: ComparedSvg[];
+  removed: ComparedSvg[];
+  grown: SizeChange[];
+  newDuplicateGroups: DuplicateGroup[];
+}
+
+export interface SizeChange {
+  baseline: ComparedSvg;
+  current: ComparedSvg;
+  originalSizeDelta: number;
+  optimizedSizeDelta: number;
+}
+
+/** What changed between two runs, as watch mode reports it */
+export interface ReportDelta {
+  added: ComparedSvg[];
+  removed: ComparedSvg[];
+  resized: SizeChange[];
+  newDuplicateGroups: DuplicateGroup[];
+  /** Groups of the previous run, with its indices */
+  removedDuplicateGroups: DuplicateGroup[];
+  totalOriginalSizeDelta: number;
+  totalOptimizedSizeDelta: number;
+}
+
+export interface WatchChange {
+  /** Changed paths, relative to the working directory */
+  files: string[];
+  run: PageAnalysisResult;
+  delta: ReportDelta;
+  /** SVGs that were not in the cache and went through SVGO */
+  optimizedSvgCount: number;
+}
+
+export interface WatchOptions extends AnalyzeOptions {
+  /** The run the first change is compared with; analyzed when left out */
+  previous?: PageAnalysisResult;
+  onChange?: (change: WatchChange) => void;
+  onError?: (error: Error) => void;
+}
+
+export interface Watcher {
+  close(): Promise<void>;
+}
+
+export interface PageAnalysis {
+  input: string;
+  depth: number;
+  svgs: ExtractedSvg[];
+  result: SvgAnalysis | null;
+  error: string | null;
+}
+
+export interface SiteStats {
+  pageCount: number;
+  failedPageCount: number;
+  totalOriginalSize: number;
+  totalOptimizedSize: number;
+  pages: Array<{ input: string; error: string | null; svgCount: number; totalOriginalSize: number; totalOptimizedSize: number }>;
+  svgs: Array<{
+    hash: string;
+    attributes: SvgAttributes;
+    originalSize: number;
+    optimizedSize: number;
+    occurrences: number;
+    pages: string[];
+    pageCount: number;
+    reuseSavings: number;
+  }>;
+  spriteCandidates: SiteStats['svgs'];
+}
+
+/** The configuration file format (svg-opti-detector.config.{js,json}) */
+export interface Config {
+  svgo?: {
+    multipass?: boolean;
+    plugins?: SvgoConfig['plugins'];
+    /** false disables a plugin, an object sets its params */
+    overrides?: Record<string, false | true | Record<string, unknown>>;
+  };
+  budgets?: Partial<Budgets>;
+  /** CSS selectors of SVGs to leave out */
+  ignore?: string[];
+  options?: Partial<Pick<AnalyzeOptions,
+    'external' | 'baseUrl' | 'include' | 'exclude' | 'respectGitignore' | 'crawl' | 'maxDepth' | 'maxPages' | 'ignoreIds' | 'ignoreColors' | 'nearDuplicates' | 'similarity' | 'accessibility' | 'idConflicts' | 'security' | 'render' | 'waitFor' | 'compressed' | 'explain' | 'concurrency' | 'verify' | 'verifyTolerance'
+    | 'headers' | 'cookieFile' | 'proxy' | 'userAgent' | 'timeout' | 'retries' | 'maxRedirects'
+  > & { showDuplicates: boolean; sortBySavings: boolean; format: OutputFormat; failOnSecurity: SecuritySeverity }>;
+}
+
+export interface LoadedConfig extends Config {
+  /** The file the configuration came from, null when none was found */
+  source: string | null;
+}
+
+export interface ActiveConfig {
+  source: string | null;
+  svgo: SvgoConfig;
+  budgets: Budgets;
+  ignore: string[];
+}
+
+export type OutputFormat = 'text' | 'json' | 'sarif';
+
+export interface Progress {
+  processed: number;
+  total: number;
+}
+
+export interface LoggingOptions {
+  log?: (...messages: unknown[]) => void;
+  warn?: (message: string) => void;
+  onProgress?: (progress: Progress) => void;
+}
+
+/** How pages, sitemaps and external SVGs are fetched over HTTP */
+export interface HttpOptions {
+  /** Sent with requests to the input's origin; they win over the defaults */
+  headers?: Record<string, string>;
+  /** "user:password" for basic authentication, only sent to the input's origin */
+  auth?: string;
+  /** Bearer token, only sent to the input's origin */
+  bearerToken?: string;
+  /** A Netscape cookies.txt file, or one "name=value; name2=value2" line */
+  cookieFile?: string;
+  /** HTTP(S) proxy URL; needs undici */
+  proxy?: string;
+  userAgent?: string;
+  /** Milliseconds per attempt, 0 for none (default 30000) */
+  timeout?: number;
+  /** Attempts after the first for network errors, timeouts and 408, 425, 429 and 5xx statuses (default 2) */
+  retries?: number;
+  /** Milliseconds before the first retry, doubling after each (default 500); Retry-After up to maxRetryAfter wins */
+  retryDelay?: number;
+  /** Longest Retry-After to wait for in milliseconds (default 60000); longer ones fall back to retryDelay */
+  maxRetryAfter?: number;
+  /** Redirects to follow per request (default 5) */
+  maxRedirects?: number;
+  /** Origins that get auth, bearerToken, headers and cookies without a domain (default: the origins of the URL inputs) */
+  credentialOrigins?: string[];
+}
+
+export interface Cookie {
+  /** null for cookies sent to the input's origin */
+  domain: string | null;
+  includeSubdomains: boolean;
+  path: string;
+  secure: boolean;
+  /** Unix time in seconds, 0 for session cookies */
+  expires: number;
+  name: string;
+  value: string;
+}
+
+export interface AnalyzeOptions extends LoggingOptions, ConcurrencyOptions, HttpOptions {
+  /** A configuration as returned by loadConfig() */
+  config?: Config;
+  /** A JSON report to compare against, as returned by loadBaseline() */
+  baseline?: JsonReport | null;
+  svgoConfig?: SvgoConfig;
+  ignore?: string[];
+  budgets?: Partial<Budgets>;
+  /** Markup to analyze instead of reading the input */
+  html?: string | Uint8Array;
+  /** Name reported as the source; its extension picks the extraction (.html, .jsx, .vue, .svg, ...) */
+  label?: string;
+  /** Stream read for the '-' input, process.stdin by default */
+  stdin?: AsyncIterable<string | Uint8Array>;
+  /** Also analyze SVG files the page references */
+  external?: boolean;
+  baseUrl?: string;
+  /** Directory scans */
+  include?: string[];
+  exclude?: string[];
+  respectGitignore?: boolean;
+  /** Site analysis */
+  crawl?: boolean;
+  sitemap?: string;
+  maxDepth?: number;
+  maxPages?: number;
+  /** Count SVGs that differ only in their ids as duplicates */
+  ignoreIds?: boolean;
+  /** Count SVGs that differ only in their colors as duplicates */
+  ignoreColors?: boolean;
+  nearDuplicates?: boolean;
+  similarity?: number;
+  /** Audit inline SVGs for accessibility problems */
+  accessibility?: boolean;
+  /** Report id collisions and broken references between inline SVGs */
+  idConflicts?: boolean;
+  /** Scan inline SVGs for scripts, event handlers and other risky content */
+  security?: boolean;
+  /** Also measure gzip and brotli sizes of the SVGs and the page */
+  compressed?: boolean;
+  /** Credit each SVG's savings to causes by running the SVGO plugins one at a time */
+  explain?: boolean;
+  /** Render each SVG before and after SVGO (needs @resvg/resvg-wasm) and leave out the ones that change */
+  verify?: boolean;
+  /** With verify, the share of pixels (0-1) that may differ (default 0.01) */
+  verifyTolerance?: number;
+  /** With verify, stands in for the resvg renderer */
+  rasterize?: VerifyOptions['rasterize'];
+  /** Load a single page in a headless browser */
+  render?: boolean;
+  /** With render, a CSS selector to wait for instead of network idle */
+  waitFor?: string;
+  /** With render, milliseconds to wait for the page (default 30000) */
+  renderTimeout?: number;
+  /** With render, resolves to the browser to use; the default launches puppeteer */
+  launchBrowser?: () => Promise<HeadlessBrowser>;
+  /** SVGs optimized by an earlier run, reused instead of optimized again */
+  cache?: SvgCache;
+  /** SVGs extracted from each scanned file by an earlier run, by absolute path */
+  fileCache?: Map<string, ExtractedSvg[]>;
+}
+
+/** The part of a puppeteer Browser that render uses */
+export interface HeadlessBrowser {
+  newPage(): Promise<{
+    goto(url: string, options?: { waitUntil?: string; timeout?: number }): Promise<unknown>;
+    waitForSelector(selector: string, options?: { timeout?: number }): Promise<unknown>;
+    content(): Promise<string>;
+  }>;
+  close(): Promise<void>;
+}
+
+export interface RenderSummary {
+  waitFor: string | null;
+  serverSvgs: number;
+  clientSvgs: number;
+}
+
+interface AnalysisBase {
+  source: string;
+  budgets: Budgets;
+  breaches: BudgetBreach[];
+  config: ActiveConfig;
+}
+
+export interface PageAnalysisResult extends AnalysisBase {
+  mode: 'page' | 'scan';
+  /** null for directory scans */
+  html: string | null;
+  svgs: ExtractedSvg[];
+  analysis: SvgAnalysis;
+  duplicates: DuplicateSummary;
+  nearDuplicates: NearDuplicateGroup[] | null;
+  accessibility: AccessibilityEntry[] | null;
+  idConflicts: IdConflicts | null;
+  security: SecurityEntry[] | null;
+  transferSizes: TransferSizes | null;
+  explanations: SavingsExplanations | null;
+  verification: RenderingVerification | null;
+  render: RenderSummary | null;
+  external: ExternalSvgAnalysis | null;
+  comparison: Comparison | null;
+}
+
+export interface SiteAnalysisResult extends AnalysisBase {
+  mode: 'site';
+  pages: PageAnalysis[];
+  site: SiteStats;
+}
+
+export type AnalysisResult = PageAnalysisResult | SiteAnalysisResult;
+
+export interface JsonReport {
+  schemaVersion: number;
+  tool: { name: string; version: string };
+  source: string;
+  summary: {
+    totalSvgs: number;
+    totalOriginalSize: number;
+    totalOptimizedSize: number;
+    totalSavings: number;
+    totalSavingsPercent: number;
+    compressed?: TransferSizes['totals'];
+    page?: NonNullable<TransferSizes['page']>;
+  };
+  svgs: Array<{
+    index: number;
+    attributes: SvgAttributes;
+    location: SvgLocation | null;
+    hash: string;
+    originalSize: number;
+    optimizedSize: number;
+    savings: number;
+    savingsPercent: number;
+    isDuplicate: boolean;
+    unsafe?: true;
+    compressed?: { original: CompressedSize; optimized: CompressedSize };
+    origin?: 'server' | 'client';
+  }>;
+  duplicates: DuplicateGroup[];
+  deduplication: {
+    duplicateGroupCount: number;
+    totalDuplicates: number;
+    scenarios: {
+      deduplicationOnly: DuplicateSummary['deduplicationOnly'] & { compressed?: CompressedScenario };
+      deduplicationAndOptimization: DuplicateSummary['deduplicationAndOptimization'] & { compressed?: CompressedScenario };
+    };
+    combinedSavings: number;
+    combinedSavingsPercent: number;
+  };
+  budgets: { limits: Budgets; breaches: BudgetBreach[] };
+  nearDuplicates?: NearDuplicateGroup[];
+  accessibility?: AccessibilityEntry[];
+  idConflicts?: IdConflicts;
+  security?: SecurityEntry[];
+  explanations?: SavingsExplanations;
+  verification?: RenderingVerification;
+  render?: RenderSummary;
+  external?: ExternalSvgAnalysis;
+  config?: ActiveConfig;
+  comparison?: Comparison;
+}
+
+export interface SiteJsonReport {
+  schemaVersion: number;
+  tool: { name: string; version: string };
+  site: Omit<SiteStats, 'pages' | 'spriteCandidates'> & { spriteCandidates: string[] };
+  pages: Array<JsonReport | { source: string; error: string }>;
+  config?: ActiveConfig;
+}
+
+/** A SARIF 2.1.0 log */
+export interface SarifReport {
+  $schema: string;
+  version: '2.1.0';
+  runs: Array<Record<string, any>>;
+}
+
+export interface ReportExtras {
+  external?: ExternalSvgAnalysis | null;
+  nearDuplicates?: NearDuplicateGroup[] | null;
+  accessibility?: AccessibilityEntry[] | null;
+  idConflicts?: IdConflicts | null;
+  security?: SecurityEntry[] | null;
+  transferSizes?: TransferSizes | null;
+  explanations?: SavingsExplanations | null;
+  verification?: RenderingVerification | null;
+  render?: RenderSummary | null;
+  comparison?: Comparison | null;
+  config?: ActiveConfig | null;
+}
+
+export interface RewriteResult {
+  html: string;
+  changedIndices: number[];
+  originalSize: number;
+  fixedSize: number;
+}
+
+export interface SanitizeResult extends RewriteResult {
+  /** Indices are those of the SVGs in the sanitized HTML */
+  removed: Array<SecurityFinding & { index: number }>;
+}
+
+export interface SpriteResult extends RewriteResult {
+  sprite: string | null;
+  symbols: Array<{ id: string; hash: string; indices: number[]; markup: string }>;
+  spriteSize: number;
+}
+
+export function analyze(input: string | string[] | Uint8Array | null, options?: AnalyzeOptions): Promise<AnalysisResult>;
+export function buildReport(run: PageAnalysisResult, format?: 'json'): JsonReport;
+export function buildReport(run: SiteAnalysisResult, format?: 'json'): SiteJsonReport;
+export function buildReport(run: AnalysisResult, format: 'sarif'): SarifReport;
+
+export function fetchHtml(
+  input: string,
+  options?: HttpOptions & { log?: LoggingOptions['log']; stdin?: AsyncIterable<string | Uint8Array> }
+): Promise<string>;
+export function fetchUrl(url: string, options?: HttpOptions): Promise<string>;
+export function parseCookieFile(content: string): Cookie[];
+export function detectCharset(bytes: Uint8Array, contentType?: string | null): string;
+export function decodeMarkup(markup: string | Uint8Array, label?: string): string;
+export function renderHtml(
+  input: string,
+  options?: Pick<AnalyzeOptions, 'waitFor' | 'renderTimeout' | 'launchBrowser' | 'log'>
+): Promise<string>;
+export function markSvgOrigins(renderedSvgs: ExtractedSvg[], serverSvgs: ExtractedSvg[]): ExtractedSvg[];
+export function extractInlineSvgs(html: string, options?: ExtractOptions): ExtractedSvg[];
+export function extractJsxSvgs(source: string, options?: ExtractOptions): ExtractedSvg[];
+export function extractSvgFile(source: string, options?: ExtractOptions): ExtractedSvg[];
+export function extractSvgsFromSource(source: string, filePath?: string, options?: ExtractOptions): ExtractedSvg[];
+export function extractSvgsFromFiles(files: string[], options?: ExtractOptions & { cache?: Map<string, ExtractedSvg[]> }): ExtractedSvg[];
+export function maskTemplateSyntax(source: string): string;
+export function scanFiles(inputs: string[], options?: { include?: string[]; exclude?: string[]; respectGitignore?: boolean }): string[];
+export function isScanInput(input: string): boolean;
+export function isRewritableInput(input: string, label?: string): boolean;
+
+export function hashSvg(svg: string, options?: CanonicalizeOptions): string;
+export function canonicalizeSvg(svg: string, options?: CanonicalizeOptions): string;
+export function svgSimilarity(a: string, b: string): number;
+export function processSvgBatch(
+  svgs: Array<Pick<ExtractedSvg, 'html'>>,
+  startIndex: number,
+  options?: { svgoConfig?: SvgoConfig; canonicalize?: CanonicalizeOptions; warn?: LoggingOptions['warn'] }
+): Promise<SvgStat[]>;
+export function analyzeSvgs(
+  svgs: Array<Pick<ExtractedSvg, 'html'>>,
+  options?: { svgoConfig?: SvgoConfig; canonicalize?: CanonicalizeOptions; cache?: SvgCache } & ConcurrencyOptions & Pick<LoggingOptions, 'warn' | 'onProgress'>
+): Promise<SvgAnalysis>;
+export function optimizeSvg(markup: string, config?: SvgoConfig, canonicalize?: CanonicalizeOptions): Omit<SvgStat, 'index' | 'isDuplicate'>;
+export function createWorkerPool(size: number, options?: { svgoConfig?: SvgoConfig; canonicalize?: CanonicalizeOptions }): WorkerPool;
+export function summarizeDuplicates(svgs: ExtractedSvg[], result: SvgAnalysis): DuplicateSummary;
+export function compressedSize(content: string): CompressedSize;
+export function expandSvgoPlugins(config: SvgoConfig): NonNullable<SvgoConfig['plugins']>;
+export function explainSvgSavings(markup: string, options?: { svgoConfig?: SvgoConfig }): SavingsBreakdown;
+export function explainSavings(svgs: ExtractedSvg[], result: SvgAnalysis, options?: { svgoConfig?: SvgoConfig }): SavingsExplanations;
+export function measureTransferSizes(svgs: ExtractedSvg[], result: SvgAnalysis, html?: string | null): TransferSizes;
+export function rasterizeSvg(markup: string, width?: number): Promise<RasterImage>;
+export function toStandaloneSvg(markup: string): string;
+export function comparePixels(a: RasterImage, b: RasterImage): number;
+export function verifyRendering(svgs: ExtractedSvg[], result: SvgAnalysis, options?: VerifyOptions): Promise<RenderingVerification>;
+export function excludeUnsafeOptimizations(result: SvgAnalysis, verification: RenderingVerification): SvgAnalysis;
+export function findNearDuplicates(svgs: ExtractedSvg[], result: SvgAnalysis, options?: { threshold?: number }): NearDuplicateGroup[];
+export function auditAccessibility(svgs: ExtractedSvg[], result: SvgAnalysis): AccessibilityEntry[];
+export function findIdConflicts(svgs: ExtractedSvg[], result: SvgAnalysis): IdConflicts;
+export function scanSvgSecurity(svgs: ExtractedSvg[]): SecurityEntry[];
+
+export function generateIdentifierString(attributes: SvgAttributes): string;
+export function getDomPath(element: unknown): string;
+export function formatLocation(location: SvgLocation | null): string;
+export function formatBytes(bytes: number): string;
+
+export function buildJsonReport(input: string, svgs: ExtractedSvg[], result: SvgAnalysis, budgets?: Budgets, extras?: ReportExtras): JsonReport;
+export function buildSarifReport(input: string, svgs: ExtractedSvg[], result: SvgAnalysis, budgets?: Budgets, extras?: ReportExtras): SarifReport;
+export function loadBaseline(file: string): JsonReport;
+export function compareReports(baseline: JsonReport, current: JsonReport): Comparison;
+export function diffReports(previous: JsonReport, current: JsonReport): ReportDelta;
+export function watchInputs(input: string | string[], options?: WatchOptions): Promise<Watcher>;
+export function buildHtmlReport(
+  input: string,
+  svgs: ExtractedSvg[],
+  result: SvgAnalysis,
+  options?: { budgets?: Budgets; generatedAt?: string }
+): string;
+export function checkBudgets(svgs: ExtractedSvg[], result: SvgAnalysis, budgets?: Budgets): BudgetBreach[];
+
+/** applied: the replacements spliced in, by offset, without those nested in an earlier one */
+export function replaceSvgMarkup<R extends { startOffset: number; endOffset: number; html: string }>(
+  html: string,
+  replacements: R[]
+): { html: string; applied: R[] };
+export function rewriteHtmlWithOptimizedSvgs(html: string, svgs: ExtractedSvg[], result: SvgAnalysis): RewriteResult;
+export function sanitizeSvg(markup: string): { markup: string; removed: SecurityFinding[] };
+export function sanitizeHtmlSvgs(html: string): SanitizeResult;
+export function prefixSvgIds(markup: string, prefix: string, options?: { keep?: Set<string> }): string;
+export function rewriteHtmlWithPrefixedIds(
+  html: string,
+  svgs: ExtractedSvg[],
+  result: SvgAnalysis,
+  options?: { optimize?: boolean }
+): RewriteResult;
+export function extractSvgSprite(
+  html: string,
+  svgs: ExtractedSvg[],
+  result: SvgAnalysis,
+  options?: { spriteHref?: string; optimize?: boolean }
+): SpriteResult;
+export function runRewrite(
+  input: string,
+  html: string,
+  svgs: ExtractedSvg[],
+  result: SvgAnalysis,
+  options?: { optimize?: boolean; extractSprite?: boolean; spriteFile?: string; prefixIds?: boolean; sanitize?: boolean; dryRun?: boolean; outFile?: string; label?: string; log?: LoggingOptions['log'] }
+): (RewriteResult | SpriteResult) & { sanitized?: Array<SecurityFinding & { index: number | null }> };
+export function writeOptimizedSvgFiles(
+  svgs: ExtractedSvg[],
+  result: SvgAnalysis,
+  options: { outDir: string; inputs?: string[]; dryRun?: boolean; log?: LoggingOptions['log'] }
+): {
+  /** Paths relative to the working directory */
+  files: Array<{ index: number; source: string; target: string; originalSize: number; optimizedSize: number; optimized: boolean }>;
+};
+
+export function extractExternalSvgRefs(html: string): ExternalSvgReference[];
+export function resolveSvgReference(
+  reference: string,
+  input: string | null,
+  options?: { baseUrl?: string; baseHref?: string }
+): { resolved: string; error?: undefined } | { resolved?: undefined; error: string };
+export function analyzeExternalSvgs(
+  html: string,
+  input: string | null,
+  options?: { baseUrl?: string; svgoConfig?: SvgoConfig; fetchHtml?: typeof fetchHtml } & ConcurrencyOptions & HttpOptions & Pick<LoggingOptions, 'warn' | 'onProgress'>
+): Promise<ExternalSvgAnalysis>;
+
+export function extractLinks(html: string, pageUrl: string): string[];
+export function parseSitemap(xml: string): { isIndex: boolean; urls: string[] };
+export function fetchSitemapUrls(sitemap: string, options?: { fetchHtml?: typeof fetchHtml } & HttpOptions): Promise<string[]>;
+export function crawlPages(
+  inputs: string[],
+  options?: {
+    followLinks?: boolean;
+    maxDepth?: number;
+    maxPages?: number;
+    svgoConfig?: SvgoConfig;
+    ignore?: string[];
+    fetchHtml?: typeof fetchHtml;
+  } & ConcurrencyOptions & HttpOptions & LoggingOptions
+): Promise<PageAnalysis[]>;
+export function aggregateSiteStats(pages: PageAnalysis[]): SiteStats;
+export function printSiteReport(pages: PageAnalysis[], options?: { limit?: number; log?: LoggingOptions['log'] }): SiteStats;
+export function buildSiteJsonReport(pages: PageAnalysis[], budgets?: Budgets, config?: ActiveConfig | null): SiteJsonReport;
+export function buildSiteSarifReport(pages: PageAnalysis[], budgets?: Budgets, config?: ActiveConfig | null): SarifReport;
+
+export function parseByteSize(value: string): number;
+export function loadConfig(options?: { cwd?: string; configPath?: string }): LoadedConfig;
+export function resolveSvgoConfig(config?: Config): SvgoConfig;
+export function parseCliArgs(args: string[], config?: Config): Record<string, any>;
+export function getRunMode(options: { inputs: string[]; crawl?: boolean; sitemap?: string }): 'page' | 'scan' | 'site';
+/** Runs the command line with process.argv */
+export function main(): Promise<void>;
+
+export const REPORT_SCHEMA_VERSION: number;
+export const DEFAULT_BUDGETS: Readonly<Budgets>;
+export const EXIT_CODES: Readonly<{ SUCCESS: 0; USAGE: 1; ERROR: 2; BUDGET_EXCEEDED: 3; SECURITY_FINDINGS: 4 }>;
@@ -3,8 +3,15 @@
 const cheerio = require('cheerio');
 const { optimize } = require('svgo');
 const crypto = require('crypto');
+const zlib = require('zlib');
+const { createTwoFilesPatch } = require('diff');
+const picomatch = require('picomatch');
+const ignore = require('ignore');
 const fs = require('fs');
 const path = require('path');
+const { pathToFileURL, fileURLToPath } = require('url');
+const { Worker } = require('worker_threads');
+const { setTimeout: sleep } = require('timers/promises');
 
 // Chalk fallback implementation
 let chalk;
@@ -35,387 +42,5556 @@ const svgoConfig = {
   ]
 };
 
-console.log(chalk.blue.bold('🔍 SVG Opti Detector script started.\n'));
+const { version } = require('./package.json');
 
-async function fetchHtml(input) {
-  // Improved detection: treat anything not starting with http:// or https:// as a file
-  if (/^https?:\/\//i.test(input)) {
-    const response = await fetch(input);
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+// Version of the --format json/sarif output. Bump whenever a field is renamed,
+// removed or changes meaning so CI consumers can detect incompatible reports.
+// Version 2: hash is the hash of the canonical markup (see canonicalizeSvg).
+const REPORT_SCHEMA_VERSION = 2;
+
+const OUTPUT_FORMATS = ['text', 'json', 'sarif'];
+
+// Process exit codes, so CI can tell a failed budget from a broken run
+const EXIT_CODES = {
+  SUCCESS: 0,
+  USAGE: 1,
+  ERROR: 2,
+  BUDGET_EXCEEDED: 3,
+  SECURITY_FINDINGS: 4
+};
+
+// Budgets default to unlimited (null). The savings thresholds drive the
+// red/yellow status colors and the SARIF result level.
+const DEFAULT_BUDGETS = {
+  maxTotalBytes: null,
+  maxSvgBytes: null,
+  maxSavingsPercent: null,
+  maxDuplicateGroups: null,
+  highSavingsPercent: 20,
+  moderateSavingsPercent: 10
+};
+
+function toPosixPath(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+function isUrl(input) {
+  return /^https?:\/\//i.test(input);
+}
+
+// Support file:// and direct file paths
+function toFilePath(input) {
+  let filePath = input;
+  if (filePath.startsWith('file://')) {
+    filePath = filePath.replace('file://', '');
+  }
+  return path.resolve(filePath);
+}
+
+// Defaults for fetching pages, sitemaps and external SVGs over HTTP. timeout is in
+// milliseconds per attempt (0 for none); retries back off from retryDelay, doubling,
+// or wait as long as Retry-After asks when that is no more than maxRetryAfter.
+const DEFAULT_HTTP_OPTIONS = {
+  timeout: 30000,
+  retries: 2,
+  retryDelay: 500,
+  maxRetryAfter: 60000,
+  maxRedirects: 5
+};
+
+const DEFAULT_USER_AGENT = `svg-opti-detector/${version} (+https://github.com/bobharing/svg-opti-detector)`;
+
+// Statuses the server may recover from, worth another attempt
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+// Cookies from a file in the Netscape format curl and browser extensions export, or
+// a "name=value; name2=value2" line sent to the input's origin
+function parseCookieFile(content) {
+  const cookies = [];
+  
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim().replace(/^#HttpOnly_/, '');
+    if (!line || line.startsWith('#')) continue;
+    
+    const fields = line.split('\t');
+    if (fields.length >= 7) {
+      const [domain, includeSubdomains, cookiePath, secure, expires, name] = fields;
+      cookies.push({
+        domain: domain.replace(/^\./, '').toLowerCase(),
+        includeSubdomains: includeSubdomains.toUpperCase() === 'TRUE',
+        path: cookiePath || '/',
+        secure: secure.toUpperCase() === 'TRUE',
+        expires: Number(expires) || 0,
+        name,
+        value: fields.slice(6).join('\t')
+      });
+      continue;
+    }
+    
+    line.split(';').map(pair => pair.trim()).forEach(pair => {
+      const separator = pair.indexOf('=');
+      if (separator > 0) {
+        cookies.push({ domain: null, includeSubdomains: true, path: '/', secure: false, expires: 0, name: pair.slice(0, separator).trim(), value: pair.slice(separator + 1).trim() });
+      }
+    });
+  }
+  
+  return cookies;
+}
+
+// The Cookie header for a URL: cookies for its host (or a parent domain that
+// includes subdomains) and path, secure ones only over https, none expired
+function cookieHeaderFor(cookies, url) {
+  const { hostname, pathname, protocol } = new URL(url);
+  const now = Date.now() / 1000;
+  
+  return cookies
+    .filter(cookie => cookie.domain === null || hostname === cookie.domain || 
+      (cookie.includeSubdomains && hostname.endsWith(`.${cookie.domain}`)))
+    .filter(cookie => pathname.startsWith(cookie.path))
+    .filter(cookie => !cookie.secure || protocol === 'https:')
+    .filter(cookie => !(cookie.expires > 0 && cookie.expires < now))
+    .map(cookie => `${cookie.name}=${cookie.value}`)
+    .join('; ');
+}
+
+// The charset of a response: from Content-Type, a byte order mark, a <meta> or
+// XML declaration in the first 1024 bytes, or UTF-8
+function detectCharset(bytes, contentType) {
+  const declared = /charset\s*=\s*["']?([^"';\s]+)/i.exec(contentType || '');
+  if (declared) return declared[1].toLowerCase();
+  
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return 'utf-8';
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return 'utf-16be';
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return 'utf-16le';
+  
+  const head = Buffer.from(bytes.subarray(0, 1024)).toString('latin1');
+  const meta = /<meta\s[^>]*charset\s*=\s*["']?\s*([\w.:-]+)/i.exec(head) || 
+    /<\?xml\s[^>]*encoding\s*=\s*["']([\w.:-]+)/i.exec(head);
+  return meta ? meta[1].toLowerCase() : 'utf-8';
+}
+
+function decodeBody(bytes, contentType, url) {
+  const charset = detectCharset(bytes, contentType);
+  let decoder;
+  try {
+    decoder = new TextDecoder(charset);
+  } catch (error) {
+    throw new Error(`Could not decode ${url}: unsupported charset "${charset}"`);
+  }
+  return decoder.decode(bytes);
+}
+
+// "ECONNREFUSED" rather than fetch's generic "fetch failed"
+function describeFetchError(error) {
+  const cause = error.cause;
+  if (cause) {
+    return cause.code ? `${cause.code}${cause.message && !cause.message.includes(cause.code) ? ` (${cause.message})` : ''}` : cause.message;
+  }
+  return error.message;
+}
+
+// Seconds or an HTTP date, as milliseconds from now; null when absent or invalid
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const delay = /^\d+$/.test(value.trim()) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+  return Number.isFinite(delay) ? Math.max(delay, 0) : null;
+}
+
+const proxyFetches = new Map();
+
+// undici is an optional peer dependency, only loaded for --proxy; one agent per
+// proxy so connections are reused across a crawl
+function getProxyFetch(proxy) {
+  if (!proxyFetches.has(proxy)) {
+    let undici;
+    try {
+      undici = require('undici');
+    } catch (error) {
+      throw new Error('--proxy needs undici, which is not installed. Install it with: pnpm add undici');
+    }
+    let dispatcher;
+    try {
+      dispatcher = new undici.ProxyAgent(proxy);
+    } catch (error) {
+      throw new Error(`Invalid proxy "${proxy}": ${error.message}`);
+    }
+    proxyFetches.set(proxy, (url, init) => undici.fetch(url, { ...init, dispatcher }));
+  }
+  return proxyFetches.get(proxy);
+}
+
+// Headers for one request. Credentials from options.auth and options.bearerToken,
+// cookies without a domain and options.headers only go to the origins in
+// credentialOrigins, not to other hosts a redirect, a sitemap or a page leads to.
+function buildRequestHeaders(url, credentialOrigins, options, cookies) {
+  const headers = { 'user-agent': options.userAgent || DEFAULT_USER_AGENT };
+  const trusted = credentialOrigins.includes(new URL(url).origin);
+  if (trusted) {
+    if (options.auth) {
+      headers.authorization = `Basic ${Buffer.from(options.auth).toString('base64')}`;
+    } else if (options.bearerToken) {
+      headers.authorization = `Bearer ${options.bearerToken}`;
+    }
+  }
+  const scopedCookies = trusted ? cookies : cookies.filter(cookie => cookie.domain !== null);
+  const cookie = scopedCookies.length > 0 ? cookieHeaderFor(scopedCookies, url) : '';
+  if (cookie) {
+    headers.cookie = cookie;
+  }
+  if (trusted) {
+    Object.entries(options.headers || {}).forEach(([name, value]) => {
+      headers[name.toLowerCase()] = value;
+    });
+  }
+  return headers;
+}
+
+// Frees the connection of a response whose body is not read
+function discardBody(response) {
+  if (response.body) {
+    response.body.cancel().catch(() => {});
+  }
+}
+
+// One request, sent again after network errors, timeouts and retryable statuses
+async function sendWithRetries(url, init, settings) {
+  for (let attempt = 1; ; attempt++) {
+    const attemptNote = settings.retries > 0 ? ` (attempt ${attempt} of ${settings.retries + 1})` : '';
+    let response = null;
+    let failure;
+    
+    try {
+      response = await settings.fetch(url, {
+        ...init,
+        redirect: 'manual',
+        ...(settings.timeout > 0 ? { signal: AbortSignal.timeout(settings.timeout) } : {})
+      });
+      if (!RETRYABLE_STATUSES.has(response.status)) {
+        return response;
+      }
+      failure = `HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''} from ${url}`;
+      discardBody(response);
+    } catch (error) {
+      failure = error.name === 'TimeoutError' 
+        ? `Timed out after ${settings.timeout}ms waiting for ${url}` 
+        : `Could not connect to ${url}: ${describeFetchError(error)}`;
+    }
+    
+    if (attempt > settings.retries) {
+      throw new Error(`${failure}${attemptNote}`);
+    }
+    // A server asking for hours is not waited for; the usual backoff is used instead
+    const retryAfter = response ? parseRetryAfter(response.headers.get('retry-after')) : null;
+    await sleep(retryAfter !== null && retryAfter <= settings.maxRetryAfter ? retryAfter : settings.retryDelay * 2 ** (attempt - 1));
+  }
+}
+
+// Fetches a URL as text. options.headers (an object), options.auth ("user:password",
+// sent as basic auth), options.bearerToken, options.cookieFile, options.userAgent and
+// options.proxy shape the requests; credentials, cookies without a domain and the
+// headers only go to options.credentialOrigins (by default the origin of url).
+// options.timeout, options.retries, options.retryDelay, options.maxRetryAfter and
+// options.maxRedirects default to DEFAULT_HTTP_OPTIONS. The body is decoded with the charset the response declares. Errors say which step
+// (cookie file, proxy, connection, timeout, redirect, status, decoding) failed.
+async function fetchUrl(url, options = {}) {
+  const setting = key => options[key] !== undefined && options[key] !== null ? options[key] : DEFAULT_HTTP_OPTIONS[key];
+  const settings = {
+    fetch: options.proxy ? getProxyFetch(options.proxy) : fetch,
+    timeout: setting('timeout'),
+    retries: setting('retries'),
+    retryDelay: setting('retryDelay'),
+    maxRetryAfter: setting('maxRetryAfter'),
+    maxRedirects: setting('maxRedirects')
+  };
+  const credentialOrigins = options.credentialOrigins || [new URL(url).origin];
+  
+  let cookies = [];
+  if (options.cookieFile) {
+    try {
+      cookies = parseCookieFile(fs.readFileSync(options.cookieFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read cookie file ${options.cookieFile}: ${error.message}`);
+    }
+  }
+  
+  let current = url;
+  let response;
+  for (let redirects = 0; ; redirects++) {
+    response = await sendWithRetries(current, { headers: buildRequestHeaders(current, credentialOrigins, options, cookies) }, settings);
+    if (!REDIRECT_STATUSES.has(response.status)) break;
+    discardBody(response);
+    
+    const location = response.headers.get('location');
+    if (!location) {
+      throw new Error(`Redirect (HTTP ${response.status}) from ${current} has no Location header`);
+    }
+    if (redirects >= settings.maxRedirects) {
+      throw new Error(`Too many redirects fetching ${url} (more than ${settings.maxRedirects}, last to ${new URL(location, current).href})`);
     }
-    return await response.text();
+    current = new URL(location, current).href;
+  }
+  
+  if (!response.ok) {
+    const hint = response.status === 401 || response.status === 403 ? ' (see --auth, --bearer and --cookie-file)' : '';
+    throw new Error(`HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''} from ${current}${hint}`);
+  }
+  
+  let bytes;
+  try {
+    bytes = new Uint8Array(await response.arrayBuffer());
+  } catch (error) {
+    throw new Error(error.name === 'TimeoutError' 
+      ? `Timed out after ${settings.timeout}ms reading ${current}` 
+      : `Could not read the response from ${current}: ${describeFetchError(error)}`);
+  }
+  return decodeBody(bytes, response.headers.get('content-type'), current);
+}
+
+// The input that reads the page from standard input, and how reports name it
+const STDIN_INPUT = '-';
+const STDIN_LABEL = '<stdin>';
+
+// How reports name markup handed to analyze() directly, without a label
+const INLINE_LABEL = '<html>';
+
+// Markup given as a string or a Buffer. Buffers are decoded with the charset their
+// byte order mark, <meta> or XML declaration names, as HTTP bodies without one.
+function decodeMarkup(markup, label = INLINE_LABEL) {
+  return Buffer.isBuffer(markup) || markup instanceof Uint8Array 
+    ? decodeBody(markup, null, label) 
+    : String(markup);
+}
+
+// Where references in markup without a file of its own (standard input, or markup
+// handed to analyze()) are resolved from: options.baseUrl, the path options.label
+// names, or the working directory. null when there is none of these.
+function markupLocation(input, options = {}) {
+  if (input && input !== STDIN_INPUT) {
+    return input;
+  }
+  if (options.baseUrl && isUrl(options.baseUrl)) {
+    return options.baseUrl;
+  }
+  if (options.label) {
+    return options.label;
+  }
+  try {
+    return path.join(process.cwd(), STDIN_LABEL);
+  } catch (error) {
+    // The working directory was removed
+    return null;
+  }
+}
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return decodeMarkup(Buffer.concat(chunks), STDIN_LABEL);
+}
+
+// Reads a page, sitemap or SVG from a URL (see fetchUrl for the HTTP options), a
+// local file, or standard input ("-", or options.stdin in its place)
+async function fetchHtml(input, options = {}) {
+  const log = options.log || (() => {});
+  
+  if (input === STDIN_INPUT) {
+    log(chalk.green('Reading from standard input'));
+    return readStream(options.stdin || process.stdin);
+  }
+
+  // Improved detection: treat anything not starting with http:// or https:// as a file
+  if (isUrl(input)) {
+    return fetchUrl(input, options);
   } else {
-    // Support file:// and direct file paths
-    let filePath = input;
-    if (filePath.startsWith('file://')) {
-      filePath = filePath.replace('file://', '');
+    const filePath = toFilePath(input);
+    log(chalk.green('Reading local file:'), filePath);
+    return fs.readFileSync(filePath, 'utf8');
+  }
+}
+
+const DEFAULT_RENDER_TIMEOUT = 30000;
+
+// puppeteer is an optional peer dependency, only loaded for --render
+function launchHeadlessBrowser() {
+  let puppeteer;
+  try {
+    puppeteer = require('puppeteer');
+  } catch (error) {
+    throw new Error('--render needs puppeteer, which is not installed. Install it with: pnpm add puppeteer');
+  }
+  return puppeteer.launch({ headless: true });
+}
+
+// The live DOM of a page after its scripts ran. Waits for options.waitFor (a CSS
+// selector) when given, for the network to go idle otherwise. options.launchBrowser
+// resolves to a puppeteer-compatible browser; the default launches puppeteer.
+async function renderHtml(input, options = {}) {
+  const log = options.log || (() => {});
+  const timeout = options.renderTimeout || DEFAULT_RENDER_TIMEOUT;
+  const url = isUrl(input) ? input : pathToFileURL(toFilePath(input)).href;
+  const browser = await (options.launchBrowser || launchHeadlessBrowser)();
+  
+  try {
+    const page = await browser.newPage();
+    log(chalk.green('Rendering in a headless browser:'), url);
+    await page.goto(url, { waitUntil: options.waitFor ? 'load' : 'networkidle0', timeout });
+    if (options.waitFor) {
+      await page.waitForSelector(options.waitFor, { timeout });
+    }
+    return await page.content();
+  } finally {
+    await browser.close();
+  }
+}
+
+// Builds a CSS-selector-like path such as "body > header > nav > a.logo > svg".
+// :nth-of-type() is only added when same-tag siblings would otherwise make the
+// segment ambiguous.
+function getDomPath(el) {
+  const segments = [];
+  
+  for (let node = el; node && node.type === 'tag'; node = node.parent) {
+    if (node.name === 'html') break;
+    
+    let segment = node.name;
+    const id = node.attribs && node.attribs.id;
+    const classes = node.attribs && node.attribs.class 
+      ? node.attribs.class.trim().split(/\s+/).filter(Boolean) 
+      : [];
+    
+    if (id) {
+      segment += `#${id}`;
+    } else {
+      if (classes.length > 0) {
+        segment += `.${classes.join('.')}`;
+      }
+      const siblings = node.parent && node.parent.children 
+        ? node.parent.children.filter(child => child.type === 'tag' && child.name === node.name) 
+        : [];
+      if (siblings.length > 1) {
+        segment += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+      }
+    }
+    
+    segments.unshift(segment);
+  }
+  
+  return segments.join(' > ');
+}
+
+// options.ignore: CSS selectors; SVGs matching one, or inside a matching element, are
+// skipped. options.accessibility adds the page context auditAccessibility needs.
+function extractInlineSvgs(html, options = {}) {
+  const $ = cheerio.load(html, {
+    // Performance optimization: Disable unnecessary parsing features
+    xmlMode: false,
+    decodeEntities: false,
+    lowerCaseAttributeNames: false,
+    // Line/column and offsets of every element in the source HTML
+    sourceCodeLocationInfo: true
+  });
+  
+  const svgs = [];
+  const svgElements = $('svg');
+  const ignoreSelector = options.ignore && options.ignore.length > 0 ? options.ignore.join(', ') : null;
+  const documentIds = options.accessibility 
+    ? new Set($('[id]').map((_, node) => node.attribs.id).get()) 
+    : null;
+  
+  // Performance optimization: Use faster iteration
+  for (let i = 0; i < svgElements.length; i++) {
+    const el = svgElements[i];
+    const $el = $(el);
+    if (ignoreSelector && $el.closest(ignoreSelector).length > 0) continue;
+    const svgHtml = $.html(el);
+    
+    // Extract identifying attributes
+    const attributes = {
+      class: $el.attr('class') || null,
+      id: $el.attr('id') || null,
+      width: $el.attr('width') || null,
+      height: $el.attr('height') || null,
+      viewBox: $el.attr('viewBox') || null
+    };
+    
+    // Where the SVG sits in the source, so reports can point at the markup
+    const sourceLocation = el.sourceCodeLocation;
+    const location = {
+      line: sourceLocation ? sourceLocation.startLine : null,
+      column: sourceLocation ? sourceLocation.startCol : null,
+      startOffset: sourceLocation ? sourceLocation.startOffset : null,
+      endOffset: sourceLocation ? sourceLocation.endOffset : null,
+      domPath: getDomPath(el)
+    };
+    
+    svgs.push({
+      html: svgHtml,
+      attributes: attributes,
+      location: location,
+      // Part of an outer SVG, whose analysis covers it
+      nested: $el.parents('svg').length > 0,
+      ...(documentIds ? { accessibility: describeAccessibilityContext($, el, documentIds) } : {})
+    });
+  }
+  
+  return svgs;
+}
+
+// Links, buttons and their ARIA equivalents, which an SVG inside may have to name
+const INTERACTIVE_SELECTOR = 'a[href], button, [role="button"], [role="link"]';
+
+const ARIA_REFERENCE_ATTRIBUTES = ['aria-labelledby', 'aria-describedby'];
+
+// What auditAccessibility cannot see in the SVG markup alone: the link or button
+// around it, whether that has a text of its own, and referenced ids missing from
+// the whole document
+function describeAccessibilityContext($, el, documentIds) {
+  const $el = $(el);
+  const control = $el.parents(INTERACTIVE_SELECTOR).first();
+  let controlHasText = false;
+  
+  if (control.length > 0) {
+    const text = control.clone().find('svg').remove().end().text().trim();
+    const labelledImages = control.find('img[alt]').filter((_, img) => img.attribs.alt.trim() !== '');
+    controlHasText = Boolean(text || control.attr('aria-label') || control.attr('aria-labelledby') || control.attr('title') || labelledImages.length > 0);
+  }
+  
+  const missingReferences = {};
+  ARIA_REFERENCE_ATTRIBUTES.forEach(name => {
+    const missing = ($el.attr(name) || '').split(/\s+/).filter(id => id && !documentIds.has(id));
+    if (missing.length > 0) {
+      missingReferences[name] = missing;
+    }
+  });
+  
+  return {
+    control: control.length > 0 ? control[0].tagName : null,
+    controlHasText,
+    missingReferences
+  };
+}
+
+// File types the directory scanner picks up when no --include is given
+const DEFAULT_SCAN_EXTENSIONS = ['html', 'htm', 'vue', 'svelte', 'jsx', 'tsx', 'hbs', 'njk', 'php', 'svg'];
+const JSX_EXTENSIONS = ['.jsx', '.tsx'];
+const TEMPLATE_EXTENSIONS = ['.vue', '.svelte', '.hbs', '.njk', '.php'];
+
+// Directories that are never worth scanning, .gitignore or not
+const ALWAYS_SKIPPED_DIRECTORIES = ['.git', 'node_modules'];
+
+// Overwrite template syntax with spaces so cheerio sees plain HTML while every
+// line, column and offset still matches the source file. Single-brace Svelte
+// expressions used as attribute values become an empty quoted value instead.
+function maskTemplateSyntax(source) {
+  const blank = (match) => match.replace(/[^\n]/g, ' ');
+  
+  return source
+    .replace(/<\?(?:php|=)?[\s\S]*?(?:\?>|$)/g, blank)
+    .replace(/\{\{[\s\S]*?\}\}|\{%[\s\S]*?%\}|\{#[\s\S]*?#\}/g, blank)
+    .replace(/=\{[^{}]*\}/g, (match) => `="${blank(match.slice(3))}"`)
+    .replace(/\{[#:/@][^{}]*\}|\{[^{}]*\}/g, blank);
+}
+
+// Framework directives (Vue :attr/@event/v-*/#slot, Svelte on:/bind:/class:/use:)
+// that are not valid SVG and would make SVGO fail
+function stripTemplateDirectives(svgHtml) {
+  return svgHtml.replace(/\s(?:[:@#][\w.:-]*|v-[\w.:-]+|(?:on|bind|class|use|transition|in|out|animate):[\w.|-]+)(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?/g, '');
+}
+
+// Attributes whose camelCase spelling is the real SVG attribute name
+const CAMEL_CASE_SVG_ATTRIBUTES = new Set([
+  'viewBox', 'preserveAspectRatio', 'gradientUnits', 'gradientTransform', 'patternUnits',
+  'patternContentUnits', 'patternTransform', 'clipPathUnits', 'maskUnits', 'maskContentUnits',
+  'markerWidth', 'markerHeight', 'markerUnits', 'refX', 'refY', 'stdDeviation', 'numOctaves',
+  'baseFrequency', 'textLength', 'lengthAdjust', 'pathLength', 'startOffset', 'spreadMethod',
+  'primitiveUnits', 'filterUnits', 'tableValues', 'kernelMatrix', 'kernelUnitLength',
+  'diffuseConstant', 'specularConstant', 'specularExponent', 'surfaceScale', 'keyTimes',
+  'keySplines', 'keyPoints', 'calcMode', 'attributeName', 'attributeType', 'repeatCount',
+  'repeatDur', 'edgeMode', 'limitingConeAngle', 'pointsAtX', 'pointsAtY', 'pointsAtZ',
+  'targetX', 'targetY', 'xChannelSelector', 'yChannelSelector', 'zoomAndPan'
+]);
+
+const JSX_ATTRIBUTE_NAMES = {
+  className: 'class',
+  htmlFor: 'for',
+  xlinkHref: 'xlink:href',
+  xlinkTitle: 'xlink:title',
+  xmlnsXlink: 'xmlns:xlink',
+  xmlSpace: 'xml:space',
+  xmlLang: 'xml:lang'
+};
+
+function toSvgAttributeName(jsxName) {
+  if (JSX_ATTRIBUTE_NAMES[jsxName]) return JSX_ATTRIBUTE_NAMES[jsxName];
+  if (CAMEL_CASE_SVG_ATTRIBUTES.has(jsxName) || !/[a-z][A-Z]/.test(jsxName)) return jsxName;
+  return jsxName.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+// Index just past the "}" that closes the "{" at start, skipping strings,
+// template literals and comments
+function skipJsxExpression(source, start) {
+  let depth = 0;
+  for (let i = start; i < source.length; i++) {
+    const char = source[i];
+    if (char === '"' || char === "'" || char === '`') {
+      i++;
+      while (i < source.length && source[i] !== char) {
+        if (source[i] === '\\') i++;
+        i++;
+      }
+    } else if (char === '/' && source[i + 1] === '*') {
+      i = source.indexOf('*/', i + 2) + 1 || source.length;
+    } else if (char === '/' && source[i + 1] === '/') {
+      i = source.indexOf('\n', i) === -1 ? source.length : source.indexOf('\n', i);
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) return i + 1;
+    }
+  }
+  return source.length;
+}
+
+// A JSX attribute expression as a static value, or null when it is dynamic
+function staticJsxValue(expression) {
+  const inner = expression.slice(1, -1).trim();
+  const literal = /^(["'`])([^"'`$\\]*)\1$/.exec(inner);
+  if (literal) return literal[2];
+  if (/^-?\d+(\.\d+)?$/.test(inner)) return inner;
+  return null;
+}
+
+// Converts the JSX element starting at start (an "<svg") to SVG markup. Static
+// attribute expressions are inlined, dynamic ones, spreads and children
+// expressions are dropped. Returns the markup and the offset just past the element.
+function convertJsxElement(source, start) {
+  let output = '';
+  let depth = 0;
+  let i = start;
+  
+  while (i < source.length) {
+    const char = source[i];
+    
+    if (char === '{') {
+      const end = skipJsxExpression(source, i);
+      i = end;
+      continue;
+    }
+    
+    if (char !== '<') {
+      output += char;
+      i++;
+      continue;
+    }
+    
+    // Closing tag
+    const closing = /^<\/\s*([\w:.-]*)\s*>/.exec(source.slice(i, i + 200));
+    if (closing) {
+      output += `</${closing[1]}>`;
+      i += closing[0].length;
+      depth--;
+      if (depth === 0) break;
+      continue;
+    }
+    
+    const nameMatch = /^<([\w:.-]+)/.exec(source.slice(i, i + 100));
+    if (!nameMatch) {
+      output += char;
+      i++;
+      continue;
+    }
+    
+    output += `<${nameMatch[1]}`;
+    i += nameMatch[0].length;
+    let selfClosing = false;
+    
+    while (i < source.length) {
+      while (/\s/.test(source[i])) i++;
+      
+      if (source[i] === '/' && source[i + 1] === '>') {
+        selfClosing = true;
+        i += 2;
+        break;
+      }
+      if (source[i] === '>') {
+        i++;
+        break;
+      }
+      if (source[i] === '{') {
+        // Spread attributes: {...props}
+        i = skipJsxExpression(source, i);
+        continue;
+      }
+      
+      const attrName = /^[^\s=/>{]+/.exec(source.slice(i, i + 100));
+      if (!attrName) {
+        i++;
+        continue;
+      }
+      i += attrName[0].length;
+      while (/\s/.test(source[i])) i++;
+      
+      let value = '';
+      if (source[i] === '=') {
+        i++;
+        while (/\s/.test(source[i])) i++;
+        if (source[i] === '"' || source[i] === "'") {
+          const quote = source[i];
+          const end = source.indexOf(quote, i + 1);
+          value = source.slice(i + 1, end);
+          i = end + 1;
+        } else if (source[i] === '{') {
+          const end = skipJsxExpression(source, i);
+          value = staticJsxValue(source.slice(i, end));
+          i = end;
+        }
+      }
+      
+      if (value !== null) {
+        output += value === '' && source[i - 1] !== '"' && source[i - 1] !== "'" 
+          ? ` ${toSvgAttributeName(attrName[0])}` 
+          : ` ${toSvgAttributeName(attrName[0])}="${value.replace(/"/g, '&quot;')}"`;
+      }
+    }
+    
+    if (selfClosing) {
+      output += '/>';
+      if (depth === 0) break;
+    } else {
+      output += '>';
+      depth++;
+    }
+  }
+  
+  return { markup: output, end: i };
+}
+
+function getLineAndColumn(source, offset) {
+  const before = source.slice(0, offset);
+  const line = before.split('\n').length;
+  return { line, column: offset - before.lastIndexOf('\n') };
+}
+
+// SVGs written as JSX, e.g. in React or Solid components. Only lowercase <svg>
+// elements are picked up; <Svg> components are left alone.
+function extractJsxSvgs(source, options = {}) {
+  const svgs = [];
+  const svgStart = /<svg(?=[\s/>])/g;
+  let match;
+  
+  while ((match = svgStart.exec(source)) !== null) {
+    if (/[\w$.]/.test(source[match.index - 1] || '')) continue;
+    
+    const { markup, end } = convertJsxElement(source, match.index);
+    const [svg] = extractInlineSvgs(markup, options);
+    if (!svg) {
+      svgStart.lastIndex = end;
+      continue;
+    }
+    
+    const { line, column } = getLineAndColumn(source, match.index);
+    svgs.push({
+      html: svg.html,
+      attributes: svg.attributes,
+      location: {
+        line,
+        column,
+        startOffset: match.index,
+        endOffset: end,
+        domPath: svg.location.domPath.replace(/^body > /, '')
+      },
+      nested: false,
+      // The markup around a component's SVG is not known: no link, button or
+      // missing ids, so the accessibility audit checks the SVG on its own
+      ...(options.accessibility ? { accessibility: { control: null, controlHasText: false, missingReferences: {} } } : {})
+    });
+    
+    // Nested <svg> elements are part of the outer one
+    svgStart.lastIndex = end;
+  }
+  
+  return svgs;
+}
+
+// A standalone .svg file is one SVG: the whole file, XML declaration and comments
+// included, as that is what gets shipped. The attributes are the root <svg>'s;
+// SVGs nested in it are part of it. The location has no line, so reports point at
+// the file itself.
+function extractSvgFile(source, options = {}) {
+  const root = extractInlineSvgs(source, options).find(svg => !svg.nested);
+  if (!root) {
+    return [];
+  }
+  return [{
+    ...root,
+    html: source,
+    location: { line: null, column: null, startOffset: 0, endOffset: source.length, domPath: null }
+  }];
+}
+
+// Picks the extractor for a file by its extension: standalone SVG files, JSX
+// components, template languages (masked to plain HTML first) or plain HTML
+function extractSvgsFromSource(source, filePath = '', options = {}) {
+  const extension = path.extname(filePath).toLowerCase();
+  
+  if (extension === '.svg') {
+    return extractSvgFile(source, options);
+  }
+  
+  if (JSX_EXTENSIONS.includes(extension)) {
+    return extractJsxSvgs(source, options);
+  }
+  
+  if (TEMPLATE_EXTENSIONS.includes(extension)) {
+    // Attributes that were nothing but a template expression are dynamic: drop them
+    return extractInlineSvgs(maskTemplateSyntax(source), options).map(svg => ({
+      ...svg,
+      html: stripTemplateDirectives(svg.html).replace(/\s[\w:.-]+="\s+"/g, ''),
+      attributes: Object.fromEntries(Object.entries(svg.attributes)
+        .map(([name, value]) => [name, value && value.trim() ? value : null]))
+    }));
+  }
+  
+  return extractInlineSvgs(source, options);
+}
+
+// Local files go through the extractor for their file type, pages as plain HTML
+// (or as an SVG file, for URLs of one)
+function extractSvgsForInput(input, html, options = {}) {
+  if (isUrl(input)) {
+    return isSvgReference(input) ? extractSvgFile(html, options) : extractInlineSvgs(html, options);
+  }
+  return extractSvgsFromSource(html, toFilePath(input), options);
+}
+
+// Whether the rewrites can write SVGs back into the input: pages and SVG files, but
+// not JSX or templates, whose SVGs were extracted from something other than HTML.
+// Standard input goes by its label.
+function isRewritableInput(input, label) {
+  const file = input === STDIN_INPUT ? label || '' : isUrl(input) ? '' : toFilePath(input);
+  const extension = path.extname(file).toLowerCase();
+  return !JSX_EXTENSIONS.includes(extension) && !TEMPLATE_EXTENSIONS.includes(extension);
+}
+
+function isGlobPattern(input) {
+  return picomatch.scan(input).isGlob;
+}
+
+// Directories and globs are scanned for template files; everything else is a page
+function isScanInput(input) {
+  if (isGlobPattern(input)) return true;
+  try {
+    return fs.statSync(toFilePath(input)).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+// .gitignore rules of the directories above a scan root, up to the repository root
+// (the first directory with a .git) or the working directory, whichever comes first
+function findAncestorGitignores(root, loadGitignore) {
+  const ancestors = [];
+  let dir = root;
+  
+  while (!fs.existsSync(path.join(dir, '.git')) && dir !== process.cwd()) {
+    const parent = path.dirname(dir);
+    if (parent === dir) break;
+    dir = parent;
+    ancestors.unshift(dir);
+  }
+  
+  return ancestors.reduce((rules, ancestor) => loadGitignore(ancestor, rules), []);
+}
+
+// Walks the directory or glob inputs and returns the matching files, sorted.
+// include/exclude globs are matched against paths relative to each input's base
+// directory, and every .gitignore on the way down is honoured unless
+// respectGitignore is false.
+function scanFiles(inputs, options = {}) {
+  const respectGitignore = options.respectGitignore !== false;
+  const exclude = picomatch(options.exclude && options.exclude.length > 0 ? options.exclude : [], { dot: true });
+  const files = new Set();
+  
+  for (const input of inputs) {
+    const { base, glob, isGlob } = picomatch.scan(input);
+    const root = path.resolve(isGlob ? base || '.' : input);
+    const includeGlobs = [
+      ...(isGlob ? [glob] : []),
+      ...(options.include || [])
+    ];
+    const include = picomatch(includeGlobs.length > 0 
+      ? includeGlobs 
+      : `**/*.{${DEFAULT_SCAN_EXTENSIONS.join(',')}}`, { dot: true });
+    
+    const loadGitignore = (dir, rules) => {
+      const gitignore = path.join(dir, '.gitignore');
+      return respectGitignore && fs.existsSync(gitignore)
+        ? [...rules, { dir, ig: ignore().add(fs.readFileSync(gitignore, 'utf8')) }]
+        : rules;
+    };
+    
+    const walk = (dir, ignoreRules) => {
+      const rules = loadGitignore(dir, ignoreRules);
+      const isIgnored = (fullPath, isDirectory) => rules.some(({ dir: ruleDir, ig }) => {
+        const relative = toPosixPath(path.relative(ruleDir, fullPath));
+        return ig.ignores(isDirectory ? `${relative}/` : relative);
+      });
+      
+      const entries = fs.readdirSync(dir, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name));
+      
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        const relative = toPosixPath(path.relative(root, fullPath));
+        
+        if (entry.isDirectory()) {
+          if (ALWAYS_SKIPPED_DIRECTORIES.includes(entry.name) || isIgnored(fullPath, true)) continue;
+          walk(fullPath, rules);
+        } else if (entry.isFile() && include(relative) && !exclude(relative) && !isIgnored(fullPath, false)) {
+          files.add(fullPath);
+        }
+      }
+    };
+    
+    walk(root, findAncestorGitignores(root, loadGitignore));
+  }
+  
+  return [...files].sort();
+}
+
+// Extracts the SVGs of every file into one list, each with its file path
+// (relative to the working directory) in location.file. Files already in
+// options.cache (a Map from file to its SVGs) are not read again.
+function extractSvgsFromFiles(files, options = {}) {
+  return files.flatMap(file => {
+    if (options.cache && options.cache.has(file)) {
+      return options.cache.get(file);
+    }
+    
+    const source = fs.readFileSync(file, 'utf8');
+    const relativeFile = toPosixPath(path.relative(process.cwd(), file));
+    const svgs = extractSvgsFromSource(source, file, options).map(svg => ({
+      ...svg,
+      location: { ...svg.location, file: relativeFile }
+    }));
+    if (options.cache) {
+      options.cache.set(file, svgs);
+    }
+    return svgs;
+  });
+}
+
+// Canonicalization ahead of hashing. Numbers are rounded to this many decimals, so
+// 12.0001 and 12 (or 1.50 and 1.5) are the same coordinate.
+const DEFAULT_CANONICAL_PRECISION = 3;
+
+const NUMBER_PATTERN = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g;
+
+// Attributes holding lists of numbers or path commands, compared token by token
+const GEOMETRY_ATTRIBUTES = new Set(['d', 'points', 'viewBox', 'transform', 'gradientTransform', 'patternTransform']);
+
+const COLOR_PROPERTIES = new Set(['fill', 'stroke', 'color', 'stop-color', 'flood-color', 'lighting-color']);
+
+// Attributes that only set the rendered size of the root <svg>
+const SIZE_ATTRIBUTES = new Set(['width', 'height']);
+
+function normalizeNumber(value, precision) {
+  const rounded = Number(Number(value).toFixed(precision));
+  return Object.is(rounded, -0) ? '0' : String(rounded);
+}
+
+function normalizeGeometry(value, precision) {
+  const tokens = value.match(/[a-df-zA-DF-Z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+  return tokens.map(token => /[a-zA-Z]/.test(token) && token.length === 1 ? token : normalizeNumber(token, precision)).join(' ');
+}
+
+function normalizeColor(value, options) {
+  const color = value.trim().toLowerCase();
+  if (options.ignoreColors && color !== 'none' && color !== 'transparent') {
+    return '*';
+  }
+  if (color.startsWith('url(')) {
+    // A gradient or pattern, referenced by a case-sensitive id
+    return value.trim();
+  }
+  const shortHex = color.match(/^#([0-9a-f])([0-9a-f])([0-9a-f])$/);
+  return shortHex ? `#${shortHex[1]}${shortHex[1]}${shortHex[2]}${shortHex[2]}${shortHex[3]}${shortHex[3]}` : color;
+}
+
+function normalizeStyle(value, options) {
+  return value.split(';')
+    .map(declaration => declaration.split(':').map(part => part.trim()))
+    .filter(([property, propertyValue]) => property && propertyValue !== undefined)
+    .map(([property, propertyValue]) => {
+      const name = property.toLowerCase();
+      return `${name}:${COLOR_PROPERTIES.has(name) ? normalizeColor(propertyValue, options) : propertyValue.replace(/\s+/g, ' ')}`;
+    })
+    .sort()
+    .join(';');
+}
+
+// Reduces an SVG to a canonical string: comments and whitespace between elements
+// go, attributes are sorted, numbers rounded and path data spaced uniformly. Class
+// attributes are always dropped. Options:
+// - ignoreIds: ids are renamed by order of appearance (references follow along)
+// - ignoreColors: fill, stroke and other paint values are masked
+// - ignoreSize: width and height of the root <svg> are dropped
+// - precision: decimals to round numbers to (default 3)
+function canonicalizeSvg(svg, options = {}) {
+  const precision = options.precision !== undefined ? options.precision : DEFAULT_CANONICAL_PRECISION;
+  const $ = cheerio.load(svg, { xml: true });
+  const idMap = new Map();
+  
+  if (options.ignoreIds) {
+    $('[id]').each((i, el) => idMap.set(el.attribs.id, `id${i}`));
+  }
+  const renameIds = (value) => idMap.size === 0 
+    ? value 
+    : value.replace(/#([^\s)"']+)/g, (match, id) => idMap.has(id) ? `#${idMap.get(id)}` : match);
+  
+  const serialize = (node, isRoot) => {
+    if (node.type === 'text' || node.type === 'cdata') {
+      const text = node.type === 'cdata' ? node.children.map(child => child.data).join('') : node.data;
+      return text.replace(/\s+/g, ' ').trim();
+    }
+    if (!node.attribs) {
+      // Comments, <?xml ?> declarations and doctypes
+      return '';
+    }
+    
+    const attributes = Object.entries(node.attribs)
+      .filter(([name]) => name !== 'class')
+      .filter(([name]) => !(options.ignoreSize && isRoot && SIZE_ATTRIBUTES.has(name)))
+      .map(([name, value]) => {
+        if (name === 'id') {
+          return [name, idMap.get(value) || value];
+        }
+        if (GEOMETRY_ATTRIBUTES.has(name)) {
+          return [name, normalizeGeometry(value, precision)];
+        }
+        if (COLOR_PROPERTIES.has(name)) {
+          return [name, renameIds(normalizeColor(value, options))];
+        }
+        if (name === 'style') {
+          return [name, renameIds(normalizeStyle(value, options))];
+        }
+        if (/^[-+\d.eE,\s%]+$/.test(value)) {
+          return [name, value.trim().replace(NUMBER_PATTERN, number => normalizeNumber(number, precision)).replace(/[\s,]+/g, ' ')];
+        }
+        return [name, renameIds(value.replace(/\s+/g, ' ').trim())];
+      })
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([name, value]) => ` ${name}="${value}"`)
+      .join('');
+    
+    const children = node.children.map(child => serialize(child, false)).join('');
+    return `<${node.name}${attributes}>${children}</${node.name}>`;
+  };
+  
+  return $.root()[0].children.map(node => serialize(node, true)).join('');
+}
+
+// Hash of the canonical form (see canonicalizeSvg), so SVGs that differ only in
+// class, attribute order, whitespace or number formatting count as duplicates
+function hashSvg(svg, options = {}) {
+  return crypto.createHash('md5').update(canonicalizeSvg(svg, options)).digest('hex');
+}
+
+// SVGO output and duplicate hash of a single SVG. SVGs SVGO cannot optimize keep
+// their size, with the reason in error.
+function optimizeSvg(markup, config = svgoConfig, canonicalizeOptions) {
+  const originalSize = Buffer.byteLength(markup, 'utf8');
+  const hash = hashSvg(markup, canonicalizeOptions);
+  
+  try {
+    const optimized = optimize(markup, config);
+    return {
+      originalSize,
+      optimizedSize: Buffer.byteLength(optimized.data, 'utf8'),
+      optimizedHtml: optimized.data,
+      hash,
+      error: null
+    };
+  } catch (error) {
+    return { originalSize, optimizedSize: originalSize, optimizedHtml: null, hash, error: error.message };
+  }
+}
+
+// optimizeSvg results kept between runs (options.cache of analyzeSvgs, as --watch
+// does), keyed by hashSvg content hash and then by the exact markup, since the hash
+// ignores classes and formatting that still end up in the optimized size. While an
+// SVG is being optimized its entry is the pending promise, so identical SVGs in
+// flight at the same time share one job.
+async function withSvgCache(cache, markup, canonicalizeOptions, optimizeMarkup) {
+  if (!cache) {
+    return optimizeMarkup();
+  }
+  
+  const hash = hashSvg(markup, canonicalizeOptions);
+  if (!cache.has(hash)) {
+    cache.set(hash, new Map());
+  }
+  const entries = cache.get(hash);
+  if (!entries.has(markup)) {
+    entries.set(markup, Promise.resolve(optimizeMarkup()).then(
+      result => {
+        entries.set(markup, result);
+        return result;
+      },
+      error => {
+        entries.delete(markup);
+        throw error;
+      }
+    ));
+  }
+  return entries.get(markup);
+}
+
+function countCachedSvgs(cache) {
+  return [...cache.values()].reduce((sum, entries) => sum + entries.size, 0);
+}
+
+// Drops the cached SVGs a run no longer has, so a long --watch session does not grow
+function pruneSvgCache(cache, svgs) {
+  const current = new Set(svgs.map(svg => svg.html));
+  for (const [hash, entries] of cache) {
+    [...entries.keys()].filter(markup => !current.has(markup)).forEach(markup => entries.delete(markup));
+    if (entries.size === 0) {
+      cache.delete(hash);
+    }
+  }
+}
+
+function toSvgStat(index, optimized) {
+  return { index, ...optimized, isDuplicate: false };
+}
+
+// Performance optimization: Process SVGs in parallel with controlled concurrency.
+// SVGs SVGO cannot optimize keep their size, with the reason in error and a
+// warning passed to options.warn.
+async function processSvgBatch(svgBatch, startIndex, options = {}) {
+  const config = options.svgoConfig || svgoConfig;
+  const warn = options.warn || (() => {});
+  const results = await Promise.all(
+    svgBatch.map(async (svg, batchIndex) => {
+      const index = startIndex + batchIndex;
+      const result = toSvgStat(index, await withSvgCache(options.cache, svg.html, options.canonicalize, 
+        () => optimizeSvg(svg.html, config, options.canonicalize)));
+      if (result.error) {
+        warn(`Warning: Failed to optimize SVG #${index}: ${result.error}`);
+      }
+      return result;
+    })
+  );
+  
+  return results;
+}
+
+// Runs inside every pool worker: loads this module and optimizes the SVGs it is sent
+const WORKER_SOURCE = `
+const { parentPort, workerData } = require('worker_threads');
+const { optimizeSvg } = require(workerData.modulePath);
+parentPort.on('message', ({ id, markup }) => {
+  parentPort.postMessage({ id, result: optimizeSvg(markup, workerData.svgoConfig, workerData.canonicalize) });
+});
+`;
+
+// A pool of worker threads that run optimizeSvg. Tasks go to the first idle worker;
+// idle workers do not keep the process alive. Close the pool when done with it.
+function createWorkerPool(size, options = {}) {
+  const workerData = {
+    modulePath: __filename,
+    svgoConfig: options.svgoConfig || svgoConfig,
+    canonicalize: options.canonicalize
+  };
+  const queue = [];
+  const pending = new Map();
+  const idle = [];
+  const stopped = new Set();
+  let nextId = 0;
+  let closed = false;
+  
+  const dispatch = () => {
+    while (idle.length > 0 && queue.length > 0) {
+      const worker = idle.pop();
+      const task = queue.shift();
+      pending.set(task.id, { ...task, worker });
+      worker.ref();
+      worker.postMessage({ id: task.id, markup: task.markup });
+    }
+  };
+  
+  // Rejects the worker's task, and the queued ones once no worker is left to run them
+  const failPending = (worker, error) => {
+    stopped.add(worker);
+    if (idle.includes(worker)) {
+      idle.splice(idle.indexOf(worker), 1);
+    }
+    for (const [id, task] of pending) {
+      if (task.worker === worker) {
+        pending.delete(id);
+        task.reject(error);
+      }
+    }
+    if (stopped.size === size) {
+      queue.splice(0).forEach(task => task.reject(error));
+    }
+  };
+  
+  const workers = Array.from({ length: size }, () => {
+    const worker = new Worker(WORKER_SOURCE, { eval: true, workerData });
+    worker.on('message', ({ id, result }) => {
+      const task = pending.get(id);
+      pending.delete(id);
+      worker.unref();
+      idle.push(worker);
+      task.resolve(result);
+      dispatch();
+    });
+    worker.on('error', error => failPending(worker, error));
+    worker.on('exit', code => {
+      if (!closed) failPending(worker, new Error(`SVGO worker stopped with exit code ${code}`));
+    });
+    worker.unref();
+    idle.push(worker);
+    return worker;
+  });
+  
+  return {
+    size,
+    optimize(markup) {
+      if (closed || stopped.size === size) {
+        return Promise.reject(new Error('The worker pool is closed'));
+      }
+      return new Promise((resolve, reject) => {
+        queue.push({ id: nextId++, markup, resolve, reject });
+        dispatch();
+      });
+    },
+    async close() {
+      closed = true;
+      await Promise.all(workers.map(worker => worker.terminate()));
+    }
+  };
+}
+
+// Whether an SVGO config can be sent to worker threads: custom plugins from a
+// configuration file are functions, which cannot
+function isTransferableConfig(config) {
+  try {
+    structuredClone(config);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Optimizes the SVGs in a worker pool (options.pool, or one of options.concurrency
+// workers for this call), reporting progress every batchSize SVGs. Each distinct
+// markup is sent to the workers once.
+async function optimizeInPool(svgs, options, batchSize, onProgress) {
+  const pool = options.pool || createWorkerPool(Math.min(options.concurrency, svgs.length), options);
+  const jobs = new Map();
+  const optimizeOnce = (markup) => {
+    if (!jobs.has(markup)) {
+      jobs.set(markup, pool.optimize(markup));
+    }
+    return jobs.get(markup);
+  };
+  let processed = 0;
+  
+  try {
+    return await Promise.all(svgs.map(async (svg, index) => {
+      const result = toSvgStat(index, await withSvgCache(options.cache, svg.html, options.canonicalize, 
+        () => optimizeOnce(svg.html)));
+      processed++;
+      if (processed % batchSize === 0 || processed === svgs.length) {
+        onProgress({ processed, total: svgs.length });
+      }
+      return result;
+    }));
+  } finally {
+    if (!options.pool) {
+      await pool.close();
+    }
+  }
+}
+
+// options.onProgress is called with { processed, total } after every batch. With
+// options.concurrency above 1 (or an options.pool from createWorkerPool), SVGO
+// runs in worker threads; results keep the order of svgs either way. SVGs found in
+// options.cache (a Map, filled as SVGs are optimized) are not optimized again; it
+// is only valid for one SVGO configuration.
+async function analyzeSvgs(svgs, options = {}) {
+  const onProgress = options.onProgress || (() => {});
+  const warn = options.warn || (() => {});
+  let totalOriginalSize = 0;
+  let totalOptimizedSize = 0;
+  const svgStats = [];
+  const hashMap = new Map(); // Performance optimization: Use Map instead of object
+  const duplicates = {};
+  const batchSize = 10;
+  
+  let usePool = svgs.length > 1 && Boolean(options.pool || options.concurrency > 1);
+  if (usePool && !options.pool && !isTransferableConfig(options.svgoConfig || svgoConfig)) {
+    warn('Warning: custom SVGO plugins cannot run in worker threads, optimizing on the main thread');
+    usePool = false;
+  }
+  let results;
+  
+  if (usePool) {
+    results = await optimizeInPool(svgs, options, batchSize, onProgress);
+    results.filter(result => result.error).forEach(result => 
+      warn(`Warning: Failed to optimize SVG #${result.index}: ${result.error}`));
+  } else {
+    // Performance optimization: Process SVGs in batches of 10 for controlled concurrency
+    results = [];
+    for (let startIndex = 0; startIndex < svgs.length; startIndex += batchSize) {
+      results.push(...await processSvgBatch(svgs.slice(startIndex, startIndex + batchSize), startIndex, options));
+      onProgress({ processed: results.length, total: svgs.length });
+    }
+  }
+  
+  // Detect duplicates in document order, so the first occurrence is the one kept
+  results.forEach(result => {
+    totalOriginalSize += result.originalSize;
+    totalOptimizedSize += result.optimizedSize;
+    
+    if (hashMap.has(result.hash)) {
+      result.isDuplicate = true;
+      if (!duplicates[result.hash]) {
+        duplicates[result.hash] = [hashMap.get(result.hash)];
+      }
+      duplicates[result.hash].push(result.index);
+    } else {
+      hashMap.set(result.hash, result.index);
+    }
+    
+    svgStats.push(result);
+  });
+  
+  return {
+    totalOriginalSize,
+    totalOptimizedSize,
+    svgStats,
+    duplicates
+  };
+}
+
+// Performance optimization: Cache attribute string generation
+// 'class="logo", viewBox="0 0 24 24"', uncolored for reports that are not printed
+function listIdentifyingAttributes(attrs) {
+  const identifiers = [];
+  
+  if (attrs.class) identifiers.push(`class="${attrs.class}"`);
+  if (attrs.id) identifiers.push(`id="${attrs.id}"`);
+  if (attrs.width) identifiers.push(`width="${attrs.width}"`);
+  if (attrs.height) identifiers.push(`height="${attrs.height}"`);
+  if (attrs.viewBox) identifiers.push(`viewBox="${attrs.viewBox}"`);
+  
+  return identifiers.join(', ');
+}
+
+function generateIdentifierString(attrs) {
+  const identifiers = listIdentifyingAttributes(attrs);
+  return identifiers ? ` (${chalk.gray(identifiers)})` : '';
+}
+
+// "line 12, column 5 (header > nav > svg)", prefixed with the file for scanned
+// templates, or '' for SVGs without a known location
+function formatLocation(location) {
+  if (!location) return '';
+  
+  const parts = [];
+  if (location.line !== null && location.line !== undefined) {
+    parts.push(`${location.file ? `${location.file}, ` : ''}line ${location.line}, column ${location.column}`);
+  } else if (location.file) {
+    parts.push(location.file);
+  }
+  if (location.domPath) {
+    parts.push(parts.length > 0 ? `(${location.domPath})` : location.domPath);
+  }
+  return parts.join(' ');
+}
+
+// Helper function to format bytes with appropriate units
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(2)} MB (${bytes} bytes)`;
+  } else if (bytes >= 1024) {
+    return `${(bytes / 1024).toFixed(2)} KB (${bytes} bytes)`;
+  }
+  return `${bytes} bytes`;
+}
+
+// "gzip 1.20 KB (1229 bytes) → 980 bytes | brotli ..." for a before/after pair of
+// compressed sizes
+function formatCompressedChange(before, after) {
+  return `gzip ${formatBytes(before.gzip)} → ${formatBytes(after.gzip)} | brotli ${formatBytes(before.brotli)} → ${formatBytes(after.brotli)}`;
+}
+
+// SVG files referenced from a URL or path (ignoring query and fragment), or SVG data URIs
+function isSvgReference(reference) {
+  if (/^data:image\/svg\+xml/i.test(reference)) return true;
+  if (/^data:/i.test(reference)) return false;
+  return /\.svg$/i.test(reference.split(/[?#]/)[0]);
+}
+
+// Every SVG resource the page pulls in rather than inlines: <img src>, <object data>,
+// <embed src>, <link rel=icon>, <use href="file.svg#id"> and url(...) in style
+// attributes and <style> blocks. References keep their line and column in the page.
+function extractExternalSvgRefs(html) {
+  const $ = cheerio.load(html, {
+    xmlMode: false,
+    decodeEntities: false,
+    lowerCaseAttributeNames: false,
+    sourceCodeLocationInfo: true
+  });
+  const references = [];
+  
+  const add = (type, url, el, offset) => {
+    const trimmed = url.trim();
+    if (!trimmed || trimmed.startsWith('#') || !isSvgReference(trimmed)) return;
+    
+    const position = offset !== undefined
+      ? getLineAndColumn(html, offset)
+      : el.sourceCodeLocation
+        ? { line: el.sourceCodeLocation.startLine, column: el.sourceCodeLocation.startCol }
+        : { line: null, column: null };
+    references.push({ type, url: trimmed, line: position.line, column: position.column });
+  };
+  
+  const addCssUrls = (type, css, el, baseOffset) => {
+    const urlPattern = /url\(\s*(["']?)([^"')]+)\1\s*\)/gi;
+    let match;
+    while ((match = urlPattern.exec(css)) !== null) {
+      add(type, match[2], el, baseOffset !== undefined ? baseOffset + match.index : undefined);
+    }
+  };
+  
+  $('img[src]').each((_, el) => add('img', $(el).attr('src'), el));
+  $('object[data]').each((_, el) => add('object', $(el).attr('data'), el));
+  $('embed[src]').each((_, el) => add('embed', $(el).attr('src'), el));
+  $('link[href]').each((_, el) => {
+    if (/\b(icon|mask-icon|apple-touch-icon)\b/i.test($(el).attr('rel') || '')) {
+      add('link', $(el).attr('href'), el);
+    }
+  });
+  $('use').each((_, el) => {
+    const href = $(el).attr('href') || $(el).attr('xlink:href');
+    if (href) add('use', href, el);
+  });
+  $('[style]').each((_, el) => addCssUrls('style-attribute', $(el).attr('style'), el));
+  $('style').each((_, el) => {
+    const location = el.sourceCodeLocation;
+    addCssUrls('style-block', $(el).html() || '', el, location && location.startTag ? location.startTag.endOffset : undefined);
+  });
+  
+  return references;
+}
+
+// Where a reference points: a URL to fetch, a local file, or the data URI itself.
+// Root-relative references from local files need a baseUrl to be resolved; file:
+// URLs in local files are the files they name; remote pages only load http(s) and
+// data: references. Without an input (markup from
+// nowhere in particular) only absolute references resolve.
+function resolveSvgReference(reference, input, options = {}) {
+  if (/^data:/i.test(reference)) {
+    return { resolved: reference };
+  }
+  if (isUrl(input)) {
+    // A remote page only gets to load from the web, never local files
+    const url = new URL(reference, options.baseHref ? new URL(options.baseHref, input) : input);
+    return isUrl(url.href) 
+      ? { resolved: url.href } 
+      : { error: `Unsupported URL scheme ${url.protocol} in a remote page` };
+  }
+  if (/^file:/i.test(reference)) {
+    try {
+      return { resolved: fileURLToPath(reference) };
+    } catch (error) {
+      return { error: `Invalid file URL: ${error.message}` };
+    }
+  }
+  if (/^[a-z][a-z\d+.-]*:/i.test(reference)) {
+    return isUrl(reference) ? { resolved: reference } : { error: 'Unsupported URL scheme' };
+  }
+  if (!input) {
+    return { error: 'Relative reference from markup without a location needs --base-url or --label' };
+  }
+  if (reference.startsWith('/') || reference.startsWith('//')) {
+    return options.baseUrl
+      ? { resolved: new URL(reference, options.baseUrl).href }
+      : { error: 'Root-relative reference from a local file needs --base-url' };
+  }
+  
+  const relativePath = decodeURIComponent(reference.split(/[?#]/)[0]);
+  return { resolved: path.resolve(path.dirname(toFilePath(input)), relativePath) };
+}
+
+function decodeSvgDataUri(dataUri) {
+  const commaIndex = dataUri.indexOf(',');
+  const meta = dataUri.slice(0, commaIndex);
+  const data = dataUri.slice(commaIndex + 1);
+  return /;base64/i.test(meta) 
+    ? Buffer.from(data, 'base64').toString('utf8') 
+    : decodeURIComponent(data);
+}
+
+// Resolves, loads and analyzes every external SVG the page references. Each resource
+// is loaded once, however often it is referenced; references that cannot be resolved
+// or loaded are returned in unresolved with the reason.
+async function analyzeExternalSvgs(html, input, options = {}) {
+  const fetchResource = options.fetchHtml || fetchHtml;
+  const $ = cheerio.load(html);
+  const baseHref = $('base[href]').attr('href');
+  const resources = new Map();
+  const unresolved = [];
+  
+  for (const reference of extractExternalSvgRefs(html)) {
+    const { resolved, error } = resolveSvgReference(reference.url, input, { ...options, baseHref });
+    if (error) {
+      unresolved.push({ ...reference, reason: error });
+      continue;
+    }
+    
+    const key = /^data:/i.test(resolved) ? resolved : resolved.split('#')[0];
+    if (!resources.has(key)) {
+      resources.set(key, { url: key, references: [] });
+    }
+    resources.get(key).references.push(reference);
+  }
+  
+  const loaded = [];
+  for (const resource of resources.values()) {
+    try {
+      const content = /^data:/i.test(resource.url)
+        ? decodeSvgDataUri(resource.url)
+        : await fetchResource(resource.url, { ...options, log: () => {} });
+      loaded.push({ ...resource, content });
+    } catch (error) {
+      resource.references.forEach(reference => unresolved.push({ ...reference, reason: error.message }));
+    }
+  }
+  
+  const svgs = loaded.map(resource => {
+    const [root] = extractInlineSvgs(resource.content);
+    return {
+      html: resource.content,
+      attributes: root ? root.attributes : { class: null, id: null, width: null, height: null, viewBox: null },
+      location: null
+    };
+  });
+  const result = await analyzeSvgs(svgs, {
+    onProgress: options.onProgress,
+    warn: options.warn,
+    svgoConfig: options.svgoConfig,
+    canonicalize: options.canonicalize,
+    concurrency: options.concurrency,
+    pool: options.pool
+  });
+  
+  return {
+    resources: loaded.map((resource, index) => ({
+      // Data URIs can be huge; the first bytes are enough to recognise them
+      url: /^data:/i.test(resource.url) ? `${resource.url.slice(0, 40)}…` : toArtifactUri(resource.url),
+      references: resource.references,
+      attributes: svgs[index].attributes,
+      originalSize: result.svgStats[index].originalSize,
+      optimizedSize: result.svgStats[index].optimizedSize,
+      hash: result.svgStats[index].hash
+    })),
+    unresolved,
+    totalOriginalSize: result.totalOriginalSize,
+    totalOptimizedSize: result.totalOptimizedSize
+  };
+}
+
+function printExternalReport(external, log = console.log) {
+  log('');
+  log(chalk.blue.bold('🌍 EXTERNAL SVG RESOURCES'));
+  log('─'.repeat(50));
+  
+  if (external.resources.length === 0) {
+    log(chalk.gray('No external SVG resources referenced.'));
+  }
+  
+  external.resources.forEach(resource => {
+    const savings = resource.originalSize - resource.optimizedSize;
+    const kinds = [...new Set(resource.references.map(reference => reference.type))].join(', ');
+    const lines = resource.references.map(reference => reference.line).filter(line => line !== null);
+    
+    log(`${savings > 0 ? '🔴' : '✅'} ${resource.url}${generateIdentifierString(resource.attributes)}`);
+    log(`   ${chalk.gray(`Referenced ${resource.references.length}× via ${kinds}${lines.length > 0 ? ` (line ${lines.join(', ')})` : ''}`)}`);
+    log(`   Original: ${formatBytes(resource.originalSize)} | Optimized: ${formatBytes(resource.optimizedSize)}`);
+    log(`   ${(savings > 0 ? chalk.red : chalk.green)(`Savings: ${formatBytes(savings)}`)}`);
+    log('');
+  });
+  
+  if (external.unresolved.length > 0) {
+    log(chalk.yellow.bold('Unresolved references:'));
+    external.unresolved.forEach(reference => {
+      log(chalk.yellow(`   ${reference.url} (${reference.type}${reference.line !== null ? `, line ${reference.line}` : ''}): ${reference.reason}`));
+    });
+    log('');
+  }
+  
+  log(chalk.cyan(`External SVGs: ${external.resources.length}, original ${formatBytes(external.totalOriginalSize)}, optimized ${formatBytes(external.totalOptimizedSize)}`));
+}
+
+// Duplicate groups and deduplication scenarios derived from an analyzeSvgs result.
+// Shared by the text report and the machine-readable formats so they never disagree.
+function summarizeDuplicates(svgs, result) {
+  let totalDuplicateSavings = 0;
+  let totalDuplicateOptimizedSavings = 0;
+  
+  const groups = Object.entries(result.duplicates).map(([hash, indices]) => {
+    // Keep the first occurrence, remove the others
+    const duplicatesToRemove = indices.slice(1);
+    const originalSavings = duplicatesToRemove.reduce((sum, idx) => 
+      sum + result.svgStats[idx].originalSize, 0);
+    const optimizedSavings = duplicatesToRemove.reduce((sum, idx) => 
+      sum + result.svgStats[idx].optimizedSize, 0);
+    
+    totalDuplicateSavings += originalSavings;
+    totalDuplicateOptimizedSavings += optimizedSavings;
+    
+    return {
+      hash,
+      indices,
+      classes: indices.map(idx => svgs[idx].attributes.class),
+      locations: indices.map(idx => svgs[idx].location || null),
+      occurrences: indices.length,
+      duplicateCount: duplicatesToRemove.length,
+      originalSavings,
+      optimizedSavings
+    };
+  });
+  
+  const totalSavings = result.totalOriginalSize - result.totalOptimizedSize;
+  const combinedSavings = totalSavings + totalDuplicateOptimizedSavings;
+  
+  return {
+    groups,
+    duplicateGroupCount: groups.length,
+    totalDuplicates: groups.reduce((sum, group) => sum + group.duplicateCount, 0),
+    deduplicationOnly: {
+      totalSize: result.totalOriginalSize - totalDuplicateSavings,
+      savings: totalDuplicateSavings
+    },
+    deduplicationAndOptimization: {
+      totalSize: result.totalOptimizedSize - totalDuplicateOptimizedSavings,
+      savings: totalDuplicateOptimizedSavings
+    },
+    combinedSavings,
+    combinedSavingsPercent: result.totalOriginalSize > 0 
+      ? Number(((combinedSavings / result.totalOriginalSize) * 100).toFixed(1)) 
+      : 0
+  };
+}
+
+// gzip and brotli sizes of the given markup, at the levels servers typically use
+// for static assets
+function compressedSize(content) {
+  const buffer = Buffer.from(content, 'utf8');
+  return {
+    gzip: zlib.gzipSync(buffer, { level: 9 }).length,
+    brotli: zlib.brotliCompressSync(buffer, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: buffer.length
+      }
+    }).length
+  };
+}
+
+function compressedSavings(before, after) {
+  return {
+    gzip: before.gzip - after.gzip,
+    brotli: before.brotli - after.brotli
+  };
+}
+
+// Compressed counterparts of the report's sizes. SVGs are compressed together, the
+// way they are shipped, so repeated markup costs what it really costs over the wire:
+// totals compress every SVG's markup, the deduplication scenarios only the first
+// occurrence of each. With the page's HTML, the whole page is also compressed before
+// and after the rewrites --fix and --extract-sprite --fix would make.
+function measureTransferSizes(svgs, result, html = null) {
+  const originalMarkup = result.svgStats.map(stat => svgs[stat.index].html);
+  const optimizedMarkup = result.svgStats.map(stat => 
+    stat.optimizedHtml !== null ? stat.optimizedHtml : svgs[stat.index].html);
+  const unique = result.svgStats.filter(stat => !stat.isDuplicate);
+  
+  const totals = {
+    original: compressedSize(originalMarkup.join('')),
+    optimized: compressedSize(optimizedMarkup.join(''))
+  };
+  const deduplicatedOriginal = compressedSize(unique.map(stat => originalMarkup[stat.index]).join(''));
+  const deduplicatedOptimized = compressedSize(unique.map(stat => optimizedMarkup[stat.index]).join(''));
+  
+  let page = null;
+  if (typeof html === 'string') {
+    const optimizedHtml = rewriteHtmlWithOptimizedSvgs(html, svgs, result).html;
+    const deduplicatedHtml = extractSvgSprite(html, svgs, result, { optimize: true }).html;
+    page = {
+      original: { size: Buffer.byteLength(html, 'utf8'), ...compressedSize(html) },
+      optimized: { size: Buffer.byteLength(optimizedHtml, 'utf8'), ...compressedSize(optimizedHtml) },
+      deduplicatedAndOptimized: { size: Buffer.byteLength(deduplicatedHtml, 'utf8'), ...compressedSize(deduplicatedHtml) }
+    };
+  }
+  
+  return {
+    svgs: result.svgStats.map(stat => ({
+      index: stat.index,
+      original: compressedSize(originalMarkup[stat.index]),
+      optimized: compressedSize(optimizedMarkup[stat.index])
+    })),
+    totals,
+    deduplicationOnly: {
+      ...deduplicatedOriginal,
+      savings: compressedSavings(totals.original, deduplicatedOriginal)
+    },
+    deduplicationAndOptimization: {
+      ...deduplicatedOptimized,
+      savings: compressedSavings(totals.optimized, deduplicatedOptimized)
+    },
+    page
+  };
+}
+
+// What each SVGO plugin's savings are credited to by --explain. Plugins not listed
+// here (custom ones from a configuration file) count as 'other'.
+const SAVINGS_CAUSES = [
+  { cause: 'editor-metadata', label: 'Editor metadata (Inkscape, Sketch, Illustrator namespaces and <metadata>)', plugins: ['removeEditorsNSData', 'removeMetadata', 'removeUnusedNS'] },
+  { cause: 'comments', label: 'Comments', plugins: ['removeComments'] },
+  { cause: 'xml-prolog', label: 'XML declarations and doctypes', plugins: ['removeXMLProcInst', 'removeDoctype'] },
+  { cause: 'precision', label: 'Excess numeric precision and verbose path data', plugins: ['cleanupNumericValues', 'convertPathData', 'convertTransform'] },
+  { cause: 'groups', label: 'Redundant groups and empty containers', plugins: ['collapseGroups', 'moveElemsAttrsToGroup', 'moveGroupAttrsToElems', 'removeEmptyContainers', 'removeNonInheritableGroupAttrs'] },
+  { cause: 'defaults', label: 'Default, useless and deprecated attributes', plugins: ['removeUnknownsAndDefaults', 'removeUselessStrokeAndFill', 'removeEmptyAttrs', 'removeDeprecatedAttrs', 'cleanupEnableBackground'] },
+  { cause: 'dimensions', label: 'Width and height (viewBox kept)', plugins: ['removeDimensions'] },
+  { cause: 'styles', label: 'Styles and colors', plugins: ['mergeStyles', 'inlineStyles', 'minifyStyles', 'convertColors'] },
+  { cause: 'unused-content', label: 'Unused ids, defs, hidden elements and descriptions', plugins: ['cleanupIds', 'removeUselessDefs', 'removeHiddenElems', 'removeEmptyText', 'removeDesc'] },
+  { cause: 'shapes', label: 'Shapes converted and paths merged', plugins: ['convertShapeToPath', 'convertEllipseToCircle', 'mergePaths'] },
+  { cause: 'whitespace', label: 'Whitespace and formatting', plugins: ['cleanupAttrs', 'sortAttrs', 'sortDefsChildren'] }
+];
+
+const OTHER_SAVINGS_CAUSE = { cause: 'other', label: 'Other plugins' };
+
+// The serialization SVGO does before any plugin runs (whitespace between tags,
+// quoting) is credited to whitespace
+const SERIALIZATION_STEP = 'serialization';
+
+const MAX_EXPLAIN_PASSES = 10;
+
+function findSavingsCause(pluginName) {
+  return SAVINGS_CAUSES.find(entry => entry.plugins.includes(pluginName)) || OTHER_SAVINGS_CAUSE;
+}
+
+// The SVGO config's plugins one by one, with preset-default expanded into its own
+// plugins (minus the ones its overrides disable)
+function expandSvgoPlugins(config) {
+  return config.plugins.flatMap(plugin => {
+    const name = typeof plugin === 'string' ? plugin : plugin.name;
+    if (name !== 'preset-default') {
+      return [plugin];
+    }
+    
+    const overrides = (typeof plugin === 'object' && plugin.params && plugin.params.overrides) || {};
+    return PRESET_DEFAULT_PLUGINS
+      .filter(presetPlugin => overrides[presetPlugin] !== false)
+      .map(presetPlugin => typeof overrides[presetPlugin] === 'object' 
+        ? { name: presetPlugin, params: overrides[presetPlugin] } 
+        : presetPlugin);
+  });
+}
+
+// Runs the SVGO plugins one at a time (pass after pass with multipass) and credits
+// the bytes each one saves to a cause, largest first. The total can differ from
+// the regular optimized size by a few bytes, as every step is serialized on its own.
+function explainSvgSavings(markup, options = {}) {
+  const config = options.svgoConfig || svgoConfig;
+  const plugins = expandSvgoPlugins(config);
+  const pluginSavings = new Map();
+  const credit = (name, savings) => pluginSavings.set(name, (pluginSavings.get(name) || 0) + savings);
+  
+  let current = optimize(markup, { plugins: [] }).data;
+  credit(SERIALIZATION_STEP, Buffer.byteLength(markup, 'utf8') - Buffer.byteLength(current, 'utf8'));
+  
+  const passes = config.multipass ? MAX_EXPLAIN_PASSES : 1;
+  for (let pass = 0; pass < passes; pass++) {
+    const passStart = Buffer.byteLength(current, 'utf8');
+    for (const plugin of plugins) {
+      const before = Buffer.byteLength(current, 'utf8');
+      current = optimize(current, { plugins: [plugin] }).data;
+      credit(typeof plugin === 'string' ? plugin : plugin.name, before - Buffer.byteLength(current, 'utf8'));
+    }
+    if (Buffer.byteLength(current, 'utf8') >= passStart) break;
+  }
+  
+  const causes = new Map();
+  for (const [name, savings] of pluginSavings) {
+    if (savings === 0) continue;
+    const { cause, label } = name === SERIALIZATION_STEP 
+      ? SAVINGS_CAUSES.find(entry => entry.cause === 'whitespace') 
+      : findSavingsCause(name);
+    if (!causes.has(cause)) {
+      causes.set(cause, { cause, label, savings: 0, plugins: [] });
+    }
+    const entry = causes.get(cause);
+    entry.savings += savings;
+    entry.plugins.push({ name, savings });
+  }
+  
+  return {
+    optimizedSize: Buffer.byteLength(current, 'utf8'),
+    savings: Buffer.byteLength(markup, 'utf8') - Buffer.byteLength(current, 'utf8'),
+    causes: [...causes.values()]
+      .map(entry => ({ ...entry, plugins: entry.plugins.sort((a, b) => b.savings - a.savings) }))
+      .sort((a, b) => b.savings - a.savings)
+  };
+}
+
+// Savings breakdowns for every SVG SVGO could optimize, plus the causes summed over
+// all of them. Identical markup is only explained once.
+function explainSavings(svgs, result, options = {}) {
+  const cache = new Map();
+  const entries = [];
+  
+  result.svgStats.forEach(stat => {
+    if (stat.error) return;
+    const markup = svgs[stat.index].html;
+    if (!cache.has(markup)) {
+      cache.set(markup, explainSvgSavings(markup, options));
+    }
+    entries.push({ index: stat.index, location: svgs[stat.index].location || null, ...cache.get(markup) });
+  });
+  
+  const totals = new Map();
+  entries.forEach(entry => entry.causes.forEach(({ cause, label, savings }) => {
+    if (!totals.has(cause)) {
+      totals.set(cause, { cause, label, savings: 0, svgCount: 0 });
+    }
+    totals.get(cause).savings += savings;
+    totals.get(cause).svgCount += 1;
+  }));
+  
+  return {
+    svgs: entries,
+    causes: [...totals.values()].sort((a, b) => b.savings - a.savings)
+  };
+}
+
+// --verify renders both versions of an SVG this many pixels wide and flags it
+// when more than the tolerance (a fraction of the pixels) differs
+const DEFAULT_VERIFY_SIZE = 64;
+const DEFAULT_VERIFY_TOLERANCE = 0.01;
+
+// How far apart (0-255, in any channel over a white background) two pixels may be
+// and still count as the same, so anti-aliasing noise does not count as a change
+const PIXEL_THRESHOLD = 32;
+
+let resvgModule = null;
+
+// resvg's WebAssembly build, initialized once
+function loadResvg() {
+  if (!resvgModule) {
+    let resvg;
+    try {
+      resvg = require('@resvg/resvg-wasm');
+    } catch (error) {
+      throw new Error('--verify needs @resvg/resvg-wasm, which is not installed. Install it with: pnpm add @resvg/resvg-wasm');
+    }
+    resvgModule = resvg.initWasm(fs.readFileSync(require.resolve('@resvg/resvg-wasm/index_bg.wasm')))
+      .then(() => resvg);
+  }
+  return resvgModule;
+}
+
+// Rasterizes SVG markup to RGBA pixels, width pixels wide
+async function rasterizeSvg(markup, width = DEFAULT_VERIFY_SIZE) {
+  const { Resvg } = await loadResvg();
+  const image = new Resvg(markup, { fitTo: { mode: 'width', value: width }, font: { loadSystemFonts: false } }).render();
+  return { width: image.width, height: image.height, pixels: image.pixels };
+}
+
+// Inline SVGs rely on the HTML parser for their namespaces; a standalone renderer
+// needs them spelled out
+function toStandaloneSvg(markup) {
+  return markup.replace(/<svg\b([^>]*)>/i, (tag, attributes) => {
+    let added = '';
+    if (!/\sxmlns\s*=/.test(attributes)) {
+      added += ' xmlns="http://www.w3.org/2000/svg"';
+    }
+    if (!/\sxmlns:xlink\s*=/.test(attributes) && markup.includes('xlink:')) {
+      added += ' xmlns:xlink="http://www.w3.org/1999/xlink"';
+    }
+    return added ? `<svg${added}${attributes}>` : tag;
+  });
+}
+
+// The share of pixels (0-1) that differ between two RGBA images, composited over
+// white. Images of different sizes differ entirely.
+function comparePixels(a, b) {
+  if (a.width !== b.width || a.height !== b.height) {
+    return 1;
+  }
+  
+  const total = a.width * a.height;
+  let different = 0;
+  for (let i = 0; i < a.pixels.length; i += 4) {
+    const alphaA = a.pixels[i + 3] / 255;
+    const alphaB = b.pixels[i + 3] / 255;
+    for (let channel = 0; channel < 3; channel++) {
+      const valueA = a.pixels[i + channel] * alphaA + 255 * (1 - alphaA);
+      const valueB = b.pixels[i + channel] * alphaB + 255 * (1 - alphaB);
+      if (Math.abs(valueA - valueB) > PIXEL_THRESHOLD) {
+        different++;
+        break;
+      }
+    }
+  }
+  return total > 0 ? different / total : 0;
+}
+
+// Renders every SVG SVGO changed before and after optimization and compares the
+// pixels. Each entry's status is "unchanged", "changed" (over the tolerance: not
+// safe to optimize) or "error" (the renderer could not read the markup).
+// options.rasterize stands in for the resvg renderer.
+async function verifyRendering(svgs, result, options = {}) {
+  const rasterize = options.rasterize || rasterizeSvg;
+  const tolerance = options.tolerance !== undefined ? options.tolerance : DEFAULT_VERIFY_TOLERANCE;
+  const size = options.size || DEFAULT_VERIFY_SIZE;
+  const cache = new Map();
+  const entries = [];
+  if (!options.rasterize) {
+    await loadResvg();
+  }
+  
+  for (const stat of result.svgStats) {
+    if (stat.optimizedHtml === null) continue;
+    const markup = svgs[stat.index].html;
+    
+    if (!cache.has(markup)) {
+      try {
+        const [original, optimized] = await Promise.all([
+          rasterize(toStandaloneSvg(markup), size),
+          rasterize(toStandaloneSvg(stat.optimizedHtml), size)
+        ]);
+        const difference = comparePixels(original, optimized);
+        cache.set(markup, { status: difference > tolerance ? 'changed' : 'unchanged', difference: Number(difference.toFixed(4)) });
+      } catch (error) {
+        cache.set(markup, { status: 'error', difference: null, error: error.message });
+      }
+    }
+    entries.push({ index: stat.index, location: svgs[stat.index].location || null, ...cache.get(markup) });
+  }
+  
+  return { tolerance, size, svgs: entries };
+}
+
+// The analysis with SVGs whose rendering changed treated as unoptimizable: they
+// keep their original size, so savings and --fix leave them out
+function excludeUnsafeOptimizations(result, verification) {
+  const unsafe = new Set(verification.svgs.filter(entry => entry.status === 'changed').map(entry => entry.index));
+  if (unsafe.size === 0) {
+    return result;
+  }
+  
+  const svgStats = result.svgStats.map(stat => unsafe.has(stat.index) 
+    ? { ...stat, optimizedSize: stat.originalSize, optimizedHtml: null, unsafe: true } 
+    : stat);
+  return {
+    ...result,
+    svgStats,
+    totalOptimizedSize: svgStats.reduce((sum, stat) => sum + stat.optimizedSize, 0)
+  };
+}
+
+const DEFAULT_SIMILARITY_THRESHOLD = 0.9;
+
+// The aspects canonicalizeSvg can ignore, as reported for near-duplicates
+const NEAR_DUPLICATE_ASPECTS = { color: 'ignoreColors', size: 'ignoreSize', ids: 'ignoreIds' };
+
+function canonicalTokens(canonical) {
+  const counts = new Map();
+  (canonical.match(/<\/?[^\s>]+|[^\s<>="]+="[^"]*"|[^\s<>"]+/g) || []).forEach(token => {
+    counts.set(token, (counts.get(token) || 0) + 1);
+  });
+  return counts;
+}
+
+// Similarity of two SVGs between 0 and 1: the Dice coefficient of the elements
+// and attributes of their canonical forms, with ids, colors and root size
+// ignored. 1 means they only differ in those.
+function svgSimilarity(a, b) {
+  const shapeOptions = { ignoreIds: true, ignoreColors: true, ignoreSize: true };
+  const tokensA = canonicalTokens(canonicalizeSvg(a, shapeOptions));
+  const tokensB = canonicalTokens(canonicalizeSvg(b, shapeOptions));
+  return diceCoefficient(tokensA, tokensB);
+}
+
+function diceCoefficient(tokensA, tokensB) {
+  let shared = 0;
+  let total = 0;
+  tokensA.forEach((count, token) => {
+    shared += Math.min(count, tokensB.get(token) || 0);
+    total += count;
+  });
+  tokensB.forEach(count => {
+    total += count;
+  });
+  return total > 0 ? (2 * shared) / total : 1;
+}
+
+// Groups SVGs that are not exact duplicates but look alike: the same shape in
+// another color or size, or (below a threshold of 1) a similarity score of at
+// least options.threshold. Exact duplicates take part through their first
+// occurrence. Each group lists which aspects differ from its first SVG.
+function findNearDuplicates(svgs, result, options = {}) {
+  const threshold = options.threshold !== undefined ? options.threshold : DEFAULT_SIMILARITY_THRESHOLD;
+  const shapeOptions = { ignoreIds: true, ignoreColors: true, ignoreSize: true };
+  
+  const seenHashes = new Set();
+  const candidates = [];
+  result.svgStats.forEach(stat => {
+    if (seenHashes.has(stat.hash)) return;
+    seenHashes.add(stat.hash);
+    const canonical = canonicalizeSvg(svgs[stat.index].html, shapeOptions);
+    candidates.push({ index: stat.index, canonical, tokens: canonicalTokens(canonical) });
+  });
+  
+  // Each candidate joins the earlier group whose first SVG it is most similar to,
+  // if that is similar enough, and starts a group of its own otherwise
+  const groups = [];
+  candidates.forEach(candidate => {
+    let best = null;
+    for (const group of groups) {
+      const first = group.members[0];
+      const similarity = first.canonical === candidate.canonical ? 1 : diceCoefficient(first.tokens, candidate.tokens);
+      if (similarity >= threshold && (!best || similarity > best.similarity)) {
+        best = { group, similarity };
+      }
+    }
+    if (best) {
+      best.group.members.push({ ...candidate, similarity: best.similarity });
+    } else {
+      groups.push({ members: [{ ...candidate, similarity: 1 }] });
+    }
+  });
+  
+  const differencesFrom = (first, member) => {
+    if (first.canonical !== member.canonical) {
+      return ['shape'];
+    }
+    // Same shape: find the aspects that tell them apart by ignoring all the others
+    return Object.entries(NEAR_DUPLICATE_ASPECTS)
+      .filter(([, option]) => {
+        const otherAspects = { ...shapeOptions, [option]: false };
+        return hashSvg(svgs[first.index].html, otherAspects) !== hashSvg(svgs[member.index].html, otherAspects);
+      })
+      .map(([aspect]) => aspect);
+  };
+  
+  return groups
+    .filter(group => group.members.length > 1)
+    .map(group => {
+      const [first, ...others] = group.members;
+      const members = others.map(member => ({
+        index: member.index,
+        similarity: Number(member.similarity.toFixed(3)),
+        differences: differencesFrom(first, member)
+      }));
+      // All but the first could become <use> references with their own color or size
+      const optimizedSavings = members.reduce((sum, member) => sum + result.svgStats[member.index].optimizedSize, 0);
+      
+      return {
+        indices: [first.index, ...members.map(member => member.index)],
+        locations: [first, ...members].map(member => svgs[member.index].location || null),
+        similarity: Math.min(...members.map(member => member.similarity)),
+        differences: [...new Set(members.flatMap(member => member.differences))],
+        members,
+        optimizedSavings
+      };
+    });
+}
+
+// Root attributes that assistive technology relies on, which SVGO may drop as
+// unknown or default values
+const ACCESSIBILITY_ATTRIBUTES = ['role', 'aria-label', 'aria-labelledby', 'aria-describedby', 'aria-hidden', 'focusable'];
+
+function hasElementWithId($, id) {
+  return $('[id]').filter((_, node) => node.attribs.id === id).length > 0;
+}
+
+// What the optimized markup lost that the original SVG used for its accessible
+// name or to stay hidden, with the SVGO plugin responsible for each
+function findStrippedAccessibility($, optimizedHtml, hidden) {
+  const $optimized = cheerio.load(optimizedHtml, { xml: true });
+  const root = $('svg').first();
+  const optimizedRoot = $optimized('svg').first();
+  const lost = [];
+  
+  if (!hidden) {
+    [['title', 'removeTitle'], ['desc', 'removeDesc']].forEach(([tag, plugin]) => {
+      if ($optimized(tag).length < $(tag).length) {
+        lost.push({ what: `<${tag}>`, plugin });
+      }
+    });
+    ARIA_REFERENCE_ATTRIBUTES.forEach(name => {
+      (root.attr(name) || '').split(/\s+/)
+        .filter(id => id && hasElementWithId($, id) && !hasElementWithId($optimized, id))
+        .forEach(id => lost.push({ what: `id "${id}" used by ${name}`, plugin: 'cleanupIds' }));
+    });
+  }
+  
+  ACCESSIBILITY_ATTRIBUTES.forEach(name => {
+    if (root.attr(name) !== undefined && optimizedRoot.attr(name) === undefined) {
+      lost.push({ what: `${name}="${root.attr(name)}"`, plugin: 'removeUnknownsAndDefaults' });
+    }
+  });
+  
+  return lost;
+}
+
+// Accessibility findings for every SVG that has any: no accessible name, decorative
+// SVGs not hidden from assistive technology, aria-labelledby/aria-describedby ids
+// missing from the document, and <title>, <desc>, ids or ARIA attributes the SVGO
+// config strips. Severities are SARIF levels (error, warning, note). SVGs without
+// an accessibility context skip the checks that need the page.
+function auditAccessibility(svgs, result) {
+  const entries = [];
+  
+  svgs.forEach((svg, index) => {
+    if (svg.nested) return;
+    const context = svg.accessibility || null;
+    
+    const findings = [];
+    const add = (rule, severity, message) => findings.push({ rule, severity, message });
+    
+    const $ = cheerio.load(svg.html, { xml: true });
+    const root = $('svg').first();
+    const attr = name => (root.attr(name) || '').trim();
+    const role = attr('role');
+    const hidden = attr('aria-hidden') === 'true' || role === 'presentation' || role === 'none';
+    const missingReferences = context ? context.missingReferences : {};
+    
+    Object.entries(missingReferences).forEach(([name, ids]) => {
+      const list = ids.map(id => `"${id}"`).join(', ');
+      add('svg-a11y-broken-reference', 'error', `${name} points at ${list}, which ${ids.length === 1 ? 'is' : 'are'} not in the document.`);
+    });
+    
+    const brokenLabels = missingReferences['aria-labelledby'] || [];
+    const hasName = Boolean(
+      attr('aria-label') ||
+      root.children('title').text().trim() ||
+      attr('aria-labelledby').split(/\s+/).some(id => id && !brokenLabels.includes(id))
+    );
+    
+    if (hidden) {
+      if (attr('focusable') !== 'false') {
+        add('svg-a11y-focusable', 'note', 'Decorative SVG lacks focusable="false", so Internet Explorer and legacy Edge still put it in the tab order.');
+      }
+    } else if (!hasName) {
+      if (role === 'img') {
+        add('svg-a11y-role-img-without-name', 'error', 'SVG has role="img" but no accessible name: add a <title>, aria-label or aria-labelledby.');
+      } else if (context && context.control && context.controlHasText) {
+        add('svg-a11y-decorative-not-hidden', 'warning', `Decorative SVG next to the text of its <${context.control}> is not hidden: add aria-hidden="true" and focusable="false".`);
+      } else if (context && context.control) {
+        add('svg-a11y-missing-name', 'error', `SVG is the only content of its <${context.control}>, which has no accessible name: add a <title> or aria-label.`);
+      } else {
+        add('svg-a11y-missing-name', 'warning', 'SVG has no accessible name: add a <title> or aria-label if it is meaningful, or aria-hidden="true" if it is decorative.');
+      }
+    }
+    
+    const stat = result.svgStats[index];
+    if (stat && stat.optimizedHtml) {
+      const lost = findStrippedAccessibility($, stat.optimizedHtml, hidden);
+      if (lost.length > 0) {
+        const plugins = [...new Set(lost.map(item => item.plugin))];
+        add('svg-a11y-stripped-by-svgo', 'warning', `The SVGO config strips ${lost.map(item => item.what).join(', ')}; disable ${plugins.join(', ')} to keep ${lost.length === 1 ? 'it' : 'them'}.`);
+      }
+    }
+    
+    if (findings.length > 0) {
+      entries.push({ index, location: svg.location || null, findings });
+    }
+  });
+  
+  return entries;
+}
+
+const ID_ATTRIBUTE_PATTERN = /\sid\s*=\s*(["'])(.*?)\1/g;
+
+// url(#id) in attributes and styles, and href/xlink:href="#id"
+const ID_REFERENCE_PATTERNS = [
+  /url\(\s*(["']?)#([^"')\s]+)\1\s*\)/g,
+  /\s(?:xlink:)?href\s*=\s*(["'])#(.*?)\1/g
+];
+
+function findDefinedIds(markup) {
+  return [...new Set([...markup.matchAll(ID_ATTRIBUTE_PATTERN)].map(match => match[2]).filter(Boolean))];
+}
+
+function findReferencedIds(markup) {
+  return [...new Set(ID_REFERENCE_PATTERNS.flatMap(pattern => [...markup.matchAll(pattern)].map(match => match[2])))];
+}
+
+// Ids defined in more than one SVG of a document, by id. Indices are in document order.
+function collectIdDefinitions(indices, markupOf) {
+  const definitions = new Map();
+  indices.forEach(index => {
+    findDefinedIds(markupOf(index)).forEach(id => {
+      if (!definitions.has(id)) {
+        definitions.set(id, []);
+      }
+      definitions.get(id).push(index);
+    });
+  });
+  return definitions;
+}
+
+// Id problems between the inline SVGs of each document (a page, or a file of a
+// directory scan):
+// - collisions: ids defined in several SVGs. The browser resolves url(#id) and
+//   href="#id" to the first one, so "misresolved" lists the later SVGs that
+//   reference their own, shadowed definition.
+// - brokenReferences: url(#id) and href="#id" pointing at ids no SVG defines
+// - renamedIds: ids that the SVGO config (cleanupIds) renames or removes;
+//   "referencedElsewhere" lists the ones other SVGs still point at
+// - optimizedCollisions: ids defined in several SVGs after optimization, as
+//   cleanupIds gives every SVG the same short ids
+// Nested SVGs are part of their outer SVG's markup, so only outer ones are compared.
+function findIdConflicts(svgs, result) {
+  const documents = new Map();
+  svgs.forEach((svg, index) => {
+    if (svg.nested) return;
+    const file = (svg.location && svg.location.file) || '';
+    if (!documents.has(file)) {
+      documents.set(file, []);
+    }
+    documents.get(file).push(index);
+  });
+  
+  const locationOf = index => svgs[index].location || null;
+  const optimizedOf = index => {
+    const stat = result.svgStats[index];
+    return stat && stat.optimizedHtml !== null ? stat.optimizedHtml : svgs[index].html;
+  };
+  const collisions = [];
+  const brokenReferences = [];
+  const renamedIds = [];
+  const optimizedCollisions = [];
+  
+  documents.forEach(indices => {
+    const definitions = collectIdDefinitions(indices, index => svgs[index].html);
+    const references = new Map(indices.map(index => [index, findReferencedIds(svgs[index].html)]));
+    
+    definitions.forEach((definedIn, id) => {
+      if (definedIn.length < 2) return;
+      collisions.push({
+        id,
+        indices: definedIn,
+        locations: definedIn.map(locationOf),
+        misresolved: definedIn.slice(1).filter(index => references.get(index).includes(id))
+      });
+    });
+    
+    indices.forEach(index => {
+      const missing = references.get(index).filter(id => !definitions.has(id));
+      if (missing.length > 0) {
+        brokenReferences.push({ index, location: locationOf(index), ids: missing });
+      }
+      
+      const stat = result.svgStats[index];
+      if (!stat || stat.optimizedHtml === null) return;
+      const kept = new Set(findDefinedIds(stat.optimizedHtml));
+      const renamed = findDefinedIds(svgs[index].html).filter(id => !kept.has(id));
+      if (renamed.length > 0) {
+        const referencedElsewhere = renamed.filter(id => 
+          indices.some(other => other !== index && references.get(other).includes(id) && !definitions.get(id).includes(other)));
+        renamedIds.push({ index, location: locationOf(index), ids: renamed, referencedElsewhere });
+      }
+    });
+    
+    collectIdDefinitions(indices, optimizedOf).forEach((definedIn, id) => {
+      if (definedIn.length > 1) {
+        optimizedCollisions.push({ id, indices: definedIn });
+      }
+    });
+  });
+  
+  return { collisions, brokenReferences, renamedIds, optimizedCollisions };
+}
+
+// Security finding severities, lowest first
+const SECURITY_SEVERITIES = ['low', 'medium', 'high'];
+
+const EXTERNAL_URL_PATTERN = /^\s*(?:https?:)?\/\//i;
+const CSS_EXTERNAL_URL_PATTERN = /url\(\s*(["']?)\s*(?:https?:)?\/\/[^)]*\)/gi;
+const CSS_IMPORT_PATTERN = /@import[^;]*;?/gi;
+const BASE64_PAYLOAD_PATTERN = /data:([\w.+-]+\/[\w.+-]+)?[^,]*;base64,/i;
+const CSS_BASE64_URL_PATTERN = /url\(\s*(["']?)\s*data:[^)]*;base64,[^)]*\)/gi;
+
+// Base64 images are a size concern at most; anything else may carry active content
+function base64PayloadSeverity(value) {
+  const match = value.match(BASE64_PAYLOAD_PATTERN);
+  const type = match && match[1] ? match[1].toLowerCase() : '';
+  return type.startsWith('image/') && type !== 'image/svg+xml' ? 'low' : 'medium';
+}
+
+// Risky content of the SVG markup: scripts, event handlers, javascript: URLs,
+// <foreignObject> with HTML, external resource loads and base64 payloads. Each
+// issue carries the source range that sanitizeSvg removes (html is its replacement).
+function findSecurityIssues(markup) {
+  const $ = cheerio.load(markup, {
+    xmlMode: false,
+    decodeEntities: false,
+    lowerCaseAttributeNames: false,
+    sourceCodeLocationInfo: true
+  });
+  const root = $('svg').first();
+  const issues = [];
+  if (root.length === 0) {
+    return issues;
+  }
+  
+  const add = (rule, severity, message, location, html = '') => issues.push({
+    rule,
+    severity,
+    message,
+    startOffset: location.startOffset,
+    endOffset: location.endOffset,
+    html
+  });
+  
+  [root[0], ...root.find('*').toArray()].forEach(el => {
+    const tag = el.tagName;
+    const location = el.sourceCodeLocation;
+    if (!location) return;
+    
+    if (tag.toLowerCase() === 'script') {
+      add('svg-security-script', 'high', '<script> element', location);
+      return;
+    }
+    if (tag.toLowerCase() === 'foreignobject' && ($(el).children().length > 0 || $(el).text().trim())) {
+      add('svg-security-foreign-object', 'medium', '<foreignObject> with HTML content', location);
+      return;
+    }
+    
+    el.attributes.forEach(attribute => {
+      const name = attribute.prefix ? `${attribute.prefix}:${attribute.name}` : attribute.name;
+      const attributeLocation = location.startTag && location.startTag.attrs && location.startTag.attrs[name];
+      if (!attributeLocation) return;
+      // The whitespace before the attribute goes along with it
+      const range = {
+        startOffset: attributeLocation.startOffset - (/\s/.test(markup[attributeLocation.startOffset - 1]) ? 1 : 0),
+        endOffset: attributeLocation.endOffset
+      };
+      const value = attribute.value;
+      
+      if (/^on/i.test(attribute.name)) {
+        add('svg-security-event-handler', 'high', `${name} event handler on <${tag}>`, range);
+      } else if (/^javascript:/i.test(value.replace(/[\s\u0000-\u001f]/g, ''))) {
+        add('svg-security-javascript-url', 'high', `javascript: URL in ${name} of <${tag}>`, range);
+      } else if (BASE64_PAYLOAD_PATTERN.test(value)) {
+        add('svg-security-base64-payload', base64PayloadSeverity(value), `Base64 payload in ${name} of <${tag}>`, range);
+      } else if ((['href', 'src'].includes(attribute.name) && tag !== 'a' && EXTERNAL_URL_PATTERN.test(value)) ||
+        value.search(CSS_EXTERNAL_URL_PATTERN) !== -1) {
+        add('svg-security-external-resource', 'medium', `<${tag}> loads an external resource: ${value.trim()}`, range);
+      }
+    });
+    
+    if (tag.toLowerCase() === 'style' && location.startTag && location.endTag) {
+      const cssStart = location.startTag.endOffset;
+      const css = markup.slice(cssStart, location.endTag.startOffset);
+      const cssRange = (match, html) => 
+        ({ startOffset: cssStart + match.index, endOffset: cssStart + match.index + match[0].length, html });
+      
+      const imports = [...css.matchAll(CSS_IMPORT_PATTERN)];
+      const inImport = match => imports.some(({ index, 0: statement }) => match.index >= index && match.index < index + statement.length);
+      imports.forEach(match => {
+        add('svg-security-external-resource', 'medium', `<style> imports an external stylesheet: ${match[0].trim()}`, cssRange(match, ''));
+      });
+      [...css.matchAll(CSS_EXTERNAL_URL_PATTERN)].filter(match => !inImport(match)).forEach(match => {
+        add('svg-security-external-resource', 'medium', `<style> loads an external resource: ${match[0]}`, cssRange(match), 'none');
+      });
+      [...css.matchAll(CSS_BASE64_URL_PATTERN)].forEach(match => {
+        add('svg-security-base64-payload', base64PayloadSeverity(match[0]), 'Base64 payload in <style>', cssRange(match), 'none');
+      });
+    }
+  });
+  
+  return issues;
+}
+
+// Security findings for every SVG that has any, with a severity of low, medium
+// or high. SVGs nested in another one are covered by the outer SVG.
+function scanSvgSecurity(svgs) {
+  const entries = [];
+  
+  svgs.forEach((svg, index) => {
+    if (svg.nested) return;
+    const findings = findSecurityIssues(svg.html).map(({ rule, severity, message }) => ({ rule, severity, message }));
+    if (findings.length > 0) {
+      entries.push({ index, location: svg.location || null, findings });
+    }
+  });
+  
+  return entries;
+}
+
+// The findings of a security scan at or above a severity
+function filterSecurityFindings(entries, minSeverity = 'low') {
+  const minRank = SECURITY_SEVERITIES.indexOf(minSeverity);
+  return entries.flatMap(entry => entry.findings
+    .filter(finding => SECURITY_SEVERITIES.indexOf(finding.severity) >= minRank)
+    .map(finding => ({ index: entry.index, ...finding })));
+}
+
+function calculateSavingsPercent(originalSize, optimizedSize) {
+  return originalSize > 0 
+    ? Number((((originalSize - optimizedSize) / originalSize) * 100).toFixed(1)) 
+    : 0;
+}
+
+// Compare an analysis against the configured budgets. Returns one entry per breach;
+// per-SVG breaches carry the SVG index, page-level ones have index null.
+function checkBudgets(svgs, result, budgets = DEFAULT_BUDGETS) {
+  const breaches = [];
+  const breach = (budget, limit, actual, index, message) => 
+    breaches.push({ budget, limit, actual, index, message });
+  
+  if (budgets.maxTotalBytes !== null && result.totalOriginalSize > budgets.maxTotalBytes) {
+    breach('maxTotalBytes', budgets.maxTotalBytes, result.totalOriginalSize, null,
+      `Total inline SVG size ${formatBytes(result.totalOriginalSize)} exceeds budget of ${formatBytes(budgets.maxTotalBytes)}`);
+  }
+  
+  const duplicateGroupCount = Object.keys(result.duplicates).length;
+  if (budgets.maxDuplicateGroups !== null && duplicateGroupCount > budgets.maxDuplicateGroups) {
+    breach('maxDuplicateGroups', budgets.maxDuplicateGroups, duplicateGroupCount, null,
+      `${duplicateGroupCount} duplicate SVG group(s) exceed budget of ${budgets.maxDuplicateGroups}`);
+  }
+  
+  result.svgStats.forEach(stat => {
+    if (budgets.maxSvgBytes !== null && stat.originalSize > budgets.maxSvgBytes) {
+      breach('maxSvgBytes', budgets.maxSvgBytes, stat.originalSize, stat.index,
+        `SVG #${stat.index} is ${formatBytes(stat.originalSize)}, exceeding budget of ${formatBytes(budgets.maxSvgBytes)}`);
+    }
+    
+    const savingsPercent = calculateSavingsPercent(stat.originalSize, stat.optimizedSize);
+    if (budgets.maxSavingsPercent !== null && savingsPercent > budgets.maxSavingsPercent) {
+      breach('maxSavingsPercent', budgets.maxSavingsPercent, savingsPercent, stat.index,
+        `SVG #${stat.index} could be ${savingsPercent}% smaller, exceeding budget of ${budgets.maxSavingsPercent}%`);
+    }
+  });
+  
+  return breaches;
+}
+
+// Report locations use the URL as-is and file paths relative to the working directory,
+// which is what code-scanning dashboards expect for repository files
+function toArtifactUri(input) {
+  if (isUrl(input)) {
+    return input;
+  }
+  return path.relative(process.cwd(), toFilePath(input)).split(path.sep).join('/');
+}
+
+function buildJsonReport(input, svgs, result, budgets = DEFAULT_BUDGETS, extras = {}) {
+  const duplicateSummary = summarizeDuplicates(svgs, result);
+  const totalSavings = result.totalOriginalSize - result.totalOptimizedSize;
+  const transferSizes = extras.transferSizes || null;
+  
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    tool: { name: 'svg-opti-detector', version },
+    source: input,
+    summary: {
+      totalSvgs: svgs.length,
+      totalOriginalSize: result.totalOriginalSize,
+      totalOptimizedSize: result.totalOptimizedSize,
+      totalSavings,
+      totalSavingsPercent: calculateSavingsPercent(result.totalOriginalSize, result.totalOptimizedSize),
+      ...(transferSizes ? { compressed: transferSizes.totals } : {}),
+      ...(transferSizes && transferSizes.page ? { page: transferSizes.page } : {})
+    },
+    svgs: result.svgStats.map(stat => ({
+      index: stat.index,
+      attributes: svgs[stat.index].attributes,
+      location: svgs[stat.index].location || null,
+      hash: stat.hash,
+      originalSize: stat.originalSize,
+      optimizedSize: stat.optimizedSize,
+      savings: stat.originalSize - stat.optimizedSize,
+      savingsPercent: calculateSavingsPercent(stat.originalSize, stat.optimizedSize),
+      isDuplicate: stat.isDuplicate,
+      ...(stat.unsafe ? { unsafe: true } : {}),
+      ...(transferSizes 
+        ? { compressed: { original: transferSizes.svgs[stat.index].original, optimized: transferSizes.svgs[stat.index].optimized } } 
+        : {}),
+      ...(svgs[stat.index].origin ? { origin: svgs[stat.index].origin } : {})
+    })),
+    duplicates: duplicateSummary.groups,
+    deduplication: {
+      duplicateGroupCount: duplicateSummary.duplicateGroupCount,
+      totalDuplicates: duplicateSummary.totalDuplicates,
+      scenarios: {
+        deduplicationOnly: transferSizes 
+          ? { ...duplicateSummary.deduplicationOnly, compressed: transferSizes.deduplicationOnly } 
+          : duplicateSummary.deduplicationOnly,
+        deduplicationAndOptimization: transferSizes 
+          ? { ...duplicateSummary.deduplicationAndOptimization, compressed: transferSizes.deduplicationAndOptimization } 
+          : duplicateSummary.deduplicationAndOptimization
+      },
+      combinedSavings: duplicateSummary.combinedSavings,
+      combinedSavingsPercent: duplicateSummary.combinedSavingsPercent
+    },
+    budgets: {
+      limits: budgets,
+      breaches: checkBudgets(svgs, result, budgets)
+    },
+    ...(extras.nearDuplicates ? { nearDuplicates: extras.nearDuplicates } : {}),
+    ...(extras.accessibility ? { accessibility: extras.accessibility } : {}),
+    ...(extras.idConflicts ? { idConflicts: extras.idConflicts } : {}),
+    ...(extras.security ? { security: extras.security } : {}),
+    ...(extras.explanations ? { explanations: extras.explanations } : {}),
+    ...(extras.verification ? { verification: extras.verification } : {}),
+    ...(extras.render ? { render: extras.render } : {}),
+    ...(extras.external ? { external: extras.external } : {}),
+    ...(extras.config ? { config: extras.config } : {}),
+    ...(extras.comparison ? { comparison: extras.comparison } : {})
+  };
+}
+
+// What identifies an SVG across runs when its content changes: its file (for scans)
+// and identifying attributes. Null when the SVG has neither an id nor a class, as
+// those cannot be told apart from any other SVG.
+function svgIdentityKey(svg) {
+  const { attributes } = svg;
+  if (!attributes || (!attributes.id && !attributes.class)) {
+    return null;
+  }
+  const file = svg.location && svg.location.file ? svg.location.file : null;
+  return JSON.stringify([file, attributes.id, attributes.class, attributes.width, attributes.height, attributes.viewBox]);
+}
+
+// Reads a baseline saved with --save-baseline (or -f json) for compareReports
+function loadBaseline(file) {
+  let baseline;
+  try {
+    baseline = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read baseline ${file}: ${error.message}`);
+  }
+  if (baseline.schemaVersion !== REPORT_SCHEMA_VERSION) {
+    throw new Error(`Baseline ${file} has report schema version ${baseline.schemaVersion}, expected ${REPORT_SCHEMA_VERSION}: save it again with --save-baseline`);
+  }
+  if (!Array.isArray(baseline.svgs)) {
+    throw new Error(`Baseline ${file} is not a single page or directory scan report`);
+  }
+  return baseline;
+}
+
+// Pairs the SVGs of two JSON reports (see buildJsonReport) by content hash and
+// identifying attributes, then by identifying attributes alone (the SVG changed),
+// then by hash alone (its attributes changed), never by index. The SVGs left over
+// were added or removed.
+function matchReportSvgs(baseline, current) {
+  const unmatchedBaseline = new Set(baseline.svgs);
+  const unmatchedCurrent = new Set(current.svgs);
+  const matches = [];
+  
+  const matchBy = (keyOf) => {
+    const byKey = new Map();
+    unmatchedBaseline.forEach(svg => {
+      const key = keyOf(svg);
+      if (key === null) return;
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(svg);
+    });
+    
+    [...unmatchedCurrent].forEach(svg => {
+      const key = keyOf(svg);
+      const candidates = key === null ? null : byKey.get(key);
+      if (!candidates || candidates.length === 0) return;
+      const baselineSvg = candidates.shift();
+      unmatchedBaseline.delete(baselineSvg);
+      unmatchedCurrent.delete(svg);
+      matches.push({ baseline: baselineSvg, current: svg });
+    });
+  };
+  
+  matchBy(svg => {
+    const identity = svgIdentityKey(svg);
+    return identity === null ? `${svg.hash}|${JSON.stringify(svg.attributes)}` : `${svg.hash}|${identity}`;
+  });
+  matchBy(svgIdentityKey);
+  matchBy(svg => svg.hash);
+  
+  return {
+    matches,
+    added: [...unmatchedCurrent].map(describeComparedSvg),
+    removed: [...unmatchedBaseline].map(describeComparedSvg)
+  };
+}
+
+function describeComparedSvg(svg) {
+  return {
+    index: svg.index,
+    hash: svg.hash,
+    attributes: svg.attributes,
+    location: svg.location,
+    originalSize: svg.originalSize,
+    optimizedSize: svg.optimizedSize
+  };
+}
+
+function describeSizeChange({ baseline: before, current: after }) {
+  return {
+    baseline: describeComparedSvg(before),
+    current: describeComparedSvg(after),
+    originalSizeDelta: after.originalSize - before.originalSize,
+    optimizedSizeDelta: after.optimizedSize - before.optimizedSize
+  };
+}
+
+// Compares two JSON reports (see matchReportSvgs for how SVGs are paired). Matched
+// SVGs whose original or optimized size grew are listed, along with the added and
+// removed ones and duplicate groups the baseline did not have.
+function compareReports(baseline, current) {
+  const { matches, added, removed } = matchReportSvgs(baseline, current);
+  
+  const grown = matches
+    .filter(({ baseline: before, current: after }) => 
+      after.originalSize > before.originalSize || after.optimizedSize > before.optimizedSize)
+    .map(describeSizeChange);
+  
+  const baselineGroupHashes = new Set(baseline.duplicates.map(group => group.hash));
+  const newDuplicateGroups = current.duplicates.filter(group => !baselineGroupHashes.has(group.hash));
+  
+  return {
+    baseline: { source: baseline.source, summary: baseline.summary },
+    summary: {
+      addedCount: added.length,
+      removedCount: removed.length,
+      grownCount: grown.length,
+      newDuplicateGroupCount: newDuplicateGroups.length,
+      totalOriginalSizeDelta: current.summary.totalOriginalSize - baseline.summary.totalOriginalSize,
+      totalOptimizedSizeDelta: current.summary.totalOptimizedSize - baseline.summary.totalOptimizedSize,
+      // Bytes SVGO could still remove: "this change added N bytes of unoptimized SVG"
+      unoptimizedSizeDelta: current.summary.totalSavings - baseline.summary.totalSavings
+    },
+    added,
+    removed,
+    grown,
+    newDuplicateGroups
+  };
+}
+
+// What changed between two JSON reports of the same input, as --watch prints after
+// every change: SVGs added, removed or resized, and duplicate groups that appeared
+// or disappeared
+function diffReports(previous, current) {
+  const { matches, added, removed } = matchReportSvgs(previous, current);
+  const previousGroupHashes = new Set(previous.duplicates.map(group => group.hash));
+  const currentGroupHashes = new Set(current.duplicates.map(group => group.hash));
+  
+  return {
+    added,
+    removed,
+    resized: matches
+      .filter(({ baseline: before, current: after }) => 
+        after.originalSize !== before.originalSize || after.optimizedSize !== before.optimizedSize)
+      .map(describeSizeChange),
+    newDuplicateGroups: current.duplicates.filter(group => !previousGroupHashes.has(group.hash)),
+    removedDuplicateGroups: previous.duplicates.filter(group => !currentGroupHashes.has(group.hash)),
+    totalOriginalSizeDelta: current.summary.totalOriginalSize - previous.summary.totalOriginalSize,
+    totalOptimizedSizeDelta: current.summary.totalOptimizedSize - previous.summary.totalOptimizedSize
+  };
+}
+
+function formatByteDelta(delta) {
+  return `${delta > 0 ? '+' : delta < 0 ? '-' : '±'}${formatBytes(Math.abs(delta))}`;
+}
+
+function printComparison(comparison, log = console.log) {
+  const { summary } = comparison;
+  const describe = (svg) => `SVG #${svg.index}${generateIdentifierString(svg.attributes)}${svg.location ? ` at ${formatLocation(svg.location)}` : ''}`;
+  
+  log('');
+  log(chalk.blue.bold(`🔁 COMPARISON WITH BASELINE (${comparison.baseline.source})`));
+  log('─'.repeat(50));
+  
+  const sizeColor = summary.totalOriginalSizeDelta > 0 ? chalk.red : chalk.green;
+  const unoptimizedColor = summary.unoptimizedSizeDelta > 0 ? chalk.red : chalk.green;
+  log(sizeColor(`Inline SVG size: ${formatByteDelta(summary.totalOriginalSizeDelta)}`));
+  log(sizeColor(`Optimized size: ${formatByteDelta(summary.totalOptimizedSizeDelta)}`));
+  log(unoptimizedColor(`Unoptimized bytes: ${formatByteDelta(summary.unoptimizedSizeDelta)}`));
+  log('');
+  
+  if (comparison.added.length > 0) {
+    log(chalk.yellow.bold(`➕ New SVGs (${comparison.added.length})`));
+    comparison.added.forEach(svg => log(`   ${describe(svg)}: ${formatBytes(svg.originalSize)} (optimized ${formatBytes(svg.optimizedSize)})`));
+  }
+  if (comparison.removed.length > 0) {
+    log(chalk.green.bold(`➖ Removed SVGs (${comparison.removed.length})`));
+    comparison.removed.forEach(svg => log(`   ${describe(svg)}: ${formatBytes(svg.originalSize)}`));
+  }
+  if (comparison.grown.length > 0) {
+    log(chalk.red.bold(`📈 Grown SVGs (${comparison.grown.length})`));
+    comparison.grown.forEach(change => log(`   ${describe(change.current)}: original ${formatByteDelta(change.originalSizeDelta)}, optimized ${formatByteDelta(change.optimizedSizeDelta)}`));
+  }
+  if (comparison.newDuplicateGroups.length > 0) {
+    log(chalk.red.bold(`⚠️  New duplicate groups (${comparison.newDuplicateGroups.length})`));
+    comparison.newDuplicateGroups.forEach(group => log(`   [${group.indices.join(', ')}] ${group.occurrences} occurrences, ${formatBytes(group.optimizedSavings)} to save`));
+  }
+  if (summary.addedCount + summary.removedCount + summary.grownCount + summary.newDuplicateGroupCount === 0) {
+    log(chalk.green('No SVG changes since the baseline.'));
+  }
+}
+
+// The compact summary --watch prints after every change
+function printWatchChange(change, log = console.log) {
+  const { delta, run } = change;
+  const describe = (svg) => {
+    const location = formatLocation(svg.location);
+    return `SVG #${svg.index}${generateIdentifierString(svg.attributes)}${location ? ` at ${location}` : ''}`;
+  };
+  const time = new Date().toLocaleTimeString();
+  
+  log('');
+  log(chalk.blue.bold(`🔄 ${change.files.join(', ')} changed`) + chalk.gray(` (${time}, ${change.optimizedSvgCount} of ${run.svgs.length} SVG(s) optimized again)`));
+  
+  delta.added.forEach(svg => 
+    log(chalk.yellow(`   ➕ ${describe(svg)}: ${formatBytes(svg.originalSize)} (optimized ${formatBytes(svg.optimizedSize)})`)));
+  delta.removed.forEach(svg => 
+    log(chalk.green(`   ➖ ${describe(svg)}: ${formatBytes(svg.originalSize)}`)));
+  delta.resized.forEach(resize => {
+    const color = resize.originalSizeDelta > 0 ? chalk.red : chalk.green;
+    log(color(`   📏 ${describe(resize.current)}: ${formatBytes(resize.baseline.originalSize)} → ${formatBytes(resize.current.originalSize)} (${formatByteDelta(resize.originalSizeDelta)}), optimized ${formatBytes(resize.current.optimizedSize)} (${formatByteDelta(resize.optimizedSizeDelta)})`));
+  });
+  delta.newDuplicateGroups.forEach(group => 
+    log(chalk.red(`   ⚠️  New duplicates: SVGs [${group.indices.join(', ')}], ${formatBytes(group.optimizedSavings)} to save`)));
+  delta.removedDuplicateGroups.forEach(group => 
+    log(chalk.green(`   ✅ No longer duplicated: SVGs [${group.indices.join(', ')}] of the previous run`)));
+  
+  const unchanged = delta.added.length + delta.removed.length + delta.resized.length + 
+    delta.newDuplicateGroups.length + delta.removedDuplicateGroups.length === 0;
+  if (unchanged) {
+    log(chalk.gray('   No SVG changed size'));
+  }
+  log(chalk.cyan(`   ${run.svgs.length} SVG(s): ${formatBytes(run.analysis.totalOriginalSize)} (${formatByteDelta(delta.totalOriginalSizeDelta)}), optimized ${formatBytes(run.analysis.totalOptimizedSize)} (${formatByteDelta(delta.totalOptimizedSizeDelta)})`));
+}
+
+const SARIF_RULES = [
+  {
+    id: 'svg-unoptimized',
+    name: 'UnoptimizedInlineSvg',
+    shortDescription: { text: 'Inline SVG can be reduced by optimizing it with SVGO' }
+  },
+  {
+    id: 'svg-unsafe-optimization',
+    name: 'UnsafeSvgOptimization',
+    shortDescription: { text: 'Optimizing the inline SVG with SVGO changes how it renders' }
+  },
+  {
+    id: 'svg-duplicate',
+    name: 'DuplicateInlineSvg',
+    shortDescription: { text: 'Inline SVG is repeated elsewhere in the document' }
+  },
+  {
+    id: 'svg-near-duplicate',
+    name: 'NearDuplicateInlineSvg',
+    shortDescription: { text: 'Inline SVG differs from another one only in color, size, ids or a few shapes' }
+  },
+  {
+    id: 'svg-id-collision',
+    name: 'InlineSvgIdCollision',
+    shortDescription: { text: 'An id is defined in several inline SVGs, so url(#id) and href="#id" may resolve to the wrong one' }
+  },
+  {
+    id: 'svg-missing-reference',
+    name: 'InlineSvgMissingReference',
+    shortDescription: { text: 'url(#id) or href="#id" points at an id no inline SVG defines' }
+  },
+  {
+    id: 'svg-id-renamed',
+    name: 'InlineSvgIdRenamed',
+    shortDescription: { text: 'The SVGO config renames or removes ids of the inline SVG' }
+  },
+  {
+    id: 'svg-security-script',
+    name: 'InlineSvgScript',
+    shortDescription: { text: 'Inline SVG contains a <script> element' },
+    properties: { tags: ['security'], 'security-severity': '8.0' }
+  },
+  {
+    id: 'svg-security-event-handler',
+    name: 'InlineSvgEventHandler',
+    shortDescription: { text: 'Inline SVG has an on* event handler attribute' },
+    properties: { tags: ['security'], 'security-severity': '8.0' }
+  },
+  {
+    id: 'svg-security-javascript-url',
+    name: 'InlineSvgJavascriptUrl',
+    shortDescription: { text: 'Inline SVG has a javascript: URL' },
+    properties: { tags: ['security'], 'security-severity': '8.0' }
+  },
+  {
+    id: 'svg-security-foreign-object',
+    name: 'InlineSvgForeignObject',
+    shortDescription: { text: 'Inline SVG embeds HTML in a <foreignObject>' },
+    properties: { tags: ['security'], 'security-severity': '5.0' }
+  },
+  {
+    id: 'svg-security-external-resource',
+    name: 'InlineSvgExternalResource',
+    shortDescription: { text: 'Inline SVG loads an external resource' },
+    properties: { tags: ['security'], 'security-severity': '5.0' }
+  },
+  {
+    id: 'svg-security-base64-payload',
+    name: 'InlineSvgBase64Payload',
+    shortDescription: { text: 'Inline SVG embeds a base64 payload' },
+    properties: { tags: ['security'], 'security-severity': '5.0' }
+  },
+  {
+    id: 'svg-a11y-missing-name',
+    name: 'InlineSvgWithoutAccessibleName',
+    shortDescription: { text: 'Inline SVG has no accessible name and is not marked decorative' }
+  },
+  {
+    id: 'svg-a11y-role-img-without-name',
+    name: 'ImageRoleWithoutName',
+    shortDescription: { text: 'Inline SVG has role="img" but no accessible name' }
+  },
+  {
+    id: 'svg-a11y-decorative-not-hidden',
+    name: 'DecorativeSvgNotHidden',
+    shortDescription: { text: 'Decorative inline SVG is not hidden from assistive technology' }
+  },
+  {
+    id: 'svg-a11y-focusable',
+    name: 'DecorativeSvgFocusable',
+    shortDescription: { text: 'Decorative inline SVG lacks focusable="false"' }
+  },
+  {
+    id: 'svg-a11y-broken-reference',
+    name: 'BrokenAriaReference',
+    shortDescription: { text: 'aria-labelledby or aria-describedby points at an id that does not exist' }
+  },
+  {
+    id: 'svg-a11y-stripped-by-svgo',
+    name: 'AccessibilityStrippedBySvgo',
+    shortDescription: { text: 'The SVGO config strips <title>, <desc>, ids or ARIA attributes the SVG relies on' }
+  },
+  {
+    id: 'svg-external-unoptimized',
+    name: 'UnoptimizedExternalSvg',
+    shortDescription: { text: 'Referenced SVG file can be reduced by optimizing it with SVGO' }
+  },
+  {
+    id: 'svg-external-unresolved',
+    name: 'UnresolvedSvgReference',
+    shortDescription: { text: 'Referenced SVG file could not be resolved or loaded' }
+  },
+  {
+    id: 'svg-regression',
+    name: 'InlineSvgRegression',
+    shortDescription: { text: 'Inline SVG is new or grew since the baseline, or is newly duplicated' }
+  },
+  {
+    id: 'svg-budget',
+    name: 'SvgBudgetExceeded',
+    shortDescription: { text: 'Inline SVG size budget exceeded' }
+  }
+];
+
+function buildSarifReport(input, svgs, result, budgets = DEFAULT_BUDGETS, extras = {}) {
+  const report = buildJsonReport(input, svgs, result, budgets, extras);
+  const uri = toArtifactUri(input);
+  const results = [];
+  
+  // SVGs from a directory scan each point at their own file
+  const uriFor = (index) => (svgs[index].location && svgs[index].location.file) || uri;
+  const artifactUris = svgs.length > 0 ? [...new Set(svgs.map((_, index) => uriFor(index)))] : [uri];
+  
+  const locationFor = (index) => {
+    const location = svgs[index].location;
+    const physicalLocation = { artifactLocation: { uri: uriFor(index) } };
+    
+    if (location && location.line !== null) {
+      physicalLocation.region = {
+        startLine: location.line,
+        startColumn: location.column
+      };
+    }
+    
+    return {
+      physicalLocation,
+      logicalLocations: [{
+        name: `SVG #${index}`,
+        fullyQualifiedName: location && location.domPath ? location.domPath : undefined,
+        kind: 'element'
+      }]
+    };
+  };
+  
+  report.svgs.forEach(svg => {
+    if (svg.savings <= 0) return;
+    results.push({
+      ruleId: 'svg-unoptimized',
+      level: svg.savingsPercent >= budgets.highSavingsPercent ? 'warning' : 'note',
+      message: {
+        text: `SVG #${svg.index} can be reduced from ${svg.originalSize} to ${svg.optimizedSize} bytes (${svg.savingsPercent}% savings).`
+      },
+      locations: [locationFor(svg.index)],
+      properties: {
+        originalSize: svg.originalSize,
+        optimizedSize: svg.optimizedSize,
+        savings: svg.savings
+      }
+    });
+  });
+  
+  report.duplicates.forEach(group => {
+    group.indices.slice(1).forEach(index => {
+      results.push({
+        ruleId: 'svg-duplicate',
+        level: 'warning',
+        message: {
+          text: `SVG #${index} duplicates SVG #${group.indices[0]} (${group.occurrences} occurrences in total).`
+        },
+        locations: [locationFor(index)],
+        relatedLocations: [{ id: 0, ...locationFor(group.indices[0]) }],
+        partialFingerprints: { svgHash: group.hash }
+      });
+    });
+  });
+  
+  (report.nearDuplicates || []).forEach(group => {
+    group.members.forEach(member => {
+      results.push({
+        ruleId: 'svg-near-duplicate',
+        level: 'note',
+        message: {
+          text: `SVG #${member.index} looks like SVG #${group.indices[0]} (${Math.round(member.similarity * 100)}% similar, differs in ${member.differences.join(', ')}).`
+        },
+        locations: [locationFor(member.index)],
+        relatedLocations: [{ id: 0, ...locationFor(group.indices[0]) }]
+      });
+    });
+  });
+  
+  if (report.idConflicts) {
+    const { collisions, brokenReferences, renamedIds, optimizedCollisions } = report.idConflicts;
+    collisions.forEach(collision => {
+      collision.indices.slice(1).forEach(index => {
+        const misresolved = collision.misresolved.includes(index);
+        results.push({
+          ruleId: 'svg-id-collision',
+          level: misresolved ? 'error' : 'warning',
+          message: {
+            text: misresolved 
+              ? `SVG #${index} references its id "${collision.id}", which resolves to the one in SVG #${collision.indices[0]}.` 
+              : `SVG #${index} defines id "${collision.id}", which SVG #${collision.indices[0]} defines too.`
+          },
+          locations: [locationFor(index)],
+          relatedLocations: [{ id: 0, ...locationFor(collision.indices[0]) }]
+        });
+      });
+    });
+    optimizedCollisions.forEach(collision => {
+      collision.indices.slice(1).forEach(index => {
+        results.push({
+          ruleId: 'svg-id-collision',
+          level: 'note',
+          message: { text: `After optimization SVG #${index} defines id "${collision.id}", as SVG #${collision.indices[0]} does; prefix the ids with --prefix-ids.` },
+          locations: [locationFor(index)]
+        });
+      });
+    });
+    brokenReferences.forEach(reference => {
+      results.push({
+        ruleId: 'svg-missing-reference',
+        level: 'error',
+        message: { text: `SVG #${reference.index} references ${reference.ids.map(id => `#${id}`).join(', ')}, which no SVG defines.` },
+        locations: [locationFor(reference.index)]
+      });
+    });
+    renamedIds.forEach(entry => {
+      const referenced = entry.referencedElsewhere.length > 0;
+      results.push({
+        ruleId: 'svg-id-renamed',
+        level: referenced ? 'warning' : 'note',
+        message: {
+          text: `The SVGO config renames or removes ${entry.ids.map(id => `"${id}"`).join(', ')} in SVG #${entry.index}` +
+            (referenced ? `, breaking references from other SVGs to ${entry.referencedElsewhere.map(id => `"${id}"`).join(', ')}.` : '.')
+        },
+        locations: [locationFor(entry.index)]
+      });
+    });
+  }
+  
+  if (report.verification) {
+    report.verification.svgs.filter(entry => entry.status === 'changed').forEach(entry => {
+      results.push({
+        ruleId: 'svg-unsafe-optimization',
+        level: 'warning',
+        message: { text: `Optimizing SVG #${entry.index} changes ${(entry.difference * 100).toFixed(1)}% of its rendered pixels; it is left out of the savings.` },
+        locations: [locationFor(entry.index)],
+        properties: { difference: entry.difference }
+      });
+    });
+  }
+  
+  const securityLevels = { high: 'error', medium: 'warning', low: 'note' };
+  (report.security || []).forEach(entry => {
+    entry.findings.forEach(finding => {
+      results.push({
+        ruleId: finding.rule,
+        level: securityLevels[finding.severity],
+        message: { text: `SVG #${entry.index}: ${finding.message}` },
+        locations: [locationFor(entry.index)],
+        properties: { severity: finding.severity }
+      });
+    });
+  });
+  
+  (report.accessibility || []).forEach(entry => {
+    entry.findings.forEach(finding => {
+      results.push({
+        ruleId: finding.rule,
+        level: finding.severity,
+        message: { text: `SVG #${entry.index}: ${finding.message}` },
+        locations: [locationFor(entry.index)]
+      });
+    });
+  });
+  
+  if (report.external) {
+    const referenceLocation = (reference) => ({
+      physicalLocation: {
+        artifactLocation: { uri },
+        ...(reference.line !== null ? { region: { startLine: reference.line, startColumn: reference.column } } : {})
+      }
+    });
+    
+    report.external.resources.forEach(resource => {
+      const savings = resource.originalSize - resource.optimizedSize;
+      if (savings <= 0) return;
+      const savingsPercent = calculateSavingsPercent(resource.originalSize, resource.optimizedSize);
+      results.push({
+        ruleId: 'svg-external-unoptimized',
+        level: savingsPercent >= budgets.highSavingsPercent ? 'warning' : 'note',
+        message: {
+          text: `External SVG ${resource.url} can be reduced from ${resource.originalSize} to ${resource.optimizedSize} bytes (${savingsPercent}% savings).`
+        },
+        locations: resource.references.map(referenceLocation),
+        properties: { url: resource.url, originalSize: resource.originalSize, optimizedSize: resource.optimizedSize }
+      });
+    });
+    
+    report.external.unresolved.forEach(reference => {
+      results.push({
+        ruleId: 'svg-external-unresolved',
+        level: 'note',
+        message: { text: `Could not load SVG reference ${reference.url}: ${reference.reason}` },
+        locations: [referenceLocation(reference)]
+      });
+    });
+  }
+  
+  if (report.comparison) {
+    report.comparison.added.forEach(svg => {
+      results.push({
+        ruleId: 'svg-regression',
+        level: 'note',
+        message: { text: `SVG #${svg.index} is new since the baseline (${svg.originalSize} bytes, ${svg.optimizedSize} optimized).` },
+        locations: [locationFor(svg.index)]
+      });
+    });
+    report.comparison.grown.forEach(change => {
+      results.push({
+        ruleId: 'svg-regression',
+        level: 'warning',
+        message: {
+          text: `SVG #${change.current.index} grew since the baseline: ${change.originalSizeDelta} bytes original, ${change.optimizedSizeDelta} bytes optimized.`
+        },
+        locations: [locationFor(change.current.index)]
+      });
+    });
+    report.comparison.newDuplicateGroups.forEach(group => {
+      results.push({
+        ruleId: 'svg-regression',
+        level: 'warning',
+        message: { text: `SVG #${group.indices[0]} is newly duplicated (${group.occurrences} occurrences).` },
+        locations: [locationFor(group.indices[0])],
+        partialFingerprints: { svgHash: group.hash }
+      });
+    });
+  }
+  
+  report.budgets.breaches.forEach(breach => {
+    results.push({
+      ruleId: 'svg-budget',
+      level: 'error',
+      message: { text: breach.message },
+      locations: [breach.index !== null ? locationFor(breach.index) : { physicalLocation: { artifactLocation: { uri } } }],
+      properties: {
+        budget: breach.budget,
+        limit: breach.limit,
+        actual: breach.actual
+      }
+    });
+  });
+  
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'svg-opti-detector',
+          version,
+          informationUri: 'https://github.com/bobharing/svg-opti-detector',
+          rules: SARIF_RULES
+        }
+      },
+      artifacts: artifactUris.map(artifactUri => ({ location: { uri: artifactUri } })),
+      results,
+      properties: {
+        schemaVersion: REPORT_SCHEMA_VERSION,
+        summary: report.summary,
+        ...(report.config ? { config: report.config } : {})
+      }
+    }]
+  };
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// SVG markup as an <img> source. Rendering each SVG as its own image keeps ids and
+// styles of one SVG from leaking into another; inline SVGs often lack the xmlns an
+// image needs.
+function toSvgDataUri(markup) {
+  const standalone = /^\s*<svg\b[^>]*\sxmlns=/i.test(markup) 
+    ? markup 
+    : markup.replace(/<svg\b/i, '<svg xmlns="http://www.w3.org/2000/svg"');
+  return `data:image/svg+xml;base64,${Buffer.from(standalone, 'utf8').toString('base64')}`;
+}
+
+// Changes SVGO made to the root <svg> that affect how it renders on the page. A
+// changed viewBox moves or scales the drawing (a warning); removed dimensions only
+// hand the size over to CSS (a note, as removeDimensions does this on purpose).
+function detectRenderingChanges(original, optimized) {
+  const before = parseSvgMarkup(original).attribs;
+  const after = parseSvgMarkup(optimized).attribs;
+  const warnings = [];
+  const notes = [];
+  
+  const viewBoxOf = (attribs) => attribs.viewBox === undefined ? null : normalizeGeometry(attribs.viewBox, DEFAULT_CANONICAL_PRECISION);
+  if (viewBoxOf(before) !== viewBoxOf(after)) {
+    warnings.push(`viewBox changed from "${before.viewBox || 'none'}" to "${after.viewBox || 'none'}"`);
+  }
+  if ((before.width || before.height) && !after.width && !after.height) {
+    notes.push('Width and height were removed: the rendered size now depends on CSS');
+  }
+  
+  return { warnings, notes };
+}
+
+const HTML_REPORT_STYLE = `
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 0; color: #1f2328; background: #f6f8fa; }
+  header { padding: 16px 24px; background: #fff; border-bottom: 1px solid #d0d7de; }
+  h1 { font-size: 20px; margin: 0 0 8px; }
+  .totals span { margin-right: 24px; }
+  .controls { position: sticky; top: 0; z-index: 1; display: flex; gap: 16px; flex-wrap: wrap; align-items: center; padding: 12px 24px; background: #fff; border-bottom: 1px solid #d0d7de; }
+  main { display: grid; gap: 16px; padding: 24px; grid-template-columns: repeat(auto-fill, minmax(360px, 1fr)); }
+  .card { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 12px; }
+  .card.duplicate { border-color: #cf222e; }
+  .card h2 { font-size: 14px; margin: 0 0 4px; }
+  .attrs, .locations { color: #57606a; font-size: 12px; word-break: break-all; }
+  .previews { display: grid; grid-template-columns: 1fr 1fr; gap: 8px; margin: 8px 0; }
+  figure { margin: 0; text-align: center; }
+  figure img { width: 100%; height: 120px; object-fit: contain; background: repeating-conic-gradient(#eee 0 25%, #fff 0 50%) 0 0 / 16px 16px; border: 1px solid #d0d7de; }
+  figcaption { font-size: 12px; color: #57606a; }
+  .savings { font-weight: 600; }
+  .high { color: #cf222e; } .moderate { color: #9a6700; } .low { color: #1a7f37; }
+  .badge { display: inline-block; padding: 0 6px; border-radius: 10px; font-size: 12px; background: #ffebe9; color: #cf222e; margin-right: 4px; }
+  .warning { color: #cf222e; font-size: 12px; }
+  .note { color: #57606a; font-size: 12px; }
+  details pre { max-height: 200px; overflow: auto; font-size: 11px; background: #f6f8fa; padding: 8px; white-space: pre-wrap; word-break: break-all; }
+  .hidden { display: none; }
+`;
+
+// Sorting and filtering, and a pixel comparison of each original and optimized
+// preview that flags optimizations which changed the rendering
+const HTML_REPORT_SCRIPT = `
+  const main = document.querySelector('main');
+  const cards = [...main.querySelectorAll('.card')];
+  const sortSelect = document.getElementById('sort');
+  const minSavings = document.getElementById('min-savings');
+  const minSavingsValue = document.getElementById('min-savings-value');
+  const duplicatesOnly = document.getElementById('duplicates-only');
+  const changedOnly = document.getElementById('changed-only');
+  const search = document.getElementById('search');
+  
+  function update() {
+    const key = sortSelect.value;
+    const sorted = [...cards].sort((a, b) => key === 'index' 
+      ? Number(a.dataset.index) - Number(b.dataset.index) 
+      : Number(b.dataset[key]) - Number(a.dataset[key]));
+    const query = search.value.toLowerCase();
+    minSavingsValue.textContent = minSavings.value + '%';
+    sorted.forEach(card => {
+      const visible = Number(card.dataset.percent) >= Number(minSavings.value) 
+        && (!duplicatesOnly.checked || card.classList.contains('duplicate')) 
+        && (!changedOnly.checked || card.querySelector('.warning')) 
+        && card.textContent.toLowerCase().includes(query);
+      card.classList.toggle('hidden', !visible);
+      main.appendChild(card);
+    });
+  }
+  [sortSelect, minSavings, duplicatesOnly, changedOnly, search].forEach(control => control.addEventListener('input', update));
+  
+  const SIZE = 96;
+  function pixels(img) {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = SIZE;
+    const context = canvas.getContext('2d');
+    context.drawImage(img, 0, 0, SIZE, SIZE);
+    return context.getImageData(0, 0, SIZE, SIZE).data;
+  }
+  function loaded(img) {
+    return img.complete ? Promise.resolve() : new Promise(resolve => { img.onload = img.onerror = resolve; });
+  }
+  cards.forEach(async card => {
+    const [original, optimized] = card.querySelectorAll('figure img');
+    if (!optimized) return;
+    await Promise.all([loaded(original), loaded(optimized)]);
+    try {
+      const a = pixels(original);
+      const b = pixels(optimized);
+      let changed = 0;
+      for (let i = 0; i < a.length; i += 4) {
+        if (Math.abs(a[i] - b[i]) + Math.abs(a[i + 1] - b[i + 1]) + Math.abs(a[i + 2] - b[i + 2]) + Math.abs(a[i + 3] - b[i + 3]) > 64) changed++;
+      }
+      const percent = (changed / (SIZE * SIZE)) * 100;
+      if (percent > 1) {
+        const warning = document.createElement('div');
+        warning.className = 'warning';
+        warning.textContent = '⚠ Rendering changed: ' + percent.toFixed(1) + '% of pixels differ';
+        card.querySelector('.previews').after(warning);
+      }
+    } catch (error) {
+      // Some browsers refuse to read back SVG images drawn on a canvas
+    }
+  });
+  update();
+`;
+
+// A standalone HTML page with the original and optimized rendering of every SVG side
+// by side, their sizes and identifying attributes, and duplicates grouped into one
+// card. Sorting, filtering and the rendering comparison run in the browser.
+function buildHtmlReport(input, svgs, result, options = {}) {
+  const budgets = options.budgets || DEFAULT_BUDGETS;
+  const duplicateSummary = summarizeDuplicates(svgs, result);
+  const groupByIndex = new Map();
+  duplicateSummary.groups.forEach(group => group.indices.forEach(index => groupByIndex.set(index, group)));
+  
+  const totalSavings = result.totalOriginalSize - result.totalOptimizedSize;
+  const cards = result.svgStats
+    .filter(stat => !groupByIndex.has(stat.index) || groupByIndex.get(stat.index).indices[0] === stat.index)
+    .map(stat => {
+      const svg = svgs[stat.index];
+      const group = groupByIndex.get(stat.index);
+      const indices = group ? group.indices : [stat.index];
+      const savings = stat.originalSize - stat.optimizedSize;
+      const percent = calculateSavingsPercent(stat.originalSize, stat.optimizedSize);
+      const level = percent >= budgets.highSavingsPercent ? 'high' : percent >= budgets.moderateSavingsPercent ? 'moderate' : 'low';
+      const { warnings, notes } = stat.optimizedHtml 
+        ? detectRenderingChanges(svg.html, stat.optimizedHtml) 
+        : { warnings: [], notes: [] };
+      const identifiersOf = index => listIdentifyingAttributes(svgs[index].attributes);
+      const locations = indices
+        .map(index => `<li>#${index}${identifiersOf(index) ? ` (${escapeHtml(identifiersOf(index))})` : ''}${svgs[index].location ? ` — ${escapeHtml(formatLocation(svgs[index].location))}` : ''}</li>`)
+        .join('');
+      
+      return `
+    <article class="card${group ? ' duplicate' : ''}" data-index="${stat.index}" data-savings="${savings * indices.length}" data-percent="${percent}" data-size="${stat.originalSize * indices.length}">
+      <h2>SVG #${indices.join(', #')}${group ? ` <span class="badge">${indices.length}× duplicate</span>` : ''}</h2>
+      <div class="attrs">${identifiersOf(stat.index) ? `(${escapeHtml(identifiersOf(stat.index))})` : 'no identifying attributes'}</div>
+      <div class="previews">
+        <figure><img alt="Original SVG #${stat.index}" src="${toSvgDataUri(svg.html)}"><figcaption>Original: ${escapeHtml(formatBytes(stat.originalSize))}</figcaption></figure>
+        ${stat.optimizedHtml 
+          ? `<figure><img alt="Optimized SVG #${stat.index}" src="${toSvgDataUri(stat.optimizedHtml)}"><figcaption>Optimized: ${escapeHtml(formatBytes(stat.optimizedSize))}</figcaption></figure>` 
+          : `<figure><figcaption>SVGO could not optimize this SVG${stat.error ? `: ${escapeHtml(stat.error)}` : ''}</figcaption></figure>`}
+      </div>
+      ${warnings.map(warning => `<div class="warning">⚠ ${escapeHtml(warning)}</div>`).join('\n      ')}
+      ${notes.map(note => `<div class="note">ℹ ${escapeHtml(note)}</div>`).join('\n      ')}
+      <div class="savings ${level}">Savings: ${escapeHtml(formatBytes(savings))} (${percent}%)${indices.length > 1 ? `, ${escapeHtml(formatBytes(savings * indices.length))} over ${indices.length} occurrences` : ''}</div>
+      <ul class="locations">${locations}</ul>
+      <details><summary>Markup</summary><pre>${escapeHtml(svg.html)}</pre>${stat.optimizedHtml ? `<pre>${escapeHtml(stat.optimizedHtml)}</pre>` : ''}</details>
+    </article>`;
+    })
+    .join('');
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>SVG Opti Detector report — ${escapeHtml(input)}</title>
+<style>${HTML_REPORT_STYLE}</style>
+</head>
+<body>
+  <header>
+    <h1>SVG Opti Detector report</h1>
+    <div>${escapeHtml(input)} · svg-opti-detector ${escapeHtml(version)}${options.generatedAt ? ` · ${escapeHtml(options.generatedAt)}` : ''}</div>
+    <div class="totals">
+      <span>${svgs.length} SVG(s)</span>
+      <span>Original: ${escapeHtml(formatBytes(result.totalOriginalSize))}</span>
+      <span>Optimized: ${escapeHtml(formatBytes(result.totalOptimizedSize))}</span>
+      <span>Savings: ${escapeHtml(formatBytes(totalSavings))} (${calculateSavingsPercent(result.totalOriginalSize, result.totalOptimizedSize)}%)</span>
+      <span>Duplicate groups: ${duplicateSummary.duplicateGroupCount} (${escapeHtml(formatBytes(duplicateSummary.deduplicationAndOptimization.savings))} more with deduplication)</span>
+    </div>
+  </header>
+  <div class="controls">
+    <label>Sort by <select id="sort">
+      <option value="index">Document order</option>
+      <option value="savings">Savings (bytes)</option>
+      <option value="percent">Savings (%)</option>
+      <option value="size">Size</option>
+    </select></label>
+    <label>Minimum savings <input id="min-savings" type="range" min="0" max="100" value="0"> <span id="min-savings-value">0%</span></label>
+    <label><input id="duplicates-only" type="checkbox"> Duplicates only</label>
+    <label><input id="changed-only" type="checkbox"> Rendering warnings only</label>
+    <label><input id="search" type="search" placeholder="Filter by attribute or location"></label>
+  </div>
+  <main>${cards}
+  </main>
+<script>${HTML_REPORT_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+// Splice new markup into the source HTML by offset. Everything outside the replaced
+// ranges is kept byte for byte. Replacements nested inside an earlier one (an <svg>
+// inside another <svg>) are dropped, as the outer replacement already covers them.
+// Zero-length replacements are insertions and go before markup at the same offset.
+function replaceSvgMarkup(html, replacements) {
+  const applied = [];
+  let lastEnd = -1;
+  
+  [...replacements]
+    .sort((a, b) => a.startOffset - b.startOffset || a.endOffset - b.endOffset)
+    .forEach(replacement => {
+      if (replacement.startOffset >= lastEnd) {
+        applied.push(replacement);
+        lastEnd = replacement.endOffset;
+      }
+    });
+  
+  let output = html;
+  for (let i = applied.length - 1; i >= 0; i--) {
+    const { startOffset, endOffset, html: markup } = applied[i];
+    output = output.slice(0, startOffset) + markup + output.slice(endOffset);
+  }
+  
+  return { html: output, applied };
+}
+
+function hasSourceRange(svg) {
+  return Boolean(svg.location) && svg.location.startOffset !== null;
+}
+
+// One replacement per SVG that SVGO could shrink. SVGs that failed to optimize,
+// or whose source location is unknown, are left untouched.
+function collectOptimizedReplacements(html, svgs, result) {
+  const replacements = [];
+  
+  svgs.forEach((svg, index) => {
+    const stat = result.svgStats[index];
+    if (!stat || stat.optimizedHtml === null || !hasSourceRange(svg)) return;
+    
+    const source = html.slice(svg.location.startOffset, svg.location.endOffset);
+    if (source === stat.optimizedHtml) return;
+    
+    replacements.push({
+      index,
+      startOffset: svg.location.startOffset,
+      endOffset: svg.location.endOffset,
+      html: stat.optimizedHtml
+    });
+  });
+  
+  return replacements;
+}
+
+// Replace every inline SVG with its SVGO output
+function rewriteHtmlWithOptimizedSvgs(html, svgs, result) {
+  const { html: fixedHtml, applied } = replaceSvgMarkup(html, collectOptimizedReplacements(html, svgs, result));
+  
+  return {
+    html: fixedHtml,
+    changedIndices: applied.map(replacement => replacement.index),
+    originalSize: Buffer.byteLength(html, 'utf8'),
+    fixedSize: Buffer.byteLength(fixedHtml, 'utf8')
+  };
+}
+
+const ARIA_REFERENCE_PATTERN = /\saria-(?:labelledby|describedby)\s*=\s*(["'])(.*?)\1/g;
+
+// Prefixes every id the SVG markup defines, along with the references to it:
+// url(#id), href="#id", aria-labelledby/aria-describedby and <style> selectors.
+// Ids in options.keep are left alone.
+function prefixSvgIds(markup, prefix, options = {}) {
+  const keep = options.keep || new Set();
+  const renamed = new Map(findDefinedIds(markup).filter(id => !keep.has(id)).map(id => [id, `${prefix}${id}`]));
+  if (renamed.size === 0) {
+    return markup;
+  }
+  const rename = id => renamed.get(id) || id;
+  
+  return markup
+    .replace(ID_ATTRIBUTE_PATTERN, (match, quote, id) => match.replace(`${quote}${id}${quote}`, `${quote}${rename(id)}${quote}`))
+    .replace(ID_REFERENCE_PATTERNS[0], (match, quote, id) => `url(${quote}#${rename(id)}${quote})`)
+    .replace(ID_REFERENCE_PATTERNS[1], (match, quote, id) => match.replace(`#${id}${quote}`, `#${rename(id)}${quote}`))
+    .replace(ARIA_REFERENCE_PATTERN, (match, quote, list) => match.replace(`${quote}${list}${quote}`, `${quote}${list.split(/(\s+)/).map(rename).join('')}${quote}`))
+    .replace(/(<style\b[^>]*>)([\s\S]*?)(<\/style>)/g, (match, open, css, close) => 
+      open + css.replace(/#([\w-]+)/g, (selector, id) => renamed.has(id) ? `#${renamed.get(id)}` : selector) + close);
+}
+
+// Prefixes the ids of every inline SVG with "svg<index>-", so SVGs can no longer
+// resolve each other's url(#id) and href="#id". Ids referenced from outside their
+// SVG (sprite symbols, links and labels in the page) keep their name. With
+// options.optimize the SVGO output is prefixed, as with --fix.
+function rewriteHtmlWithPrefixedIds(html, svgs, result, options = {}) {
+  const indices = svgs.map((_, index) => index).filter(index => hasSourceRange(svgs[index]));
+  const sourceOf = index => html.slice(svgs[index].location.startOffset, svgs[index].location.endOffset);
+  const markupOf = index => {
+    const stat = result.svgStats[index];
+    return options.optimize && stat && stat.optimizedHtml !== null ? stat.optimizedHtml : sourceOf(index);
+  };
+  
+  const { html: pageMarkup } = replaceSvgMarkup(html, indices.map(index => ({
+    startOffset: svgs[index].location.startOffset,
+    endOffset: svgs[index].location.endOffset,
+    html: ''
+  })));
+  const keep = new Set([
+    ...findReferencedIds(pageMarkup),
+    ...[...pageMarkup.matchAll(ARIA_REFERENCE_PATTERN)].flatMap(match => match[2].split(/\s+/).filter(Boolean))
+  ]);
+  indices.forEach(index => {
+    const markup = markupOf(index);
+    const defined = findDefinedIds(markup);
+    findReferencedIds(markup).filter(id => !defined.includes(id)).forEach(id => keep.add(id));
+  });
+  
+  const replacements = [];
+  indices.forEach(index => {
+    const prefixed = prefixSvgIds(markupOf(index), `svg${index}-`, { keep });
+    if (prefixed === sourceOf(index)) return;
+    replacements.push({
+      index,
+      startOffset: svgs[index].location.startOffset,
+      endOffset: svgs[index].location.endOffset,
+      html: prefixed
+    });
+  });
+  
+  const { html: fixedHtml, applied } = replaceSvgMarkup(html, replacements);
+  
+  return {
+    html: fixedHtml,
+    changedIndices: applied.map(replacement => replacement.index),
+    originalSize: Buffer.byteLength(html, 'utf8'),
+    fixedSize: Buffer.byteLength(fixedHtml, 'utf8')
+  };
+}
+
+// The SVG markup without the content findSecurityIssues flags; everything else
+// is left as it was
+function sanitizeSvg(markup) {
+  const { html, applied } = replaceSvgMarkup(markup, findSecurityIssues(markup));
+  return {
+    markup: html,
+    removed: applied.map(({ rule, severity, message }) => ({ rule, severity, message }))
+  };
+}
+
+// Sanitizes every inline SVG of the HTML (see sanitizeSvg). Runs on the output of
+// the other rewrites, so it also covers optimized SVGs and sprites.
+function sanitizeHtmlSvgs(html) {
+  const replacements = [];
+  const removed = [];
+  
+  extractInlineSvgs(html).forEach((svg, index) => {
+    if (!hasSourceRange(svg) || svg.nested) return;
+    const sanitized = sanitizeSvg(html.slice(svg.location.startOffset, svg.location.endOffset));
+    if (sanitized.removed.length === 0) return;
+    
+    removed.push(...sanitized.removed.map(item => ({ index, ...item })));
+    replacements.push({
+      index,
+      startOffset: svg.location.startOffset,
+      endOffset: svg.location.endOffset,
+      html: sanitized.markup
+    });
+  });
+  
+  const { html: sanitizedHtml, applied } = replaceSvgMarkup(html, replacements);
+  
+  return {
+    html: sanitizedHtml,
+    changedIndices: applied.map(replacement => replacement.index),
+    originalSize: Buffer.byteLength(html, 'utf8'),
+    fixedSize: Buffer.byteLength(sanitizedHtml, 'utf8'),
+    removed
+  };
+}
+
+// Attributes that belong to each occurrence rather than to the shared drawing.
+// hashSvg ignores class, so these may differ within a duplicate group.
+function isInstanceAttribute(name) {
+  return ['class', 'id', 'width', 'height', 'style', 'role', 'focusable', 'x', 'y'].includes(name) 
+    || name.startsWith('aria-') 
+    || name.startsWith('data-');
+}
+
+// Values come decoded from the parser, so quotes and ampersands are escaped again
+function toAttributeString(attribs) {
+  return Object.entries(attribs).map(([name, value]) => ` ${name}="${escapeHtml(value)}"`).join('');
+}
+
+// Root attributes and the inner markup of an SVG, the latter sliced from the
+// source so its formatting survives unchanged
+function parseSvgMarkup(markup) {
+  const $ = cheerio.load(markup, {
+    xmlMode: false,
+    decodeEntities: false,
+    lowerCaseAttributeNames: false,
+    sourceCodeLocationInfo: true
+  });
+  const svg = $('svg')[0];
+  const location = svg && svg.sourceCodeLocation;
+  const content = location && location.startTag && location.endTag
+    ? markup.slice(location.startTag.endOffset, location.endTag.startOffset)
+    : $(svg).html() || '';
+  return { attribs: { ...$(svg).attr() }, content };
+}
+
+// Builds a <symbol> for every duplicate group and a <use> reference for each of its
+// occurrences. With spriteHref the symbols are referenced from an external file,
+// otherwise a hidden sprite is inserted at the start of <body>. With optimize, the
+// symbols and all other SVGs use the SVGO output (as with --fix).
+function extractSvgSprite(html, svgs, result, options = {}) {
+  const spriteHref = options.spriteHref || '';
+  const symbols = [];
+  const replacements = [];
+  const referencedIndices = new Set();
+  
+  for (const [hash, indices] of Object.entries(result.duplicates)) {
+    if (!indices.every(idx => hasSourceRange(svgs[idx]))) continue;
+    
+    const first = indices[0];
+    const firstStat = result.svgStats[first];
+    const markup = options.optimize && firstStat.optimizedHtml !== null
+      ? firstStat.optimizedHtml
+      : html.slice(svgs[first].location.startOffset, svgs[first].location.endOffset);
+    const { attribs, content } = parseSvgMarkup(markup);
+    
+    const symbolId = `svg-sprite-${hash.slice(0, 8)}`;
+    const symbolAttribs = Object.fromEntries(Object.entries(attribs)
+      .filter(([name]) => !isInstanceAttribute(name) && !name.startsWith('xmlns') && name !== 'version'));
+    symbols.push({
+      id: symbolId,
+      hash,
+      indices,
+      markup: `<symbol id="${symbolId}"${toAttributeString(symbolAttribs)}>${content}</symbol>`
+    });
+    
+    indices.forEach(idx => {
+      const svg = svgs[idx];
+      const { attribs: instanceAttribs } = parseSvgMarkup(svg.html);
+      const kept = Object.fromEntries(Object.entries(instanceAttribs)
+        .filter(([name]) => isInstanceAttribute(name) || name === 'viewBox'));
+      
+      referencedIndices.add(idx);
+      replacements.push({
+        index: idx,
+        startOffset: svg.location.startOffset,
+        endOffset: svg.location.endOffset,
+        html: `<svg${toAttributeString(kept)}><use href="${spriteHref}#${symbolId}"/></svg>`
+      });
+    });
+  }
+  
+  if (options.optimize) {
+    collectOptimizedReplacements(html, svgs, result)
+      .filter(replacement => !referencedIndices.has(replacement.index))
+      .forEach(replacement => replacements.push(replacement));
+  }
+  
+  const symbolMarkup = symbols.map(symbol => symbol.markup).join('');
+  const xlinkNs = symbolMarkup.includes('xlink:') ? ' xmlns:xlink="http://www.w3.org/1999/xlink"' : '';
+  let sprite = null;
+  
+  if (symbols.length > 0) {
+    if (spriteHref) {
+      sprite = `<svg xmlns="http://www.w3.org/2000/svg"${xlinkNs}>${symbolMarkup}</svg>\n`;
+    } else {
+      // Not display:none, which would stop gradients and clip paths inside symbols from rendering
+      sprite = `<svg xmlns="http://www.w3.org/2000/svg"${xlinkNs} aria-hidden="true" style="position:absolute;width:0;height:0;overflow:hidden">${symbolMarkup}</svg>`;
+      const insertAt = findBodyContentOffset(html);
+      replacements.push({ index: null, startOffset: insertAt, endOffset: insertAt, html: sprite });
+    }
+  }
+  
+  const { html: rewrittenHtml, applied } = replaceSvgMarkup(html, replacements);
+  
+  return {
+    html: rewrittenHtml,
+    sprite,
+    symbols,
+    changedIndices: applied.filter(replacement => replacement.index !== null).map(replacement => replacement.index),
+    originalSize: Buffer.byteLength(html, 'utf8'),
+    fixedSize: Buffer.byteLength(rewrittenHtml, 'utf8'),
+    spriteSize: spriteHref && sprite ? Buffer.byteLength(sprite, 'utf8') : 0
+  };
+}
+
+// Offset right after the <body> start tag. Without one, where the implied body
+// starts: at its first node, or after the doctype and the head. Never before the
+// doctype, as anything there switches the page to quirks mode.
+function findBodyContentOffset(html) {
+  const $ = cheerio.load(html, { sourceCodeLocationInfo: true });
+  const body = $('body')[0];
+  const location = body && body.sourceCodeLocation;
+  if (location && location.startTag) {
+    return location.startTag.endOffset;
+  }
+  
+  const first = body ? body.children.find(node => node.sourceCodeLocation) : null;
+  if (first) {
+    return first.sourceCodeLocation.startOffset;
+  }
+  return [...$.root()[0].children, ...$('head').toArray(), ...$('head').contents().toArray()]
+    .filter(node => node.sourceCodeLocation && node.name !== 'html')
+    .reduce((offset, node) => Math.max(offset, node.sourceCodeLocation.endOffset), 0);
+}
+
+function createHtmlDiff(fileName, originalHtml, fixedHtml) {
+  return createTwoFilesPatch(`a/${fileName}`, `b/${fileName}`, originalHtml, fixedHtml, '', '', { context: 3 });
+}
+
+// Applies --fix and/or --extract-sprite: writes the rewritten HTML (unless --dry-run)
+// and logs a unified diff of what changed. URLs cannot be written back, so they need --out.
+function runRewrite(input, html, svgs, result, options = {}) {
+  const log = options.log || console.log;
+  const sanitizeOnly = options.sanitize && !options.optimize && !options.extractSprite && !options.prefixIds;
+  
+  // The command line rejects these before anything runs (see main)
+  if (!isRewritableInput(input, options.label)) {
+    throw new Error(`${input === STDIN_INPUT ? options.label : input} is not HTML or SVG: rewrites work on pages and SVG files, not on JSX or template files`);
+  }
+  if (!options.dryRun && !options.outFile && (isUrl(input) || input === STDIN_INPUT)) {
+    let flag = '--fix';
+    if (options.extractSprite) {
+      flag = '--extract-sprite';
+    } else if (options.prefixIds) {
+      flag = '--prefix-ids';
+    } else if (sanitizeOnly) {
+      flag = '--sanitize';
+    }
+    throw new Error(`${flag} needs --out <file> when the input is a URL or standard input`);
+  }
+  
+  const target = options.outFile ? path.resolve(options.outFile) : toFilePath(input);
+  const spriteFile = options.spriteFile ? path.resolve(options.spriteFile) : null;
+  
+  let rewrite = null;
+  if (options.extractSprite) {
+    rewrite = extractSvgSprite(html, svgs, result, {
+      optimize: options.optimize,
+      spriteHref: spriteFile ? toPosixPath(path.relative(path.dirname(target), spriteFile)) : ''
+    });
+  } else if (options.prefixIds) {
+    rewrite = rewriteHtmlWithPrefixedIds(html, svgs, result, { optimize: options.optimize });
+  } else if (!sanitizeOnly) {
+    rewrite = rewriteHtmlWithOptimizedSvgs(html, svgs, result);
+  }
+  
+  // Sanitizing comes last, so optimized SVGs and sprites are covered too
+  if (options.sanitize) {
+    const sanitized = sanitizeHtmlSvgs(rewrite ? rewrite.html : html);
+    const sprite = rewrite && rewrite.sprite && spriteFile ? sanitizeSvg(rewrite.sprite) : null;
+    rewrite = {
+      ...rewrite,
+      html: sanitized.html,
+      // SVG indices change when a sprite is inserted into the page
+      changedIndices: rewrite && options.extractSprite 
+        ? rewrite.changedIndices 
+        : [...new Set([...(rewrite ? rewrite.changedIndices : []), ...sanitized.changedIndices])].sort((a, b) => a - b),
+      originalSize: Buffer.byteLength(html, 'utf8'),
+      fixedSize: sanitized.fixedSize,
+      sanitized: [...sanitized.removed, ...(sprite ? sprite.removed.map(item => ({ index: null, ...item })) : [])]
+    };
+    if (sprite) {
+      rewrite.sprite = sprite.markup;
+      rewrite.spriteSize = Buffer.byteLength(sprite.markup, 'utf8');
+    }
+  }
+  
+  log('');
+  log(chalk.blue.bold(options.dryRun ? '🛠️  REWRITE PREVIEW (dry run)' : '🛠️  REWRITE APPLIED'));
+  log('─'.repeat(50));
+  
+  if (rewrite.changedIndices.length === 0) {
+    let message = 'Nothing to fix: every SVG is already optimized.';
+    if (options.extractSprite) {
+      message = 'Nothing to rewrite: no duplicate SVGs to move into a sprite.';
+    } else if (options.prefixIds && !options.optimize) {
+      message = 'Nothing to rewrite: no SVG defines ids of its own.';
+    } else if (sanitizeOnly) {
+      message = 'Nothing to sanitize: no risky SVG content found.';
+    }
+    log(chalk.green(message));
+    return rewrite;
+  }
+  
+  const diffName = isUrl(input) ? path.basename(target) : toArtifactUri(input);
+  log(createHtmlDiff(diffName, html, rewrite.html).trimEnd());
+  log('');
+  
+  if (rewrite.symbols) {
+    log(chalk.cyan(`Sprite symbols: ${rewrite.symbols.length} (${rewrite.symbols.reduce((sum, symbol) => sum + symbol.indices.length, 0)} SVGs now reference them)`));
+  }
+  log(chalk.cyan(`Rewrote ${rewrite.changedIndices.length} SVG(s): #${rewrite.changedIndices.join(', #')}`));
+  if (rewrite.sanitized && rewrite.sanitized.length > 0) {
+    log(chalk.cyan(`Sanitized: removed ${rewrite.sanitized.length} risky item(s)`));
+    rewrite.sanitized.forEach(item => log(chalk.gray(`   ${item.index !== null ? `SVG #${item.index}` : 'Sprite'}: ${item.message}`)));
+  }
+  log(chalk.green(`HTML size: ${formatBytes(rewrite.originalSize)} → ${formatBytes(rewrite.fixedSize)} (delta ${rewrite.fixedSize - rewrite.originalSize} bytes)`));
+  
+  if (spriteFile && rewrite.sprite) {
+    const totalSize = rewrite.fixedSize + rewrite.spriteSize;
+    log(chalk.green(`Sprite file: ${formatBytes(rewrite.spriteSize)}; page + sprite: ${formatBytes(totalSize)} (delta ${totalSize - rewrite.originalSize} bytes)`));
+  }
+  
+  if (options.dryRun) {
+    log(chalk.gray('Dry run: no files were written.'));
+  } else {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, rewrite.html, 'utf8');
+    log(chalk.green('Wrote:'), target);
+    if (spriteFile && rewrite.sprite) {
+      fs.mkdirSync(path.dirname(spriteFile), { recursive: true });
+      fs.writeFileSync(spriteFile, rewrite.sprite, 'utf8');
+      log(chalk.green('Wrote:'), spriteFile);
+    }
+  }
+  
+  return rewrite;
+}
+
+// The directory every scanned file is written relative to: a glob's base, the
+// directory itself, or the folder of a single file
+function getScanRoot(input) {
+  const { base, isGlob } = picomatch.scan(input);
+  if (isGlob) {
+    return path.resolve(base || '.');
+  }
+  const resolved = path.resolve(toFilePath(input));
+  return isScanInput(input) ? resolved : path.dirname(resolved);
+}
+
+// Writes the SVGO output of every standalone .svg file to options.outDir, keeping
+// the paths below the scanned directories (options.inputs). Files SVGO cannot
+// optimize are copied as they are. Nothing is written with options.dryRun.
+function writeOptimizedSvgFiles(svgs, result, options = {}) {
+  const log = options.log || console.log;
+  const inputs = options.inputs || [];
+  const outDir = path.resolve(options.outDir);
+  const roots = inputs.map(getScanRoot).sort((a, b) => b.length - a.length);
+  const files = [];
+  
+  result.svgStats.forEach(stat => {
+    const svg = svgs[stat.index];
+    // Scanned files carry their path; a single file given as the input does not
+    const file = svg.location && svg.location.file 
+      ? path.resolve(svg.location.file) 
+      : inputs.length === 1 && !isUrl(inputs[0]) ? path.resolve(toFilePath(inputs[0])) : null;
+    if (!file || path.extname(file).toLowerCase() !== '.svg') return;
+    
+    const root = roots.find(dir => !path.relative(dir, file).startsWith('..')) || path.dirname(file);
+    const target = path.join(outDir, path.relative(root, file));
+    if (target === file) {
+      throw new Error(`--out-dir would overwrite ${toPosixPath(path.relative(process.cwd(), file))}; pick a directory outside the scanned one`);
+    }
+    
+    files.push({
+      index: stat.index,
+      source: toPosixPath(path.relative(process.cwd(), file)),
+      target: toPosixPath(path.relative(process.cwd(), target)),
+      originalSize: stat.originalSize,
+      optimizedSize: stat.optimizedSize,
+      optimized: stat.optimizedHtml !== null,
+      content: stat.optimizedHtml !== null ? stat.optimizedHtml : svg.html
+    });
+  });
+  
+  log('');
+  log(chalk.blue.bold(options.dryRun ? '🗂️  OPTIMIZED COPIES (dry run)' : '🗂️  OPTIMIZED COPIES'));
+  log('─'.repeat(50));
+  
+  if (files.length === 0) {
+    log(chalk.yellow('No standalone .svg files to write.'));
+    return { files };
+  }
+  
+  const originalSize = files.reduce((sum, file) => sum + file.originalSize, 0);
+  const optimizedSize = files.reduce((sum, file) => sum + file.optimizedSize, 0);
+  files.filter(file => !file.optimized).forEach(file => 
+    log(chalk.yellow(`Copied ${file.source} unchanged: SVGO could not optimize it`)));
+  
+  if (!options.dryRun) {
+    files.forEach(file => {
+      fs.mkdirSync(path.dirname(path.resolve(file.target)), { recursive: true });
+      fs.writeFileSync(path.resolve(file.target), file.content, 'utf8');
+    });
+  }
+  
+  log(chalk.green(`${options.dryRun ? 'Would write' : 'Wrote'} ${files.length} SVG file(s) to ${toPosixPath(path.relative(process.cwd(), outDir)) || '.'}: ${formatBytes(originalSize)} → ${formatBytes(optimizedSize)}`));
+  return { files: files.map(({ content, ...file }) => file) };
+}
+
+const DEFAULT_CRAWL_OPTIONS = {
+  followLinks: false,
+  maxDepth: 2,
+  maxPages: 50
+};
+
+// Absolute same-origin page URLs linked from a page, without fragments
+function extractLinks(html, pageUrl) {
+  const $ = cheerio.load(html);
+  const origin = new URL(pageUrl).origin;
+  const links = new Set();
+  
+  $('a[href]').each((_, el) => {
+    let url;
+    try {
+      url = new URL($(el).attr('href'), pageUrl);
+    } catch (error) {
+      return;
+    }
+    if (url.origin !== origin) return;
+    url.hash = '';
+    links.add(url.href);
+  });
+  
+  return [...links];
+}
+
+// <loc> entries of a sitemap; isIndex is true for a sitemap index listing other sitemaps
+function parseSitemap(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const isIndex = $('sitemapindex').length > 0;
+  const urls = $(isIndex ? 'sitemap > loc' : 'url > loc')
+    .map((_, el) => $(el).text().trim())
+    .get()
+    .filter(Boolean);
+  return { isIndex, urls };
+}
+
+async function fetchSitemapUrls(sitemap, options = {}) {
+  const fetchPage = options.fetchHtml || fetchHtml;
+  const { isIndex, urls } = parseSitemap(await fetchPage(sitemap, options));
+  if (!isIndex) {
+    return urls;
+  }
+  
+  // Only follow one level of sitemap indexes
+  const nested = [];
+  for (const url of urls) {
+    const { urls: pageUrls } = parseSitemap(await fetchPage(url, options));
+    nested.push(...pageUrls);
+  }
+  return nested;
+}
+
+// What makes two page URLs the same page for a crawl: the fragment is dropped, so
+// /docs and /docs#intro are fetched once. /docs/ is a different document.
+function normalizePageUrl(input) {
+  if (!isUrl(input)) {
+    return input;
+  }
+  const url = new URL(input);
+  url.hash = '';
+  return url.href;
+}
+
+// Runs extraction and analysis on every page, breadth first. With followLinks,
+// same-origin links are followed up to maxDepth. Pages are fetched once by their
+// normalized URL, in the form first seen. Failed pages are recorded with their
+// error instead of stopping the crawl.
+async function crawlPages(inputs, options = {}) {
+  const crawlOptions = { ...DEFAULT_CRAWL_OPTIONS, ...options };
+  const log = options.log || (() => {});
+  const fetchPage = options.fetchHtml || fetchHtml;
+  const queue = [];
+  const seen = new Set();
+  const enqueue = (input, depth) => {
+    const key = normalizePageUrl(input);
+    if (!seen.has(key)) {
+      seen.add(key);
+      queue.push({ input, depth });
+    }
+  };
+  inputs.forEach(input => enqueue(input, 0));
+  const origins = new Set(inputs.filter(isUrl).map(input => new URL(input).origin));
+  const pages = [];
+  
+  while (queue.length > 0 && pages.length < crawlOptions.maxPages) {
+    const { input, depth } = queue.shift();
+    log(chalk.gray(`[${pages.length + 1}/${Math.min(seen.size, crawlOptions.maxPages)}] ${input}`));
+    
+    try {
+      const html = await fetchPage(input, { ...options, log: () => {} });
+      const svgs = extractSvgsForInput(input, html, options);
+      const result = await analyzeSvgs(svgs, {
+        onProgress: options.onProgress,
+        warn: options.warn,
+        svgoConfig: options.svgoConfig,
+        canonicalize: options.canonicalize,
+        concurrency: options.concurrency,
+        pool: options.pool
+      });
+      pages.push({ input, depth, svgs, result, error: null });
+      
+      if (crawlOptions.followLinks && isUrl(input) && depth < crawlOptions.maxDepth) {
+        extractLinks(html, input)
+          .filter(link => origins.has(new URL(link).origin))
+          .forEach(link => enqueue(link, depth + 1));
+      }
+    } catch (error) {
+      pages.push({ input, depth, svgs: [], result: null, error: error.message });
+    }
+  }
+  
+  return pages;
+}
+
+// Site-wide view of a crawl: bytes per page, and every distinct SVG (by hashSvg)
+// with the pages it appears on. Sprite candidates are SVGs reused across pages,
+// ranked by the bytes a shared sprite would save.
+function aggregateSiteStats(pages) {
+  const svgsByHash = new Map();
+  let totalOriginalSize = 0;
+  let totalOptimizedSize = 0;
+  
+  const pageSummaries = pages.map(page => {
+    if (page.error) {
+      return { input: page.input, error: page.error, svgCount: 0, totalOriginalSize: 0, totalOptimizedSize: 0 };
+    }
+    
+    totalOriginalSize += page.result.totalOriginalSize;
+    totalOptimizedSize += page.result.totalOptimizedSize;
+    
+    page.result.svgStats.forEach(stat => {
+      if (!svgsByHash.has(stat.hash)) {
+        svgsByHash.set(stat.hash, {
+          hash: stat.hash,
+          attributes: page.svgs[stat.index].attributes,
+          originalSize: stat.originalSize,
+          optimizedSize: stat.optimizedSize,
+          occurrences: 0,
+          pages: []
+        });
+      }
+      const entry = svgsByHash.get(stat.hash);
+      entry.occurrences++;
+      if (!entry.pages.includes(page.input)) {
+        entry.pages.push(page.input);
+      }
+    });
+    
+    return {
+      input: page.input,
+      error: null,
+      svgCount: page.svgs.length,
+      totalOriginalSize: page.result.totalOriginalSize,
+      totalOptimizedSize: page.result.totalOptimizedSize
+    };
+  });
+  
+  const svgs = [...svgsByHash.values()]
+    .map(entry => ({
+      ...entry,
+      pageCount: entry.pages.length,
+      // Every occurrence after the first could be a <use> of one shared symbol
+      reuseSavings: (entry.occurrences - 1) * entry.optimizedSize
+    }))
+    .sort((a, b) => b.pageCount - a.pageCount || b.reuseSavings - a.reuseSavings);
+  
+  return {
+    pageCount: pages.length,
+    failedPageCount: pageSummaries.filter(page => page.error).length,
+    totalOriginalSize,
+    totalOptimizedSize,
+    pages: pageSummaries,
+    svgs,
+    spriteCandidates: svgs
+      .filter(entry => entry.pageCount > 1)
+      .sort((a, b) => b.reuseSavings - a.reuseSavings)
+  };
+}
+
+function buildSiteJsonReport(pages, budgets = DEFAULT_BUDGETS, config = null) {
+  const site = aggregateSiteStats(pages);
+  
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    tool: { name: 'svg-opti-detector', version },
+    site: {
+      pageCount: site.pageCount,
+      failedPageCount: site.failedPageCount,
+      totalOriginalSize: site.totalOriginalSize,
+      totalOptimizedSize: site.totalOptimizedSize,
+      svgs: site.svgs,
+      spriteCandidates: site.spriteCandidates.map(entry => entry.hash)
+    },
+    pages: pages.map(page => page.error 
+      ? { source: page.input, error: page.error } 
+      : buildJsonReport(page.input, page.svgs, page.result, budgets)),
+    ...(config ? { config } : {})
+  };
+}
+
+// All pages' SARIF results in a single run
+function buildSiteSarifReport(pages, budgets = DEFAULT_BUDGETS, config = null) {
+  const reports = pages
+    .filter(page => !page.error)
+    .map(page => buildSarifReport(page.input, page.svgs, page.result, budgets));
+  const sarif = reports.length > 0 ? reports[0] : buildSarifReport('', [], { totalOriginalSize: 0, totalOptimizedSize: 0, svgStats: [], duplicates: {} }, budgets);
+  const run = sarif.runs[0];
+  
+  run.artifacts = reports.flatMap(report => report.runs[0].artifacts);
+  run.results = reports.flatMap(report => report.runs[0].results);
+  run.properties = { schemaVersion: REPORT_SCHEMA_VERSION, ...(config ? { config } : {}) };
+  
+  return sarif;
+}
+
+// The text report of a crawl; returns the site-wide statistics it prints
+function printSiteReport(pages, options = {}) {
+  const site = aggregateSiteStats(pages);
+  const limit = options.limit || 10;
+  const log = options.log || console.log;
+  
+  log('\n' + chalk.blue.bold('🌐 SITE-WIDE SVG ANALYSIS'));
+  log('─'.repeat(50));
+  
+  log(chalk.bold('Bytes per page:'));
+  site.pages.forEach(page => {
+    if (page.error) {
+      log(`   ${chalk.red('✖')} ${page.input} ${chalk.red(page.error)}`);
+    } else {
+      log(`   ${page.input}: ${page.svgCount} SVG(s), ${formatBytes(page.totalOriginalSize)} → ${formatBytes(page.totalOptimizedSize)}`);
+    }
+  });
+  log('');
+  
+  const shared = site.svgs.filter(entry => entry.pageCount > 1);
+  log(chalk.bold('SVGs on the most pages:'));
+  if (shared.length === 0) {
+    log(chalk.gray('   No SVG appears on more than one page.'));
+  }
+  shared.slice(0, limit).forEach(entry => {
+    log(`   ${chalk.cyan(`${entry.pageCount} pages`)}, ${entry.occurrences} occurrences: ${entry.hash.slice(0, 8)}${generateIdentifierString(entry.attributes)} ${formatBytes(entry.originalSize)}`);
+  });
+  log('');
+  
+  if (site.spriteCandidates.length > 0) {
+    log(chalk.bold('Sprite candidates (cross-page reuse):'));
+    site.spriteCandidates.slice(0, limit).forEach((entry, i) => {
+      log(`   ${i + 1}. ${entry.hash.slice(0, 8)}${generateIdentifierString(entry.attributes)} — ${chalk.green(`saves ${formatBytes(entry.reuseSavings)}`)} across ${entry.pageCount} pages`);
+    });
+    log('');
+  }
+  
+  log(chalk.blue.bold('📊 SITE TOTALS'));
+  log('─'.repeat(50));
+  log(chalk.cyan(`Pages analyzed: ${site.pageCount - site.failedPageCount} (${site.failedPageCount} failed)`));
+  log(chalk.cyan(`Distinct SVGs: ${site.svgs.length}`));
+  log(chalk.cyan(`Total original size: ${formatBytes(site.totalOriginalSize)}`));
+  log(chalk.cyan(`Total optimized size: ${formatBytes(site.totalOptimizedSize)}`));
+  
+  return site;
+}
+
+// Configuration files looked up in the working directory, in this order. A
+// "svg-opti-detector" key in package.json is used when none of them exist.
+const CONFIG_FILE_NAMES = ['svg-opti-detector.config.js', 'svg-opti-detector.config.json'];
+const PACKAGE_JSON_CONFIG_KEY = 'svg-opti-detector';
+
+const CONFIG_KEYS = ['svgo', 'budgets', 'ignore', 'options'];
+
+function validateConfig(config, source) {
+  const fail = (message) => {
+    throw new Error(`Invalid configuration in ${source}: ${message}`);
+  };
+  
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    fail('expected an object');
+  }
+  Object.keys(config).forEach(key => {
+    if (!CONFIG_KEYS.includes(key)) fail(`unknown key "${key}" (expected ${CONFIG_KEYS.join(', ')})`);
+  });
+  if (config.svgo !== undefined) {
+    if (typeof config.svgo !== 'object' || Array.isArray(config.svgo)) fail('"svgo" must be an object');
+    if (config.svgo.plugins !== undefined && !Array.isArray(config.svgo.plugins)) fail('"svgo.plugins" must be an array');
+    if (config.svgo.overrides !== undefined && (typeof config.svgo.overrides !== 'object' || Array.isArray(config.svgo.overrides))) {
+      fail('"svgo.overrides" must be an object');
+    }
+  }
+  if (config.budgets !== undefined) {
+    Object.entries(config.budgets).forEach(([key, value]) => {
+      if (!(key in DEFAULT_BUDGETS)) fail(`unknown budget "${key}"`);
+      if (value !== null && (typeof value !== 'number' || value < 0)) fail(`budget "${key}" must be a non-negative number or null`);
+    });
+  }
+  if (config.ignore !== undefined && (!Array.isArray(config.ignore) || !config.ignore.every(selector => typeof selector === 'string'))) {
+    fail('"ignore" must be an array of CSS selectors');
+  }
+  if (config.options !== undefined) {
+    Object.keys(config.options).forEach(key => {
+      if (!CONFIGURABLE_OPTIONS.includes(key)) fail(`unknown option "${key}" (expected ${CONFIGURABLE_OPTIONS.join(', ')})`);
+    });
+  }
+  
+  return config;
+}
+
+// Loads the configuration from configPath, or from the first config file found in
+// cwd. Returns the config with its source path, or { source: null } for defaults.
+function loadConfig(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const readConfigFile = (filePath) => {
+    if (filePath.endsWith('.json')) {
+      try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        throw new Error(`Could not read configuration ${filePath}: ${error.message}`);
+      }
+    }
+    return require(filePath);
+  };
+  
+  if (options.configPath) {
+    const filePath = path.resolve(cwd, options.configPath);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Configuration file not found: ${filePath}`);
+    }
+    const config = path.basename(filePath) === 'package.json'
+      ? readConfigFile(filePath)[PACKAGE_JSON_CONFIG_KEY] || {}
+      : readConfigFile(filePath);
+    return { ...validateConfig(config, filePath), source: filePath };
+  }
+  
+  for (const fileName of CONFIG_FILE_NAMES) {
+    const filePath = path.join(cwd, fileName);
+    if (fs.existsSync(filePath)) {
+      return { ...validateConfig(readConfigFile(filePath), filePath), source: filePath };
+    }
+  }
+  
+  const packageJson = path.join(cwd, 'package.json');
+  if (fs.existsSync(packageJson)) {
+    const config = readConfigFile(packageJson)[PACKAGE_JSON_CONFIG_KEY];
+    if (config) {
+      return { ...validateConfig(config, `${packageJson} ("${PACKAGE_JSON_CONFIG_KEY}")`), source: packageJson };
+    }
+  }
+  
+  return { source: null };
+}
+
+const PRESET_DEFAULT_PLUGINS = require('svgo').builtinPlugins
+  .find(plugin => plugin.name === 'preset-default')
+  .plugins.map(plugin => plugin.name);
+
+// The SVGO config for a loaded configuration. svgo.plugins replaces the default
+// plugin list; svgo.overrides then disables (false) or configures (params object)
+// single plugins, wherever they live: in the list itself or inside preset-default.
+function resolveSvgoConfig(config = {}) {
+  const svgo = config.svgo || {};
+  const plugins = (svgo.plugins || svgoConfig.plugins).map(plugin => 
+    typeof plugin === 'string' ? plugin : { ...plugin });
+  const pluginName = (plugin) => typeof plugin === 'string' ? plugin : plugin.name;
+  
+  for (const [name, value] of Object.entries(svgo.overrides || {})) {
+    const index = plugins.findIndex(plugin => pluginName(plugin) === name);
+    const presetIndex = plugins.findIndex(plugin => pluginName(plugin) === 'preset-default');
+    
+    if (index !== -1) {
+      if (value === false) {
+        plugins.splice(index, 1);
+      } else if (typeof value === 'object') {
+        plugins[index] = { name, params: value };
+      }
+    } else if (value !== false && value !== true && typeof value !== 'object') {
+      throw new Error(`Invalid override for SVGO plugin "${name}": expected false, true or a params object`);
+    } else if (!PRESET_DEFAULT_PLUGINS.includes(name) && value !== false) {
+      plugins.push(value === true ? name : { name, params: value });
+    }
+    
+    if (PRESET_DEFAULT_PLUGINS.includes(name) && presetIndex !== -1 && value !== true) {
+      const preset = typeof plugins[presetIndex] === 'string' ? { name: 'preset-default' } : plugins[presetIndex];
+      plugins[presetIndex] = {
+        ...preset,
+        params: {
+          ...preset.params,
+          overrides: { ...(preset.params && preset.params.overrides), [name]: value }
+        }
+      };
+    }
+  }
+  
+  return {
+    multipass: svgo.multipass !== undefined ? svgo.multipass : svgoConfig.multipass,
+    plugins
+  };
+}
+
+// What the report echoes as the active configuration
+function describeConfig(config, svgo, budgets) {
+  return {
+    source: config.source ? toArtifactUri(config.source) : null,
+    svgo,
+    budgets,
+    ignore: config.ignore || []
+  };
+}
+
+function printNearDuplicates(groups, svgs, log = console.log) {
+  log(chalk.magenta.bold('🔶 NEAR-DUPLICATE SVGs'));
+  log('─'.repeat(50));
+  
+  if (groups.length === 0) {
+    log(chalk.gray('No near-duplicate SVGs found.'));
+    log('');
+    return;
+  }
+  
+  groups.forEach((group, groupIdx) => {
+    log(`${chalk.magenta('●')} ${chalk.bold(`Group ${groupIdx + 1}:`)} ${Math.round(group.similarity * 100)}% similar, differs in ${group.differences.join(', ')}`);
+    log(`   Found at indices: [${chalk.yellow(group.indices.join(', '))}]`);
+    group.indices.forEach((idx, i) => {
+      const location = group.locations[i] ? `: ${formatLocation(group.locations[i])}` : '';
+      log(`     ${chalk.gray(`#${idx}${generateIdentifierString(svgs[idx].attributes)}${location}`)}`);
+    });
+    log(`   Potential savings as one symbol: ${chalk.green(formatBytes(group.optimizedSavings))}`);
+    log('');
+  });
+}
+
+function printIdConflicts(conflicts, svgs, log = console.log) {
+  const { collisions, brokenReferences, renamedIds, optimizedCollisions } = conflicts;
+  const describe = (index) => {
+    const location = svgs[index].location ? `: ${formatLocation(svgs[index].location)}` : '';
+    return `SVG #${index}${generateIdentifierString(svgs[index].attributes)}${location}`;
+  };
+  const listIds = (ids) => ids.map(id => `"${id}"`).join(', ');
+  
+  log(chalk.red.bold('🆔 ID COLLISIONS AND REFERENCES'));
+  log('─'.repeat(50));
+  
+  if (collisions.length + brokenReferences.length + renamedIds.length + optimizedCollisions.length === 0) {
+    log(chalk.gray('No id collisions or broken references found.'));
+    log('');
+    return;
+  }
+  
+  collisions.forEach(collision => {
+    log(`${chalk.red('●')} ${chalk.bold(`id="${collision.id}"`)} is defined in ${collision.indices.length} SVGs: [${chalk.yellow(collision.indices.join(', '))}]`);
+    collision.indices.forEach(index => log(`     ${chalk.gray(describe(index))}`));
+    if (collision.misresolved.length > 0) {
+      log(`   ${chalk.red(`SVG #${collision.misresolved.join(', #')} get${collision.misresolved.length === 1 ? 's' : ''} the definition of SVG #${collision.indices[0]} instead of ${collision.misresolved.length === 1 ? 'its' : 'their'} own`)}`);
+    }
+  });
+  
+  brokenReferences.forEach(reference => {
+    log(`${chalk.red('✖')} ${describe(reference.index)} references missing ${listIds(reference.ids)}`);
+  });
+  
+  renamedIds.forEach(entry => {
+    log(`${chalk.yellow('⚠')} SVGO renames or removes ${listIds(entry.ids)} in ${describe(entry.index)}`);
+    if (entry.referencedElsewhere.length > 0) {
+      log(`   ${chalk.red(`Other SVGs reference ${listIds(entry.referencedElsewhere)}: disable cleanupIds or keep these ids`)}`);
+    }
+  });
+  
+  if (optimizedCollisions.length > 0) {
+    const [first] = optimizedCollisions;
+    log(chalk.yellow(`After optimization ${optimizedCollisions.length} id(s) are defined in several SVGs (e.g. "${first.id}" in ${first.indices.length} SVGs); --fix --prefix-ids keeps them apart.`));
+  }
+  log('');
+}
+
+function printVerification(verification, svgs, log = console.log) {
+  log(chalk.blue.bold('🖼️  RENDERING CHECK'));
+  log('─'.repeat(50));
+  
+  const changed = verification.svgs.filter(entry => entry.status === 'changed');
+  const failed = verification.svgs.filter(entry => entry.status === 'error');
+  const describe = entry => {
+    const location = entry.location ? chalk.gray(`: ${formatLocation(entry.location)}`) : '';
+    return `SVG #${entry.index}${generateIdentifierString(svgs[entry.index].attributes)}${location}`;
+  };
+  
+  changed.forEach(entry => {
+    log(chalk.red(`✖ ${describe(entry)}`));
+    log(`   ${chalk.red(`${(entry.difference * 100).toFixed(1)}% of the pixels change: unsafe to optimize, left out of the savings and --fix`)}`);
+  });
+  failed.forEach(entry => {
+    log(chalk.yellow(`⚠ ${describe(entry)}`));
+    log(`   ${chalk.gray(`Could not be rendered: ${entry.error}`)}`);
+  });
+  if (changed.length > 0 || failed.length > 0) {
+    log('');
+  }
+  
+  const unchanged = verification.svgs.length - changed.length - failed.length;
+  log(chalk.cyan(`Compared ${verification.svgs.length} SVG(s) at ${verification.size}px wide: ${unchanged} render the same, ${changed.length} change (tolerance ${(verification.tolerance * 100).toFixed(1)}%), ${failed.length} could not be rendered`));
+  log('');
+}
+
+function printExplanations(explanations, svgs, log = console.log) {
+  log(chalk.blue.bold('🔬 WHERE THE SAVINGS COME FROM'));
+  log('─'.repeat(50));
+  
+  const explained = explanations.svgs.filter(entry => entry.causes.length > 0);
+  if (explained.length === 0) {
+    log(chalk.gray('SVGO found nothing to remove.'));
+    log('');
+    return;
+  }
+  
+  explained.forEach(entry => {
+    const location = entry.location ? chalk.gray(`: ${formatLocation(entry.location)}`) : '';
+    log(`${chalk.bold(`SVG #${entry.index}${generateIdentifierString(svgs[entry.index].attributes)}`)}${location}`);
+    entry.causes.forEach(cause => {
+      const plugins = cause.plugins.map(plugin => plugin.name).join(', ');
+      log(`   ${formatBytes(cause.savings)} ${cause.label} ${chalk.gray(`(${plugins})`)}`);
+    });
+    log('');
+  });
+  
+  log(chalk.white.bold('All SVGs:'));
+  explanations.causes.forEach(cause => {
+    log(`   ${chalk.green(formatBytes(cause.savings))} ${cause.label} ${chalk.gray(`(${cause.svgCount} SVG${cause.svgCount === 1 ? '' : 's'})`)}`);
+  });
+  log('');
+}
+
+function printSecurity(entries, svgs, log = console.log) {
+  const colors = { high: chalk.red, medium: chalk.yellow, low: chalk.gray };
+  
+  log(chalk.red.bold('🛡️  SECURITY'));
+  log('─'.repeat(50));
+  
+  if (entries.length === 0) {
+    log(chalk.gray('No risky SVG content found.'));
+    log('');
+    return;
+  }
+  
+  entries.forEach(entry => {
+    const location = entry.location ? chalk.gray(`: ${formatLocation(entry.location)}`) : '';
+    log(`${chalk.bold(`SVG #${entry.index}${generateIdentifierString(svgs[entry.index].attributes)}`)}${location}`);
+    entry.findings.forEach(finding => {
+      log(`   ${colors[finding.severity](`[${finding.severity.toUpperCase()}] ${finding.message}`)}`);
+    });
+    log('');
+  });
+  
+  const findings = entries.flatMap(entry => entry.findings);
+  const counts = [...SECURITY_SEVERITIES].reverse()
+    .map(severity => `${findings.filter(finding => finding.severity === severity).length} ${severity}`);
+  log(chalk.cyan(`Findings: ${counts.join(', ')}`));
+  log('');
+}
+
+function printAccessibility(entries, svgs, log = console.log) {
+  const styles = {
+    error: { color: chalk.red, icon: '✖' },
+    warning: { color: chalk.yellow, icon: '⚠' },
+    note: { color: chalk.gray, icon: 'ℹ' }
+  };
+  
+  log(chalk.cyan.bold('♿ ACCESSIBILITY'));
+  log('─'.repeat(50));
+  
+  if (entries.length === 0) {
+    log(chalk.gray('No accessibility problems found.'));
+    log('');
+    return;
+  }
+  
+  entries.forEach(entry => {
+    const location = entry.location ? chalk.gray(`: ${formatLocation(entry.location)}`) : '';
+    log(`${chalk.bold(`SVG #${entry.index}${generateIdentifierString(svgs[entry.index].attributes)}`)}${location}`);
+    entry.findings.forEach(finding => {
+      const { color, icon } = styles[finding.severity];
+      log(`   ${color(`${icon} ${finding.message}`)}`);
+    });
+    log('');
+  });
+}
+
+function printConfig(activeConfig, log = console.log) {
+  const pluginNames = activeConfig.svgo.plugins.map(plugin => {
+    if (typeof plugin === 'string') return plugin;
+    const overrides = plugin.params && plugin.params.overrides;
+    const disabled = overrides ? Object.keys(overrides).filter(name => overrides[name] === false) : [];
+    return disabled.length > 0 ? `${plugin.name} (without ${disabled.join(', ')})` : plugin.name;
+  });
+  const limits = Object.entries(activeConfig.budgets)
+    .filter(([, value]) => value !== null)
+    .map(([key, value]) => `${key}=${value}`);
+  
+  log(chalk.gray(`⚙️  Config: ${activeConfig.source || 'defaults'}`));
+  log(chalk.gray(`   SVGO: ${pluginNames.join(', ')}${activeConfig.svgo.multipass ? ' (multipass)' : ''}`));
+  log(chalk.gray(`   Budgets: ${limits.join(', ')}`));
+  if (activeConfig.ignore.length > 0) {
+    log(chalk.gray(`   Ignored: ${activeConfig.ignore.join(', ')}`));
+  }
+  log('');
+}
+
+// Value options accept both "--name value" and "--name=value"
+function getOptionValue(args, ...names) {
+  for (let i = 0; i < args.length; i++) {
+    for (const name of names) {
+      if (args[i] === name) {
+        return args[i + 1];
+      }
+      if (args[i].startsWith(`${name}=`)) {
+        return args[i].slice(name.length + 1);
+      }
+    }
+  }
+  return undefined;
+}
+
+// Accepts plain byte counts or a KB/MB suffix, e.g. "2048", "10KB", "1.5mb"
+function parseByteSize(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb)?$/i.exec(String(value).trim());
+  if (!match) {
+    return NaN;
+  }
+  const multipliers = { b: 1, kb: 1024, mb: 1024 * 1024 };
+  return Math.round(parseFloat(match[1]) * multipliers[(match[2] || 'b').toLowerCase()]);
+}
+
+// Budget options, mapped to their DEFAULT_BUDGETS key and value parser
+const BUDGET_OPTIONS = {
+  '--max-total-bytes': { key: 'maxTotalBytes', parse: parseByteSize },
+  '--max-svg-bytes': { key: 'maxSvgBytes', parse: parseByteSize },
+  '--max-savings-percent': { key: 'maxSavingsPercent', parse: Number },
+  '--max-duplicate-groups': { key: 'maxDuplicateGroups', parse: Number },
+  '--high-savings-percent': { key: 'highSavingsPercent', parse: Number },
+  '--moderate-savings-percent': { key: 'moderateSavingsPercent', parse: Number }
+};
+
+// Every value of a repeatable option, e.g. --include a --include=b
+function getOptionValues(args, name) {
+  const values = [];
+  args.forEach((arg, i) => {
+    if (arg === name && args[i + 1] !== undefined) {
+      values.push(args[i + 1]);
+    } else if (arg.startsWith(`${name}=`)) {
+      values.push(arg.slice(name.length + 1));
+    }
+  });
+  return values;
+}
+
+// Options that consume the following argument as their value
+const VALUE_OPTIONS = ['--format', '-f', '--config', '--similarity', '--verify-tolerance', '--fail-on-security', '--wait-for', '--compare', '--save-baseline', '--report', '--out', '--out-dir', '--base-url', '--sprite-file', '--sitemap', '--max-depth', '--max-pages', '--concurrency', '--include', '--exclude', '--header', '--auth', '--bearer', '--cookie-file', '--proxy', '--user-agent', '--timeout', '--retries', '--max-redirects', '--label', ...Object.keys(BUDGET_OPTIONS)];
+
+// Config keys under "options" that may set CLI defaults. Command line flags win;
+// rewriting options (--fix, --out, …) are deliberately left out.
+const CONFIGURABLE_OPTIONS = [
+  'showDuplicates', 'sortBySavings', 'format', 'external', 'baseUrl', 'include',
+  'exclude', 'respectGitignore', 'crawl', 'maxDepth', 'maxPages', 'ignoreIds', 'ignoreColors', 'nearDuplicates', 'similarity',
+  'accessibility', 'idConflicts', 'security', 'failOnSecurity', 'render', 'waitFor', 'compressed', 'explain', 'concurrency',
+  'verify', 'verifyTolerance', 'headers', 'cookieFile', 'proxy', 'userAgent', 'timeout', 'retries', 'maxRedirects'
+];
+
+// config is a loaded configuration file (see loadConfig): its "options" become
+// defaults and its "budgets" are applied before the budget flags
+function parseCliArgs(args, config = {}) {
+  const defaults = config.options || {};
+  const positionals = args.filter((arg, i) => 
+    (!arg.startsWith('-') || arg === STDIN_INPUT) && !VALUE_OPTIONS.includes(args[i - 1]));
+  if (args.includes('--stdin') && !positionals.includes(STDIN_INPUT)) {
+    positionals.push(STDIN_INPUT);
+  }
+  const errors = [];
+  
+  const format = getOptionValue(args, '--format', '-f') || defaults.format || 'text';
+  if (!OUTPUT_FORMATS.includes(format)) {
+    errors.push(`Unknown format "${format}". Expected one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  
+  const budgets = { ...DEFAULT_BUDGETS, ...config.budgets };
+  for (const [option, { key, parse }] of Object.entries(BUDGET_OPTIONS)) {
+    const value = getOptionValue(args, option);
+    if (value === undefined) continue;
+    
+    const parsed = parse(value);
+    if (!Number.isFinite(parsed) || parsed < 0) {
+      errors.push(`Invalid value "${value}" for ${option}`);
+    } else {
+      budgets[key] = parsed;
+    }
+  }
+  
+  const parseCount = (option, fallback) => {
+    const value = getOptionValue(args, option);
+    if (value === undefined) return fallback;
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 0) {
+      errors.push(`Invalid value "${value}" for ${option}`);
+      return fallback;
+    }
+    return parsed;
+  };
+  
+  const flag = (key, ...names) => names.some(name => args.includes(name)) || Boolean(defaults[key]);
+  
+  const similarityValue = getOptionValue(args, '--similarity');
+  let similarity = defaults.similarity !== undefined ? defaults.similarity : DEFAULT_SIMILARITY_THRESHOLD;
+  if (similarityValue !== undefined) {
+    similarity = Number(similarityValue);
+    if (!(similarity >= 0 && similarity <= 1)) {
+      errors.push(`Invalid value "${similarityValue}" for --similarity (expected a number between 0 and 1)`);
+    }
+  }
+  
+  const verifyToleranceValue = getOptionValue(args, '--verify-tolerance');
+  let verifyTolerance = defaults.verifyTolerance !== undefined ? defaults.verifyTolerance : DEFAULT_VERIFY_TOLERANCE;
+  if (verifyToleranceValue !== undefined) {
+    verifyTolerance = Number(verifyToleranceValue);
+    if (!(verifyTolerance >= 0 && verifyTolerance <= 1)) {
+      errors.push(`Invalid value "${verifyToleranceValue}" for --verify-tolerance (expected a number between 0 and 1)`);
+    }
+  }
+  
+  const failOnSecurity = getOptionValue(args, '--fail-on-security') || defaults.failOnSecurity || null;
+  if (failOnSecurity && !SECURITY_SEVERITIES.includes(failOnSecurity)) {
+    errors.push(`Invalid value "${failOnSecurity}" for --fail-on-security. Expected one of: ${SECURITY_SEVERITIES.join(', ')}`);
+  }
+  
+  const waitFor = getOptionValue(args, '--wait-for') || defaults.waitFor;
+  const concurrency = parseCount('--concurrency', defaults.concurrency !== undefined ? defaults.concurrency : 1);
+  if (concurrency < 1) {
+    errors.push(`Invalid value "${concurrency}" for --concurrency (expected at least 1)`);
+  }
+  const nearDuplicates = flag('nearDuplicates', '--near-duplicates');
+  
+  const headers = { ...defaults.headers };
+  getOptionValues(args, '--header').forEach(header => {
+    const separator = header.indexOf(':');
+    if (separator < 1) {
+      errors.push(`Invalid value "${header}" for --header (expected "Name: value")`);
+      return;
     }
-    filePath = path.resolve(filePath);
-    console.log(chalk.green('Reading local file:'), filePath);
-    return fs.readFileSync(filePath, 'utf8');
+    headers[header.slice(0, separator).trim()] = header.slice(separator + 1).trim();
+  });
+  const auth = getOptionValue(args, '--auth');
+  if (auth !== undefined && !auth.includes(':')) {
+    // The value is a password: keep it out of the message
+    errors.push('Invalid value for --auth (expected "user:password")');
+  }
+  const bearerToken = getOptionValue(args, '--bearer');
+  if (auth !== undefined && bearerToken !== undefined) {
+    errors.push('--auth and --bearer cannot be combined');
   }
+  
+  const include = getOptionValues(args, '--include');
+  const exclude = getOptionValues(args, '--exclude');
+  
+  return {
+    input: positionals[0],
+    inputs: positionals,
+    label: getOptionValue(args, '--label'),
+    configPath: getOptionValue(args, '--config'),
+    crawl: flag('crawl', '--crawl'),
+    sitemap: getOptionValue(args, '--sitemap'),
+    external: flag('external', '--external'),
+    baseUrl: getOptionValue(args, '--base-url') || defaults.baseUrl,
+    include: include.length > 0 ? include : defaults.include || [],
+    exclude: exclude.length > 0 ? exclude : defaults.exclude || [],
+    respectGitignore: !args.includes('--no-gitignore') && defaults.respectGitignore !== false,
+    maxDepth: parseCount('--max-depth', defaults.maxDepth !== undefined ? defaults.maxDepth : DEFAULT_CRAWL_OPTIONS.maxDepth),
+    maxPages: parseCount('--max-pages', defaults.maxPages !== undefined ? defaults.maxPages : DEFAULT_CRAWL_OPTIONS.maxPages),
+    showDuplicates: flag('showDuplicates', '--duplicates', '-d') || nearDuplicates,
+    ignoreIds: flag('ignoreIds', '--ignore-ids'),
+    ignoreColors: flag('ignoreColors', '--ignore-colors'),
+    nearDuplicates,
+    similarity,
+    accessibility: flag('accessibility', '--a11y'),
+    idConflicts: flag('idConflicts', '--id-conflicts'),
+    security: flag('security', '--security') || Boolean(failOnSecurity),
+    render: flag('render', '--render') || waitFor !== undefined,
+    waitFor,
+    failOnSecurity,
+    sortBySavings: flag('sortBySavings', '--sort-by-savings', '-s'),
+    compressed: flag('compressed', '--compressed'),
+    explain: flag('explain', '--explain'),
+    verify: flag('verify', '--verify') || verifyToleranceValue !== undefined,
+    verifyTolerance,
+    concurrency: Math.max(concurrency, 1),
+    headers,
+    auth,
+    bearerToken,
+    cookieFile: getOptionValue(args, '--cookie-file') || defaults.cookieFile,
+    proxy: getOptionValue(args, '--proxy') || defaults.proxy,
+    userAgent: getOptionValue(args, '--user-agent') || defaults.userAgent,
+    timeout: parseCount('--timeout', defaults.timeout !== undefined ? defaults.timeout : DEFAULT_HTTP_OPTIONS.timeout),
+    retries: parseCount('--retries', defaults.retries !== undefined ? defaults.retries : DEFAULT_HTTP_OPTIONS.retries),
+    maxRedirects: parseCount('--max-redirects', defaults.maxRedirects !== undefined ? defaults.maxRedirects : DEFAULT_HTTP_OPTIONS.maxRedirects),
+    format,
+    budgets,
+    compare: getOptionValue(args, '--compare'),
+    saveBaseline: getOptionValue(args, '--save-baseline'),
+    report: getOptionValue(args, '--report'),
+    fix: args.includes('--fix'),
+    watch: args.includes('--watch'),
+    prefixIds: args.includes('--prefix-ids'),
+    sanitize: args.includes('--sanitize'),
+    dryRun: args.includes('--dry-run'),
+    outFile: getOptionValue(args, '--out'),
+    outDir: getOptionValue(args, '--out-dir'),
+    extractSprite: args.includes('--extract-sprite') || getOptionValue(args, '--sprite-file') !== undefined,
+    spriteFile: getOptionValue(args, '--sprite-file'),
+    errors
+  };
 }
 
-function extractInlineSvgs(html) {
-  const $ = cheerio.load(html, {
-    // Performance optimization: Disable unnecessary parsing features
-    xmlMode: false,
-    decodeEntities: false,
-    lowerCaseAttributeNames: false
+function printUsage() {
+  console.error(chalk.red('Usage: node svg-opti-detector.js <url or file path>... [options]'));
+  console.error(chalk.red('       <command> | node svg-opti-detector.js - [options]'));
+  console.error(chalk.gray('Options:'));
+  console.error(chalk.gray('  -, --stdin                       Read the page from standard input'));
+  console.error(chalk.gray('  --label <name>                   Name the input in reports; its extension picks the extraction for stdin'));
+  console.error(chalk.gray('  --duplicates, -d                 Show duplicate SVG analysis'));
+  console.error(chalk.gray('  --ignore-ids                     Count SVGs that differ only in their ids as duplicates'));
+  console.error(chalk.gray('  --ignore-colors                  Count SVGs that differ only in fill, stroke and other colors as duplicates'));
+  console.error(chalk.gray('  --sort-by-savings, -s            Sort SVGs by optimization potential (highest savings first)'));
+  console.error(chalk.gray('  --verify                         Render each SVG before and after SVGO and leave out those that change'));
+  console.error(chalk.gray('  --verify-tolerance <0-1>         With --verify, share of pixels that may differ (default 0.01)'));
+  console.error(chalk.gray('  --explain                        Credit each SVG\'s savings to causes: editor metadata, precision, groups...'));
+  console.error(chalk.gray('  --compressed                     Also show gzip and brotli sizes, for the SVGs and the whole page'));
+  console.error(chalk.gray('  --near-duplicates                Also group SVGs that differ only in color, size or ids (implies -d)'));
+  console.error(chalk.gray('  --similarity <0-1>               With --near-duplicates, minimum similarity score (default 0.9)'));
+  console.error(chalk.gray('  --a11y                           Audit inline SVGs for accessibility problems'));
+  console.error(chalk.gray('  --id-conflicts                   Report ids shared by several SVGs and references to missing ids'));
+  console.error(chalk.gray('  --security                       Scan inline SVGs for scripts, event handlers and other risky content'));
+  console.error(chalk.gray('  --fail-on-security <severity>    Exit with code 4 on security findings of this severity or higher (low, medium, high)'));
+  console.error(chalk.gray('  --format, -f <format>            Output format: text (default), json or sarif'));
+  console.error(chalk.gray('  --concurrency <n>                Optimize SVGs in n worker threads (default 1: on the main thread)'));
+  console.error(chalk.gray('  --config <file>                  Configuration file (default: svg-opti-detector.config.{js,json} or package.json)'));
+  console.error(chalk.gray('  --render                         Load the page in a headless browser (puppeteer) to see SVGs added by scripts'));
+  console.error(chalk.gray('  --wait-for <selector>            With --render, wait for this selector instead of network idle'));
+  console.error(chalk.gray('  --external                       Also analyze SVGs referenced via img, object, link, use and url()'));
+  console.error(chalk.gray('  --base-url <url>                 With --external, resolve root-relative references of local files'));
+  console.error(chalk.gray('  --watch                          Analyze again after every change to the input, printing what changed'));
+  console.error(chalk.gray('  --fix                            Rewrite the HTML with every inline SVG optimized'));
+  console.error(chalk.gray('  --extract-sprite                 Move duplicate SVGs into a sprite referenced with <use>'));
+  console.error(chalk.gray('  --sprite-file <file>             With --extract-sprite, write the sprite to this file'));
+  console.error(chalk.gray('  --prefix-ids                     Rewrite the HTML with the ids of every SVG prefixed (with --fix: optimized too)'));
+  console.error(chalk.gray('  --sanitize                       Rewrite the HTML without the risky content --security reports'));
+  console.error(chalk.gray('  --dry-run                        With --fix/--extract-sprite/--prefix-ids/--sanitize, only show the diff'));
+  console.error(chalk.gray('  --out <file>                     With --fix/--extract-sprite/--prefix-ids/--sanitize, write to this file'));
+  console.error(chalk.gray('  --out-dir <dir>                  Write optimized copies of standalone .svg files to this directory'));
+  console.error(chalk.gray('  --report <file>                  Write a standalone HTML report with previews of every SVG'));
+  console.error(chalk.gray('  --save-baseline <file>           Save the JSON report as a baseline for --compare'));
+  console.error(chalk.gray('  --compare <file>                 List SVGs added, removed, grown or newly duplicated since a baseline'));
+  console.error(chalk.gray('Directory scan (used when an input is a directory or a quoted glob):'));
+  console.error(chalk.gray('  --include <glob>                 Only scan matching files (repeatable)'));
+  console.error(chalk.gray('  --exclude <glob>                 Skip matching files (repeatable)'));
+  console.error(chalk.gray('  --no-gitignore                   Also scan files ignored by .gitignore'));
+  console.error(chalk.gray('Site analysis (also used when several inputs are given):'));
+  console.error(chalk.gray('  --crawl                          Follow same-origin links from the start URL(s)'));
+  console.error(chalk.gray('  --sitemap <url or file>          Analyze every page listed in a sitemap.xml'));
+  console.error(chalk.gray('  --max-depth <n>                  Link depth to follow with --crawl (default 2)'));
+  console.error(chalk.gray('  --max-pages <n>                  Maximum number of pages to analyze (default 50)'));
+  console.error(chalk.gray('  --header "<name>: <value>"       Send this HTTP header to the input\'s origin (repeatable)'));
+  console.error(chalk.gray('  --auth <user:password>           HTTP basic authentication for the input\'s origin'));
+  console.error(chalk.gray('  --bearer <token>                 Bearer token for the input\'s origin'));
+  console.error(chalk.gray('  --cookie-file <file>             Send cookies from a Netscape cookies.txt or "name=value; …" file'));
+  console.error(chalk.gray('  --proxy <url>                    Send requests through this HTTP(S) proxy (needs undici)'));
+  console.error(chalk.gray('  --user-agent <string>            User-Agent header (default svg-opti-detector/<version>)'));
+  console.error(chalk.gray('  --timeout <ms>                   Give up on a request after this long, 0 for never (default 30000)'));
+  console.error(chalk.gray('  --retries <n>                    Retry failed requests with backoff (default 2)'));
+  console.error(chalk.gray('  --max-redirects <n>              Redirects to follow per request (default 5)'));
+  console.error(chalk.gray('Budgets (exit code 3 when exceeded):'));
+  console.error(chalk.gray('  --max-total-bytes <size>         Maximum total inline SVG size, e.g. 20KB'));
+  console.error(chalk.gray('  --max-svg-bytes <size>           Maximum size of a single SVG'));
+  console.error(chalk.gray('  --max-savings-percent <n>        Maximum unoptimized savings percent per SVG'));
+  console.error(chalk.gray('  --max-duplicate-groups <n>       Maximum number of duplicate SVG groups'));
+  console.error(chalk.gray('  --high-savings-percent <n>       Savings percent shown in red (default 20)'));
+  console.error(chalk.gray('  --moderate-savings-percent <n>   Savings percent shown in yellow (default 10)'));
+}
+
+// "scan" for directories and globs of local templates, "site" for crawls, sitemaps
+// and several inputs, "page" for a single page or file
+function getRunMode(options) {
+  if (options.crawl || options.sitemap !== undefined) {
+    return 'site';
+  }
+  if (options.inputs.length > 0 && options.inputs.every(input => !isUrl(input)) && options.inputs.some(isScanInput)) {
+    return 'scan';
+  }
+  return options.inputs.length > 1 ? 'site' : 'page';
+}
+
+// The rendered SVGs, each with an origin: "server" when the server HTML has the
+// same SVG (by hashSvg, matched in document order), "client" when a script added
+// it. Server SVGs keep their location in the source; client SVGs only have the
+// DOM path, as their line and column would point into the serialized live DOM.
+function markSvgOrigins(renderedSvgs, serverSvgs) {
+  const unmatched = new Map();
+  serverSvgs.forEach(svg => {
+    const hash = hashSvg(svg.html);
+    if (!unmatched.has(hash)) {
+      unmatched.set(hash, []);
+    }
+    unmatched.get(hash).push(svg);
   });
   
-  const svgs = [];
-  const svgElements = $('svg');
+  return renderedSvgs.map(svg => {
+    const matches = unmatched.get(hashSvg(svg.html));
+    const serverSvg = matches && matches.shift();
+    if (serverSvg) {
+      return { ...svg, location: serverSvg.location, origin: 'server' };
+    }
+    return {
+      ...svg,
+      location: { line: null, column: null, startOffset: null, endOffset: null, domPath: svg.location.domPath },
+      origin: 'client'
+    };
+  });
+}
+
+// The HTML (null for directory scans, the live DOM with options.render) and
+// extracted SVGs of the run's input
+async function loadSvgs(options, log) {
+  const extractOptions = { ignore: options.ignore, accessibility: options.accessibility };
+  if (getRunMode(options) === 'scan') {
+    const files = scanFiles(options.inputs, options);
+    log(chalk.green(`Scanning ${files.length} file(s)`));
+    return { html: null, svgs: extractSvgsFromFiles(files, { ...extractOptions, cache: options.fileCache }) };
+  }
   
-  // Performance optimization: Use faster iteration
-  for (let i = 0; i < svgElements.length; i++) {
-    const el = svgElements[i];
-    const $el = $(el);
-    const svgHtml = $.html(el);
+  if (options.render) {
+    const serverHtml = await fetchHtml(options.input, { ...options, log });
+    const html = await renderHtml(options.input, { ...options, log });
+    const svgs = markSvgOrigins(
+      extractSvgsForInput(options.input, html, extractOptions),
+      extractSvgsForInput(options.input, serverHtml, { ignore: options.ignore })
+    );
+    return { html, svgs };
+  }
+  
+  // Markup handed over directly is extracted according to its label, so a label
+  // like "Header.vue" picks the Vue template extraction
+  if (options.html !== undefined && options.html !== null) {
+    const html = decodeMarkup(options.html, options.label);
+    return { html, svgs: extractSvgsFromSource(html, options.label || '', extractOptions) };
+  }
+  
+  const html = await fetchHtml(options.input, { ...options, log });
+  const svgs = options.input === STDIN_INPUT 
+    ? extractSvgsFromSource(html, options.label || '', extractOptions) 
+    : extractSvgsForInput(options.input, html, extractOptions);
+  return { html, svgs };
+}
+
+// The origins of the URLs among inputs
+function inputOrigins(inputs) {
+  return [...new Set(inputs.filter(input => typeof input === 'string' && isUrl(input)).map(input => new URL(input).origin))];
+}
+
+// Analyzes a page, a file, a directory or glob of templates, or (for an array of
+// inputs, options.crawl or options.sitemap) a whole site, and resolves to the
+// results. Nothing is printed: progress goes to options.log, options.warn and
+// options.onProgress when given. options.config is a configuration object as
+// returned by loadConfig, options.baseline a JSON report to compare against (see
+// loadBaseline), options.launchBrowser the browser for options.render (see
+// renderHtml); the other options mirror the CLI flags. Markup in memory is analyzed
+// when input is a Buffer or options.html a string or Buffer; options.label names
+// it (or any other input) in reports.
+async function analyze(input, options = {}) {
+  if (Buffer.isBuffer(input)) {
+    return analyze(null, { ...options, html: input });
+  }
+  const inputs = input === undefined || input === null ? [] : [].concat(input);
+  const config = options.config || {};
+  const svgoConfigForRun = options.svgoConfig || resolveSvgoConfig(config);
+  const ignore = options.ignore || config.ignore || [];
+  const budgets = { ...DEFAULT_BUDGETS, ...config.budgets, ...options.budgets };
+  const log = options.log || (() => {});
+  const runOptions = {
+    ...options,
+    input: inputs[0],
+    inputs,
+    svgoConfig: svgoConfigForRun,
+    ignore,
+    log,
+    // Credentials and custom headers are for the sites asked about, not for the
+    // other hosts their sitemaps, pages and external SVGs point to
+    credentialOrigins: options.credentialOrigins || inputOrigins([...inputs, options.sitemap, options.baseUrl]),
+    // What exact duplicates may differ in besides formatting
+    ...(options.ignoreIds || options.ignoreColors 
+      ? { canonicalize: { ignoreIds: Boolean(options.ignoreIds), ignoreColors: Boolean(options.ignoreColors) } } 
+      : {})
+  };
+  const mode = getRunMode(runOptions);
+  const activeConfig = describeConfig(config, svgoConfigForRun, budgets);
+  
+  // The command line rejects these before anything runs (see main)
+  if (mode !== 'page' && (options.external || options.render)) {
+    throw new Error('external and render work on a single page, not on a crawl or directory scan');
+  }
+  if (mode === 'site' && (options.compressed || options.explain || options.verify)) {
+    throw new Error('compressed, explain and verify work on a single page or directory scan, not on a crawl');
+  }
+  
+  if (mode === 'site') {
+    const pageInputs = [...inputs];
+    if (options.sitemap) {
+      pageInputs.push(...await fetchSitemapUrls(options.sitemap, runOptions));
+    }
     
-    // Extract identifying attributes
-    const attributes = {
-      class: $el.attr('class') || null,
-      id: $el.attr('id') || null,
-      width: $el.attr('width') || null,
-      height: $el.attr('height') || null,
-      viewBox: $el.attr('viewBox') || null
-    };
+    // One pool for every page, rather than one per page
+    const pool = options.concurrency > 1 && !options.pool && isTransferableConfig(svgoConfigForRun) 
+      ? createWorkerPool(options.concurrency, { svgoConfig: svgoConfigForRun, canonicalize: runOptions.canonicalize }) 
+      : null;
+    let pages;
+    try {
+      pages = await crawlPages([...new Set(pageInputs)], {
+        ...runOptions,
+        ...(pool ? { pool } : {}),
+        followLinks: Boolean(options.crawl),
+        maxDepth: options.maxDepth !== undefined ? options.maxDepth : DEFAULT_CRAWL_OPTIONS.maxDepth,
+        maxPages: options.maxPages !== undefined ? options.maxPages : DEFAULT_CRAWL_OPTIONS.maxPages
+      });
+    } finally {
+      if (pool) {
+        await pool.close();
+      }
+    }
     
-    svgs.push({
-      html: svgHtml,
-      attributes: attributes
-    });
+    return {
+      mode,
+      source: pageInputs.join(' '),
+      pages,
+      site: aggregateSiteStats(pages),
+      budgets,
+      breaches: pages
+        .filter(page => !page.error)
+        .flatMap(page => checkBudgets(page.svgs, page.result, budgets).map(breach => ({ ...breach, page: page.input }))),
+      config: activeConfig
+    };
   }
   
-  return svgs;
+  const { html, svgs } = await loadSvgs(runOptions, log);
+  log(chalk.cyan(`Found ${svgs.length} SVG(s) to analyze...\n`));
+  const render = options.render 
+    ? {
+      waitFor: options.waitFor || null,
+      serverSvgs: svgs.filter(svg => svg.origin === 'server').length,
+      clientSvgs: svgs.filter(svg => svg.origin === 'client').length
+    } 
+    : null;
+  
+  const rawAnalysis = await analyzeSvgs(svgs, runOptions);
+  const verification = options.verify 
+    ? await verifyRendering(svgs, rawAnalysis, { tolerance: options.verifyTolerance, rasterize: options.rasterize }) 
+    : null;
+  const analysis = verification 
+    ? excludeUnsafeOptimizations(rawAnalysis, verification) 
+    : rawAnalysis;
+  const external = options.external 
+    ? await analyzeExternalSvgs(html, markupLocation(inputs[0], options), runOptions) 
+    : null;
+  const nearDuplicates = options.nearDuplicates 
+    ? findNearDuplicates(svgs, analysis, { threshold: options.similarity }) 
+    : null;
+  const accessibility = options.accessibility 
+    ? auditAccessibility(svgs, analysis) 
+    : null;
+  const idConflicts = options.idConflicts 
+    ? findIdConflicts(svgs, analysis) 
+    : null;
+  const security = options.security ? scanSvgSecurity(svgs) : null;
+  const transferSizes = options.compressed 
+    ? measureTransferSizes(svgs, analysis, html) 
+    : null;
+  const explanations = options.explain 
+    ? explainSavings(svgs, analysis, { svgoConfig: svgoConfigForRun }) 
+    : null;
+  let source = mode === 'scan' ? inputs.join(' ') : inputs[0];
+  if (options.label) {
+    source = options.label;
+  } else if (source === STDIN_INPUT) {
+    source = STDIN_LABEL;
+  } else if (source === undefined) {
+    source = INLINE_LABEL;
+  }
+  const comparison = options.baseline 
+    ? compareReports(options.baseline, buildJsonReport(source, svgs, analysis, budgets)) 
+    : null;
+  
+  return {
+    mode,
+    source,
+    html,
+    svgs,
+    analysis,
+    duplicates: summarizeDuplicates(svgs, analysis),
+    nearDuplicates,
+    accessibility,
+    idConflicts,
+    security,
+    transferSizes,
+    explanations,
+    verification,
+    render,
+    external,
+    comparison,
+    budgets,
+    breaches: checkBudgets(svgs, analysis, budgets),
+    config: activeConfig
+  };
 }
 
-// Performance optimization: Use faster hashing
-function hashSvg(svg) {
-  // Normalize SVG content by removing class attributes for duplicate detection
-  // This allows identical SVGs with different classes to be detected as duplicates
-  const normalizedSvg = svg.replace(/\s+class="[^"]*"/g, '').replace(/\s+class='[^']*'/g, '');
-  return crypto.createHash('md5').update(normalizedSvg).digest('hex');
+// The JSON or SARIF report of an analyze() result
+function buildReport(run, format = 'json') {
+  if (run.mode === 'site') {
+    return format === 'sarif' 
+      ? buildSiteSarifReport(run.pages, run.budgets, run.config) 
+      : buildSiteJsonReport(run.pages, run.budgets, run.config);
+  }
+  
+  const extras = {
+    external: run.external,
+    nearDuplicates: run.nearDuplicates,
+    accessibility: run.accessibility,
+    idConflicts: run.idConflicts,
+    security: run.security,
+    transferSizes: run.transferSizes,
+    explanations: run.explanations,
+    verification: run.verification,
+    render: run.render,
+    comparison: run.comparison,
+    config: run.config
+  };
+  return format === 'sarif' 
+    ? buildSarifReport(run.source, run.svgs, run.analysis, run.budgets, extras) 
+    : buildJsonReport(run.source, run.svgs, run.analysis, run.budgets, extras);
 }
 
-// Performance optimization: Process SVGs in parallel with controlled concurrency
-async function processSvgBatch(svgBatch, startIndex) {
-  const results = await Promise.all(
-    svgBatch.map(async (svg, batchIndex) => {
-      const index = startIndex + batchIndex;
-      const originalSize = Buffer.byteLength(svg.html, 'utf8');
-      
-      try {
-        const optimized = optimize(svg.html, svgoConfig);
-        const optimizedSize = Buffer.byteLength(optimized.data, 'utf8');
-        const hash = hashSvg(svg.html);
-        
-        return {
-          index,
-          originalSize,
-          optimizedSize,
-          hash,
-          isDuplicate: false
-        };
-      } catch (error) {
-        // Fallback if optimization fails
-        console.warn(`Warning: Failed to optimize SVG #${index}: ${error.message}`);
-        return {
-          index,
-          originalSize,
-          optimizedSize: originalSize,
-          hash: hashSvg(svg.html),
-          isDuplicate: false
-        };
+// The CLI's progress indicator: only worth showing for large pages
+function createProgressRenderer(stream) {
+  return ({ processed, total }) => {
+    if (total <= 20) return;
+    stream.write(`\rProcessing SVGs... ${Math.round((processed / total) * 100)}%`);
+    if (processed === total) {
+      stream.write('\n');
+    }
+  };
+}
+
+// How long --watch waits after a change for more, so a save that writes several
+// files (or one file in several steps) is analyzed once
+const WATCH_DEBOUNCE_MS = 100;
+
+// Watches local files, directories and globs and analyzes them again after every
+// change. Only the changed files are extracted again, and only SVGs not seen before
+// are optimized (through options.fileCache and options.cache, see analyze). After
+// each run options.onChange gets { files, run, delta, optimizedSvgCount }, delta
+// being diffReports of the previous run and this one; errors go to options.onError.
+// options.previous is the run the first change is compared with (analyzed here when
+// left out). Resolves to a watcher; close() stops it.
+async function watchInputs(input, options = {}) {
+  const inputs = [].concat(input);
+  const onChange = options.onChange || (() => {});
+  const onError = options.onError || (() => {});
+  const runOptions = { ...options, cache: options.cache || new Map(), fileCache: options.fileCache || new Map() };
+  const { cache, fileCache } = runOptions;
+  let previous = options.previous || await analyze(inputs, runOptions);
+  const changed = new Set();
+  let timer = null;
+  let running = Promise.resolve();
+  
+  const rerun = async () => {
+    if (changed.size === 0) return;
+    const files = [...changed];
+    changed.clear();
+    files.forEach(file => fileCache.delete(file));
+    
+    try {
+      const cachedBefore = countCachedSvgs(cache);
+      const run = await analyze(inputs, runOptions);
+      const optimizedSvgCount = countCachedSvgs(cache) - cachedBefore;
+      pruneSvgCache(cache, run.svgs);
+      const delta = diffReports(buildReport(previous), buildReport(run));
+      previous = run;
+      onChange({ files: files.map(file => toPosixPath(path.relative(process.cwd(), file))), run, delta, optimizedSvgCount });
+    } catch (error) {
+      onError(error);
+    }
+  };
+  
+  const watchers = inputs.map(item => {
+    const root = getScanRoot(item);
+    const file = isScanInput(item) ? null : path.resolve(toFilePath(item));
+    const watcher = fs.watch(root, { recursive: !file }, (event, name) => {
+      // Some platforms leave out the file name: everything may have changed
+      if (!name) {
+        fileCache.clear();
       }
-    })
-  );
+      const changedFile = name ? path.resolve(root, name.toString()) : file || root;
+      if (file && changedFile !== file) return;
+      if (changedFile.split(path.sep).some(part => ALWAYS_SKIPPED_DIRECTORIES.includes(part))) return;
+      
+      changed.add(changedFile);
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        running = running.then(rerun);
+      }, WATCH_DEBOUNCE_MS);
+    });
+    watcher.on('error', onError);
+    return watcher;
+  });
   
-  return results;
+  return {
+    async close() {
+      clearTimeout(timer);
+      watchers.forEach(watcher => watcher.close());
+      await running;
+    }
+  };
 }
 
-async function analyzeSvgs(svgs) {
-  let totalOriginalSize = 0;
-  let totalOptimizedSize = 0;
-  const svgStats = [];
-  const hashMap = new Map(); // Performance optimization: Use Map instead of object
-  const duplicates = {};
+// A sprite can compress worse than the repeated markup it replaces, so savings may
+// be negative
+function formatTransferSavings(before, after) {
+  const describe = savings => savings >= 0 
+    ? formatBytes(savings) 
+    : `${formatBytes(-savings)} larger`;
+  return `gzip ${describe(before.gzip - after.gzip)}, brotli ${describe(before.brotli - after.brotli)}`;
+}
+
+function printCompressedScenario(scenario, log = console.log) {
+  log(`   ${chalk.gray(`Compressed: gzip ${formatBytes(scenario.gzip)}, brotli ${formatBytes(scenario.brotli)} (saves ${formatTransferSavings(scenario.savings, { gzip: 0, brotli: 0 })})`)}`);
+}
+
+// What the SVGs and the whole page cost over the wire, before and after the changes
+function printTransferSizes(transferSizes, log = console.log) {
+  const { totals, page } = transferSizes;
   
-  // Performance optimization: Process SVGs in batches of 10 for controlled concurrency
-  const batchSize = 10;
-  const batches = [];
+  log('');
+  log(chalk.blue.bold('📦 TRANSFER SIZES (COMPRESSED)'));
+  log('─'.repeat(50));
+  log(chalk.cyan(`All SVGs: ${formatCompressedChange(totals.original, totals.optimized)}`));
+  log(chalk.cyan(`All SVGs, optimized and deduplicated: gzip ${formatBytes(transferSizes.deduplicationAndOptimization.gzip)} | brotli ${formatBytes(transferSizes.deduplicationAndOptimization.brotli)}`));
+  
+  if (page) {
+    log('');
+    log(chalk.white.bold('Whole page:'));
+    log(`   Original: ${formatBytes(page.original.size)} | gzip ${formatBytes(page.original.gzip)} | brotli ${formatBytes(page.original.brotli)}`);
+    log(`   Optimized (--fix): ${formatBytes(page.optimized.size)} | gzip ${formatBytes(page.optimized.gzip)} | brotli ${formatBytes(page.optimized.brotli)}`);
+    log(`   Optimized and deduplicated (--extract-sprite --fix): ${formatBytes(page.deduplicatedAndOptimized.size)} | gzip ${formatBytes(page.deduplicatedAndOptimized.gzip)} | brotli ${formatBytes(page.deduplicatedAndOptimized.brotli)}`);
+    log(chalk.green(`   Transfer savings with --fix: ${formatTransferSavings(page.original, page.optimized)}`));
+    log(chalk.green(`   Transfer savings with --extract-sprite --fix: ${formatTransferSavings(page.original, page.deduplicatedAndOptimized)}`));
+  }
+}
+
+// Text output for a single page or directory scan
+function printTextReport(run, options) {
+  const { svgs, analysis, budgets } = run;
+  const { showDuplicates, sortBySavings } = options;
+  
+  if (svgs.length === 0) {
+    console.log(chalk.yellow('No inline SVGs found.'));
+    if (run.external) {
+      printExternalReport(run.external);
+    }
+    return;
+  }
   
-  for (let i = 0; i < svgs.length; i += batchSize) {
-    batches.push(svgs.slice(i, i + batchSize));
+  // Create sorted indices if sorting is requested
+  let displayOrder = Array.from({length: svgs.length}, (_, i) => i);
+  
+  if (sortBySavings) {
+    displayOrder.sort((a, b) => {
+      const savingsA = analysis.svgStats[a].originalSize - analysis.svgStats[a].optimizedSize;
+      const savingsB = analysis.svgStats[b].originalSize - analysis.svgStats[b].optimizedSize;
+      const percentA = analysis.svgStats[a].originalSize > 0 ? (savingsA / analysis.svgStats[a].originalSize) * 100 : 0;
+      const percentB = analysis.svgStats[b].originalSize > 0 ? (savingsB / analysis.svgStats[b].originalSize) * 100 : 0;
+      
+      // Sort by percentage savings first, then by absolute savings
+      if (Math.abs(percentA - percentB) > 0.1) {
+        return percentB - percentA; // Higher percentage first
+      }
+      return savingsB - savingsA; // Higher absolute savings first
+    });
+    
+    console.log('\n' + chalk.blue.bold('📋 INDIVIDUAL SVG ANALYSIS (Sorted by Optimization Potential)'));
+  } else {
+    console.log('\n' + chalk.blue.bold('📋 INDIVIDUAL SVG ANALYSIS'));
   }
+  console.log('─'.repeat(50));
+  
+  // Performance optimization: Pre-calculate all identifier strings
+  const identifierStrings = svgs.map(svg => generateIdentifierString(svg.attributes));
+  
+  displayOrder.forEach((originalIdx, displayIdx) => {
+    const svg = svgs[originalIdx];
+    const identifierStr = identifierStrings[originalIdx];
+    const originalSize = analysis.svgStats[originalIdx].originalSize;
+    const optimizedSize = analysis.svgStats[originalIdx].optimizedSize;
+    const savings = originalSize - optimizedSize;
+    const savingsPercent = originalSize > 0 ? ((savings / originalSize) * 100).toFixed(1) : 0;
+    const isDuplicate = analysis.svgStats[originalIdx].isDuplicate;
+    
+    // Color coding based on optimization potential
+    let statusColor = chalk.green;
+    let statusIcon = '✅';
+    
+    if (savingsPercent >= budgets.highSavingsPercent) {
+      statusColor = chalk.red;
+      statusIcon = '🔴';
+    } else if (savingsPercent >= budgets.moderateSavingsPercent) {
+      statusColor = chalk.yellow;
+      statusIcon = '🟡';
+    }
+    
+    const duplicateStr = showDuplicates && isDuplicate ? chalk.red(' [DUPLICATE]') : '';
+    const originStr = svg.origin === 'client' ? chalk.magenta(' [CLIENT]') : '';
+    const unsafeStr = analysis.svgStats[originalIdx].unsafe ? chalk.red(' [UNSAFE TO OPTIMIZE]') : '';
+    const originalIndexStr = sortBySavings ? chalk.gray(` [Original #${originalIdx}]`) : '';
+    
+    console.log(`${statusIcon} SVG #${originalIdx}${identifierStr}${originStr}${unsafeStr}${duplicateStr}${originalIndexStr}`);
+    if (svg.location) {
+      console.log(`   ${chalk.gray(`Location: ${formatLocation(svg.location)}`)}`);
+    }
+    console.log(`   Original: ${formatBytes(originalSize)} | Optimized: ${formatBytes(optimizedSize)}`);
+    if (run.transferSizes) {
+      const compressed = run.transferSizes.svgs[originalIdx];
+      console.log(`   ${chalk.gray(`Compressed: ${formatCompressedChange(compressed.original, compressed.optimized)}`)}`);
+    }
+    console.log(`   ${statusColor(`Savings: ${formatBytes(savings)}`)}`);
+    console.log('');
+  });
   
-  // Process batches sequentially to avoid overwhelming the system
-  for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
-    const batch = batches[batchIndex];
-    const startIndex = batchIndex * batchSize;
+  if (showDuplicates && Object.keys(analysis.duplicates).length > 0) {
+    console.log(chalk.red.bold('⚠️  DUPLICATE SVGs DETECTED'));
+    console.log('─'.repeat(50));
     
-    const batchResults = await processSvgBatch(batch, startIndex);
+    const duplicateSummary = run.duplicates;
     
-    // Process results and detect duplicates
-    batchResults.forEach(result => {
-      totalOriginalSize += result.originalSize;
-      totalOptimizedSize += result.optimizedSize;
+    duplicateSummary.groups.forEach((group, groupIdx) => {
+      // Get classes for the duplicate group, or the file names of standalone SVG files
+      const duplicateClasses = group.classes.map((svgClass, i) => {
+        const location = group.locations[i];
+        if (svgClass) return `"${svgClass}"`;
+        return location && location.file && location.line === null ? path.basename(location.file) : 'no class';
+      });
       
-      // Early duplicate detection
-      if (hashMap.has(result.hash)) {
-        result.isDuplicate = true;
-        if (!duplicates[result.hash]) {
-          duplicates[result.hash] = [hashMap.get(result.hash)];
-        }
-        duplicates[result.hash].push(result.index);
-      } else {
-        hashMap.set(result.hash, result.index);
-      }
+      // Use the first class as the group identifier, or show unique classes
+      const uniqueClasses = [...new Set(duplicateClasses)];
+      const groupIdentifier = uniqueClasses.length === 1 
+        ? uniqueClasses[0] 
+        : uniqueClasses.join(', ');
       
-      svgStats.push(result);
+      // Show duplicate group info
+      console.log(`${chalk.red('●')} ${chalk.bold(`Group ${groupIdx + 1}:`)} ${groupIdentifier}`);
+      console.log(`   Found at indices: [${chalk.yellow(group.indices.join(', '))}]`);
+      group.indices.forEach((idx, i) => {
+        if (group.locations[i]) {
+          console.log(`     ${chalk.gray(`#${idx}: ${formatLocation(group.locations[i])}`)}`);
+        }
+      });
+      console.log(`   Occurrences: ${chalk.cyan(group.occurrences)} (${chalk.red(group.duplicateCount)} duplicates)`);
+      console.log(`   Potential savings: ${chalk.green(formatBytes(group.optimizedSavings))}`);
+      console.log('');
     });
     
-    // Progress indicator for large datasets
-    if (svgs.length > 20) {
-      const progress = Math.round(((batchIndex + 1) / batches.length) * 100);
-      process.stdout.write(`\rProcessing SVGs... ${progress}%`);
+    console.log(chalk.yellow.bold('💡 DUPLICATE REMOVAL SUMMARY'));
+    console.log('─'.repeat(35));
+    console.log(`${chalk.cyan('Duplicate groups found:')} ${duplicateSummary.duplicateGroupCount}`);
+    console.log(`${chalk.cyan('Total duplicates to remove:')} ${duplicateSummary.totalDuplicates}`);
+    console.log('');
+    
+    // Show both scenarios clearly
+    console.log(chalk.white.bold('📈 DEDUPLICATION SCENARIOS:'));
+    console.log(`${chalk.gray('Original total size (baseline):')} ${formatBytes(analysis.totalOriginalSize)}`);
+    console.log('');
+    
+    console.log(`${chalk.blue('Scenario 1 - Deduplication only (no optimization):')}`);
+    console.log(`   Total size after deduplication: ${formatBytes(duplicateSummary.deduplicationOnly.totalSize)}`);
+    console.log(`   Savings from deduplication: ${formatBytes(duplicateSummary.deduplicationOnly.savings)}`);
+    if (run.transferSizes) {
+      printCompressedScenario(run.transferSizes.deduplicationOnly);
+    }
+    console.log('');
+    
+    console.log(`${chalk.blue('Scenario 2 - Deduplication + optimization:')}`);
+    console.log(`   Total size after both optimizations: ${formatBytes(duplicateSummary.deduplicationAndOptimization.totalSize)}`);
+    console.log(`   Savings from deduplication: ${formatBytes(duplicateSummary.deduplicationAndOptimization.savings)}`);
+    if (run.transferSizes) {
+      printCompressedScenario(run.transferSizes.deduplicationAndOptimization);
     }
+    console.log('');
+    
+    console.log(chalk.green.bold('🎯 MAXIMUM SAVINGS POTENTIAL:'));
+    console.log(`${chalk.green('Combined savings (optimization + deduplication):')} ${formatBytes(duplicateSummary.combinedSavings)} (${duplicateSummary.combinedSavingsPercent.toFixed(1)}%)`);
+    console.log(`${chalk.green('Final optimized & deduplicated size:')} ${formatBytes(duplicateSummary.deduplicationAndOptimization.totalSize)}`);
+    console.log('');
   }
   
-  if (svgs.length > 20) {
-    process.stdout.write('\n');
+  if (run.nearDuplicates) {
+    printNearDuplicates(run.nearDuplicates, svgs);
   }
   
-  return {
-    totalOriginalSize,
-    totalOptimizedSize,
-    svgStats,
-    duplicates
-  };
-}
-
-// Performance optimization: Cache attribute string generation
-function generateIdentifierString(attrs) {
-  const identifiers = [];
+  if (run.accessibility) {
+    printAccessibility(run.accessibility, svgs);
+  }
   
-  if (attrs.class) identifiers.push(`class="${attrs.class}"`);
-  if (attrs.id) identifiers.push(`id="${attrs.id}"`);
-  if (attrs.width) identifiers.push(`width="${attrs.width}"`);
-  if (attrs.height) identifiers.push(`height="${attrs.height}"`);
-  if (attrs.viewBox) identifiers.push(`viewBox="${attrs.viewBox}"`);
+  if (run.idConflicts) {
+    printIdConflicts(run.idConflicts, svgs);
+  }
+  
+  if (run.security) {
+    printSecurity(run.security, svgs);
+  }
+  
+  if (run.explanations) {
+    printExplanations(run.explanations, svgs);
+  }
+  
+  if (run.verification) {
+    printVerification(run.verification, svgs);
+  }
+  
+  console.log(chalk.blue.bold('📊 ANALYSIS RESULTS'));
+  console.log('─'.repeat(50));
+  console.log(chalk.cyan(`Total SVGs found: ${svgs.length}`));
+  if (run.render) {
+    console.log(chalk.cyan(`In the server HTML: ${run.render.serverSvgs} | Added on the client: ${run.render.clientSvgs}`));
+  }
+  console.log(chalk.cyan(`Total original size: ${formatBytes(analysis.totalOriginalSize)}`));
+  console.log(chalk.cyan(`Total optimized size: ${formatBytes(analysis.totalOptimizedSize)}`));
+  
+  const totalSavings = analysis.totalOriginalSize - analysis.totalOptimizedSize;
+  const totalSavingsPercent = ((totalSavings / analysis.totalOriginalSize) * 100).toFixed(1);
   
-  return identifiers.length > 0 ? ` (${chalk.gray(identifiers.join(', '))})` : '';
+  if (totalSavings > 0) {
+    console.log(chalk.green(`Total potential savings: ${formatBytes(totalSavings)}`));
+  }
+  
+  if (run.transferSizes) {
+    printTransferSizes(run.transferSizes);
+  }
+  
+  if (run.external) {
+    printExternalReport(run.external);
+  }
 }
 
-// Helper function to format bytes with appropriate units
-function formatBytes(bytes) {
-  if (bytes >= 1024 * 1024) {
-    return `${(bytes / (1024 * 1024)).toFixed(2)} MB (${bytes} bytes)`;
-  } else if (bytes >= 1024) {
-    return `${(bytes / 1024).toFixed(2)} KB (${bytes} bytes)`;
+// The configuration named by --config, or found in the working directory. A
+// broken configuration is a usage error, reported before anything is analyzed.
+function loadCliConfig(args) {
+  try {
+    return loadConfig({ configPath: getOptionValue(args, '--config') });
+  } catch (err) {
+    console.error(chalk.red('Error:'), err.message);
+    process.exit(EXIT_CODES.USAGE);
   }
-  return `${bytes} bytes`;
 }
 
+// The command line: parses the arguments, runs analyze() and renders its result
 async function main() {
   const startTime = Date.now();
   const args = process.argv.slice(2);
-  const url = args.find(arg => !arg.startsWith('--'));
-  const showDuplicates = args.includes('--duplicates') || args.includes('-d');
-  const sortBySavings = args.includes('--sort-by-savings') || args.includes('-s');
+  const config = loadCliConfig(args);
+  const options = parseCliArgs(args, config);
+  const { input: url, format, fix, dryRun, outFile, extractSprite, spriteFile, prefixIds, sanitize, errors } = options;
+  const rewriteOptions = { optimize: fix, extractSprite, spriteFile, prefixIds, sanitize, dryRun, outFile, label: options.label };
+  
+  const runMode = url ? getRunMode(options) : 'site';
+  if (runMode !== 'page' && (fix || extractSprite || prefixIds || sanitize || options.external)) {
+    errors.push('--fix, --extract-sprite, --prefix-ids, --sanitize and --external work on a single page, not on a crawl or directory scan');
+  }
+  if (runMode === 'page' && (fix || extractSprite || prefixIds || sanitize) && !isRewritableInput(url, options.label)) {
+    errors.push('--fix, --extract-sprite, --prefix-ids and --sanitize work on pages and SVG files, not on JSX or template files');
+  }
+  if ((options.compressed || options.explain || options.verify) && runMode === 'site') {
+    errors.push('--compressed, --explain and --verify work on a single page or directory scan, not on a crawl');
+  }
+  if (options.render && runMode !== 'page') {
+    errors.push('--render works on a single page, not on a crawl or directory scan');
+  }
+  if (options.render && (fix || extractSprite || prefixIds || sanitize)) {
+    errors.push('--render cannot be combined with --fix, --extract-sprite, --prefix-ids or --sanitize, as client-side SVGs are not in the source');
+  }
+  if (options.outDir && !(runMode === 'scan' || (runMode === 'page' && !isUrl(url) && path.extname(url).toLowerCase() === '.svg'))) {
+    errors.push('--out-dir works on .svg files, directories and globs, not on pages or a site');
+  }
+  if (extractSprite && prefixIds) {
+    errors.push('--prefix-ids cannot be combined with --extract-sprite');
+  }
+  if (runMode === 'site' && (options.compare || options.saveBaseline || options.report || options.failOnSecurity)) {
+    errors.push('--compare, --save-baseline, --report and --fail-on-security work on a single page or directory scan, not on a site');
+  }
+  if (options.watch && (runMode === 'site' || options.render || (url && isUrl(url)))) {
+    errors.push('--watch works on local files, directories and globs, not on URLs, a crawl or --render');
+  }
+  if (options.watch && (fix || extractSprite || prefixIds || sanitize || options.outDir || format !== 'text')) {
+    errors.push('--watch prints text output and cannot be combined with --format, --fix, --extract-sprite, --prefix-ids, --sanitize or --out-dir');
+  }
+  if (options.inputs.includes(STDIN_INPUT)) {
+    if (options.inputs.length > 1) {
+      errors.push('- (standard input) cannot be combined with other inputs');
+    } else if (options.render || options.watch) {
+      errors.push('--render and --watch need a URL or a file, not standard input');
+    } else if (process.stdin.isTTY) {
+      errors.push('Nothing to read on standard input: pipe the page in, e.g. curl https://example.com | svg-opti-detector -');
+    }
+  }
+  if (options.baseUrl !== undefined && !isUrl(options.baseUrl)) {
+    errors.push(`Invalid value "${options.baseUrl}" for --base-url`);
+  }
   
-  if (!url) {
-    console.error(chalk.red('Usage: node svg-opti-detector.js <url or file path> [options]'));
-    console.error(chalk.gray('Options:'));
-    console.error(chalk.gray('  --duplicates, -d        Show duplicate SVG analysis'));
-    console.error(chalk.gray('  --sort-by-savings, -s   Sort SVGs by optimization potential (highest savings first)'));
-    process.exit(1);
+  if ((!url && !options.sitemap) || errors.length > 0) {
+    errors.forEach(error => console.error(chalk.red(error)));
+    printUsage();
+    process.exit(EXIT_CODES.USAGE);
   }
   
+  // Machine-readable formats own stdout; anything else goes to stderr
+  const log = format === 'text' ? console.log : console.error;
+  
   try {
-    const html = await fetchHtml(url);
-    const svgs = extractInlineSvgs(html);
-    console.log(chalk.cyan(`Found ${svgs.length} SVG(s) to analyze...\n`));
-    
-    if (svgs.length === 0) {
-      console.log(chalk.yellow('No inline SVGs found.'));
-      return;
+    if (format === 'text') {
+      console.log(chalk.blue.bold('🔍 SVG Opti Detector script started.\n'));
+      printConfig(describeConfig(config, resolveSvgoConfig(config), options.budgets));
     }
     
-    const result = await analyzeSvgs(svgs);
-    
-    // Create sorted indices if sorting is requested
-    let displayOrder = Array.from({length: svgs.length}, (_, i) => i);
+    const analyzeOptions = {
+      ...options,
+      config,
+      baseline: options.compare ? loadBaseline(options.compare) : null,
+      log,
+      warn: message => console.warn(message),
+      onProgress: createProgressRenderer(format === 'text' ? process.stdout : process.stderr),
+      ...(options.watch ? { cache: new Map(), fileCache: new Map() } : {})
+    };
+    const run = await analyze(options.inputs, analyzeOptions);
     
-    if (sortBySavings) {
-      displayOrder.sort((a, b) => {
-        const savingsA = result.svgStats[a].originalSize - result.svgStats[a].optimizedSize;
-        const savingsB = result.svgStats[b].originalSize - result.svgStats[b].optimizedSize;
-        const percentA = result.svgStats[a].originalSize > 0 ? (savingsA / result.svgStats[a].originalSize) * 100 : 0;
-        const percentB = result.svgStats[b].originalSize > 0 ? (savingsB / result.svgStats[b].originalSize) * 100 : 0;
-        
-        // Sort by percentage savings first, then by absolute savings
-        if (Math.abs(percentA - percentB) > 0.1) {
-          return percentB - percentA; // Higher percentage first
-        }
-        return savingsB - savingsA; // Higher absolute savings first
-      });
-      
-      console.log('\n' + chalk.blue.bold('📋 INDIVIDUAL SVG ANALYSIS (Sorted by Optimization Potential)'));
+    if (format !== 'text') {
+      process.stdout.write(JSON.stringify(buildReport(run, format), null, 2) + '\n');
+    } else if (run.mode === 'site') {
+      printSiteReport(run.pages, { log });
     } else {
-      console.log('\n' + chalk.blue.bold('📋 INDIVIDUAL SVG ANALYSIS'));
+      printTextReport(run, options);
+      if (run.comparison) {
+        printComparison(run.comparison);
+      }
     }
-    console.log('─'.repeat(50));
     
-    // Performance optimization: Pre-calculate all identifier strings
-    const identifierStrings = svgs.map(svg => generateIdentifierString(svg.attributes));
-    
-    displayOrder.forEach((originalIdx, displayIdx) => {
-      const svg = svgs[originalIdx];
-      const identifierStr = identifierStrings[originalIdx];
-      const originalSize = result.svgStats[originalIdx].originalSize;
-      const optimizedSize = result.svgStats[originalIdx].optimizedSize;
-      const savings = originalSize - optimizedSize;
-      const savingsPercent = originalSize > 0 ? ((savings / originalSize) * 100).toFixed(1) : 0;
-      const isDuplicate = result.svgStats[originalIdx].isDuplicate;
-      
-      // Color coding based on optimization potential
-      let statusColor = chalk.green;
-      let statusIcon = '✅';
-      
-      if (savingsPercent >= 20) {
-        statusColor = chalk.red;
-        statusIcon = '🔴';
-      } else if (savingsPercent >= 10) {
-        statusColor = chalk.yellow;
-        statusIcon = '🟡';
-      }
-      
-      const duplicateStr = showDuplicates && isDuplicate ? chalk.red(' [DUPLICATE]') : '';
-      const originalIndexStr = sortBySavings ? chalk.gray(` [Original #${originalIdx}]`) : '';
-      
-      console.log(`${statusIcon} SVG #${originalIdx}${identifierStr}${duplicateStr}${originalIndexStr}`);
-      console.log(`   Original: ${formatBytes(originalSize)} | Optimized: ${formatBytes(optimizedSize)}`);
-      console.log(`   ${statusColor(`Savings: ${formatBytes(savings)}`)}`);
-      console.log('');
-    });
+    if (options.report) {
+      const reportFile = path.resolve(options.report);
+      fs.mkdirSync(path.dirname(reportFile), { recursive: true });
+      fs.writeFileSync(reportFile, buildHtmlReport(run.source, run.svgs, run.analysis, {
+        budgets: run.budgets,
+        generatedAt: new Date().toISOString()
+      }));
+      log(chalk.green(`\nWrote HTML report to ${path.relative(process.cwd(), reportFile)}`));
+    }
     
-    if (showDuplicates && Object.keys(result.duplicates).length > 0) {
-      console.log(chalk.red.bold('⚠️  DUPLICATE SVGs DETECTED'));
-      console.log('─'.repeat(50));
-      
-      let totalDuplicateSavings = 0;
-      let totalDuplicateOptimizedSavings = 0;
-      let duplicateGroupCount = 0;
-      
-      for (const [hash, indices] of Object.entries(result.duplicates)) {
-        duplicateGroupCount++;
-        
-        // Get classes for the duplicate group
-        const duplicateClasses = indices.map(idx => {
-          const svgClass = svgs[idx].attributes.class;
-          return svgClass ? `"${svgClass}"` : 'no class';
-        });
-        
-        // Use the first class as the group identifier, or show unique classes
-        const uniqueClasses = [...new Set(duplicateClasses)];
-        const groupIdentifier = uniqueClasses.length === 1 
-          ? uniqueClasses[0] 
-          : uniqueClasses.join(', ');
-        
-        // Calculate savings from removing duplicates (keep first occurrence, remove others)
-        const duplicatesToRemove = indices.slice(1);
-        const originalSavingsFromDuplicates = duplicatesToRemove.reduce((sum, idx) => 
-          sum + result.svgStats[idx].originalSize, 0);
-        const optimizedSavingsFromDuplicates = duplicatesToRemove.reduce((sum, idx) => 
-          sum + result.svgStats[idx].optimizedSize, 0);
-        
-        totalDuplicateSavings += originalSavingsFromDuplicates;
-        totalDuplicateOptimizedSavings += optimizedSavingsFromDuplicates;
-        
-        // Show duplicate group info
-        console.log(`${chalk.red('●')} ${chalk.bold(`Group ${duplicateGroupCount}:`)} ${groupIdentifier}`);
-        console.log(`   Found at indices: [${chalk.yellow(indices.join(', '))}]`);
-        console.log(`   Occurrences: ${chalk.cyan(indices.length)} (${chalk.red(duplicatesToRemove.length)} duplicates)`);
-        console.log(`   Potential savings: ${chalk.green(formatBytes(optimizedSavingsFromDuplicates))}`);
-        console.log('');
-      }
-      
-      console.log(chalk.yellow.bold('💡 DUPLICATE REMOVAL SUMMARY'));
-      console.log('─'.repeat(35));
-      console.log(`${chalk.cyan('Duplicate groups found:')} ${duplicateGroupCount}`);
-      console.log(`${chalk.cyan('Total duplicates to remove:')} ${Object.values(result.duplicates).reduce((sum, indices) => sum + (indices.length - 1), 0)}`);
-      console.log('');
-      
-      // Show both scenarios clearly
-      console.log(chalk.white.bold('📈 DEDUPLICATION SCENARIOS:'));
-      console.log(`${chalk.gray('Original total size (baseline):')} ${formatBytes(result.totalOriginalSize)}`);
-      console.log('');
-      
-      // Calculate sizes after deduplication for both scenarios
-      const sizeAfterDeduplicationOnly = result.totalOriginalSize - totalDuplicateSavings;
-      const sizeAfterOptimizationAndDeduplication = result.totalOptimizedSize - totalDuplicateOptimizedSavings;
-      
-      console.log(`${chalk.blue('Scenario 1 - Deduplication only (no optimization):')}`);
-      console.log(`   Total size after deduplication: ${formatBytes(sizeAfterDeduplicationOnly)}`);
-      console.log(`   Savings from deduplication: ${formatBytes(totalDuplicateSavings)}`);
-      console.log('');
-      
-      console.log(`${chalk.blue('Scenario 2 - Deduplication + optimization:')}`);
-      console.log(`   Total size after both optimizations: ${formatBytes(sizeAfterOptimizationAndDeduplication)}`);
-      console.log(`   Savings from deduplication: ${formatBytes(totalDuplicateOptimizedSavings)}`);
-      console.log('');
-      
-      // Calculate combined savings (optimization + duplicate removal)
-      const totalSavings = result.totalOriginalSize - result.totalOptimizedSize;
-      const combinedSavings = totalSavings + totalDuplicateOptimizedSavings;
-      const finalOptimizedSize = result.totalOptimizedSize - totalDuplicateOptimizedSavings;
-      const combinedSavingsPercent = ((combinedSavings / result.totalOriginalSize) * 100).toFixed(1);
-      
-      console.log(chalk.green.bold('🎯 MAXIMUM SAVINGS POTENTIAL:'));
-      console.log(`${chalk.green('Combined savings (optimization + deduplication):')} ${formatBytes(combinedSavings)} (${combinedSavingsPercent}%)`);
-      console.log(`${chalk.green('Final optimized & deduplicated size:')} ${formatBytes(finalOptimizedSize)}`);
-      console.log('');
+    if (options.saveBaseline) {
+      const baselineFile = path.resolve(options.saveBaseline);
+      fs.mkdirSync(path.dirname(baselineFile), { recursive: true });
+      fs.writeFileSync(baselineFile, JSON.stringify(buildReport(run), null, 2) + '\n');
+      log(chalk.green(`\nSaved baseline to ${path.relative(process.cwd(), baselineFile)}`));
     }
     
-    console.log(chalk.blue.bold('📊 ANALYSIS RESULTS'));
-    console.log('─'.repeat(50));
-    console.log(chalk.cyan(`Total SVGs found: ${svgs.length}`));
-    console.log(chalk.cyan(`Total original size: ${formatBytes(result.totalOriginalSize)}`));
-    console.log(chalk.cyan(`Total optimized size: ${formatBytes(result.totalOptimizedSize)}`));
+    // Text output always lists breached budgets; for a site they go to stderr too
+    if (run.breaches.length > 0 && (format === 'text' || run.mode === 'site')) {
+      log('');
+      log(chalk.red.bold('🚨 BUDGET EXCEEDED'));
+      log('─'.repeat(50));
+      run.breaches.forEach(breach => log(chalk.red(`✖ ${breach.page ? `${breach.page}: ` : ''}${breach.message}`)));
+    }
+    
+    if (fix || extractSprite || prefixIds || sanitize) {
+      runRewrite(url, run.html, run.svgs, run.analysis, { ...rewriteOptions, log });
+    }
+    
+    if (options.outDir) {
+      writeOptimizedSvgFiles(run.svgs, run.analysis, { outDir: options.outDir, inputs: options.inputs, dryRun, log });
+    }
     
-    const totalSavings = result.totalOriginalSize - result.totalOptimizedSize;
-    const totalSavingsPercent = ((totalSavings / result.totalOriginalSize) * 100).toFixed(1);
+    const securityFailures = options.failOnSecurity && run.security 
+      ? filterSecurityFindings(run.security, options.failOnSecurity) 
+      : [];
+    if (securityFailures.length > 0) {
+      log('');
+      log(chalk.red.bold(`🚨 ${securityFailures.length} SECURITY FINDING(S) AT OR ABOVE "${options.failOnSecurity.toUpperCase()}"`));
+    }
     
-    if (totalSavings > 0) {
-      console.log(chalk.green(`Total potential savings: ${formatBytes(totalSavings)}`));
+    if (run.mode === 'site' && run.pages.some(page => page.error)) {
+      process.exitCode = EXIT_CODES.ERROR;
+    } else if (securityFailures.length > 0) {
+      process.exitCode = EXIT_CODES.SECURITY_FINDINGS;
+    } else if (run.breaches.length > 0) {
+      process.exitCode = EXIT_CODES.BUDGET_EXCEEDED;
     }
     
-    // Performance timing
-    const endTime = Date.now();
-    const executionTime = endTime - startTime;
-    console.log(chalk.gray(`\nExecution time: ${executionTime}ms`));
+    if (format === 'text' && run.mode !== 'site') {
+      console.log(chalk.gray(`\nExecution time: ${Date.now() - startTime}ms`));
+    }
     
+    if (options.watch) {
+      await watchInputs(options.inputs, {
+        ...analyzeOptions,
+        previous: run,
+        log: () => {},
+        onChange: change => printWatchChange(change),
+        onError: error => console.error(chalk.red('Error:'), error.message)
+      });
+      console.log(chalk.cyan('\n👀 Watching for changes (Ctrl+C to stop)...'));
+    }
   } catch (err) {
     console.error(chalk.red('Error:'), err.message);
+    process.exitCode = EXIT_CODES.ERROR;
   }
 }
 
 // Export functions for testing
 module.exports = {
+  analyze,
+  buildReport,
   fetchHtml,
+  fetchUrl,
+  decodeMarkup,
+  parseCookieFile,
+  detectCharset,
   extractInlineSvgs,
+  extractJsxSvgs,
+  extractSvgFile,
+  extractSvgsFromSource,
+  extractSvgsFromFiles,
+  maskTemplateSyntax,
+  scanFiles,
+  isScanInput,
+  isRewritableInput,
   hashSvg,
   processSvgBatch,
   analyzeSvgs,
+  renderHtml,
+  markSvgOrigins,
   generateIdentifierString,
+  getDomPath,
+  formatLocation,
   formatBytes,
+  summarizeDuplicates,
+  compressedSize,
+  measureTransferSizes,
+  optimizeSvg,
+  createWorkerPool,
+  expandSvgoPlugins,
+  explainSvgSavings,
+  explainSavings,
+  rasterizeSvg,
+  toStandaloneSvg,
+  comparePixels,
+  verifyRendering,
+  excludeUnsafeOptimizations,
+  canonicalizeSvg,
+  svgSimilarity,
+  findNearDuplicates,
+  auditAccessibility,
+  findIdConflicts,
+  prefixSvgIds,
+  scanSvgSecurity,
+  sanitizeSvg,
+  sanitizeHtmlSvgs,
+  buildJsonReport,
+  buildSarifReport,
+  buildHtmlReport,
+  checkBudgets,
+  replaceSvgMarkup,
+  rewriteHtmlWithOptimizedSvgs,
+  rewriteHtmlWithPrefixedIds,
+  extractSvgSprite,
+  runRewrite,
+  writeOptimizedSvgFiles,
+  loadBaseline,
+  compareReports,
+  diffReports,
+  watchInputs,
+  extractExternalSvgRefs,
+  resolveSvgReference,
+  analyzeExternalSvgs,
+  extractLinks,
+  parseSitemap,
+  fetchSitemapUrls,
+  crawlPages,
+  aggregateSiteStats,
+  printSiteReport,
+  buildSiteJsonReport,
+  buildSiteSarifReport,
+  parseByteSize,
+  loadConfig,
+  resolveSvgoConfig,
+  parseCliArgs,
+  getRunMode,
+  REPORT_SCHEMA_VERSION,
+  DEFAULT_BUDGETS,
+  EXIT_CODES,
   main
 };
 
 // Only run main if this file is executed directly
 if (require.main === module) {
-  main().catch(console.error);
+  main().catch(err => {
+    console.error(err);
+    process.exitCode = EXIT_CODES.ERROR;
+  });
 }
@@ -1,14 +1,89 @@
 const {
+  analyze,
+  buildReport,
   extractInlineSvgs,
+  extractJsxSvgs,
+  extractSvgFile,
+  extractSvgsFromSource,
+  extractSvgsFromFiles,
+  maskTemplateSyntax,
+  scanFiles,
   hashSvg,
+  canonicalizeSvg,
+  svgSimilarity,
+  findNearDuplicates,
+  auditAccessibility,
+  findIdConflicts,
+  prefixSvgIds,
+  rewriteHtmlWithPrefixedIds,
+  scanSvgSecurity,
+  sanitizeSvg,
+  sanitizeHtmlSvgs,
   generateIdentifierString,
+  formatLocation,
   formatBytes,
   processSvgBatch,
-  analyzeSvgs
+  analyzeSvgs,
+  createWorkerPool,
+  optimizeSvg,
+  renderHtml,
+  markSvgOrigins,
+  summarizeDuplicates,
+  compressedSize,
+  measureTransferSizes,
+  expandSvgoPlugins,
+  explainSvgSavings,
+  explainSavings,
+  toStandaloneSvg,
+  comparePixels,
+  verifyRendering,
+  excludeUnsafeOptimizations,
+  buildJsonReport,
+  buildSarifReport,
+  buildHtmlReport,
+  parseCliArgs,
+  getRunMode,
+  checkBudgets,
+  parseByteSize,
+  loadConfig,
+  resolveSvgoConfig,
+  replaceSvgMarkup,
+  rewriteHtmlWithOptimizedSvgs,
+  extractSvgSprite,
+  runRewrite,
+  isRewritableInput,
+  writeOptimizedSvgFiles,
+  loadBaseline,
+  compareReports,
+  diffReports,
+  watchInputs,
+  extractExternalSvgRefs,
+  resolveSvgReference,
+  analyzeExternalSvgs,
+  extractLinks,
+  fetchUrl,
+  fetchHtml,
+  decodeMarkup,
+  parseCookieFile,
+  detectCharset,
+  parseSitemap,
+  fetchSitemapUrls,
+  crawlPages,
+  aggregateSiteStats,
+  printSiteReport,
+  buildSiteJsonReport,
+  buildSiteSarifReport,
+  REPORT_SCHEMA_VERSION,
+  DEFAULT_BUDGETS
 } = require('../svg-opti-detector');
 
+const chalk = require('chalk');
 const fs = require('fs');
+const http = require('http');
+const os = require('os');
 const path = require('path');
+const { Readable } = require('stream');
+const { pathToFileURL } = require('url');
 
 describe('SVG Opti Detector', () => {
   
@@ -59,6 +134,41 @@ describe('SVG Opti Detector', () => {
     });
   });
 
+  describe('SVG source locations', () => {
+    test('should record line, column and offsets of each SVG', () => {
+      const html = '<html><body>\n  <p>Intro</p>\n    <svg class="icon"><path d="M0 0"/></svg>\n</body></html>';
+      const svgs = extractInlineSvgs(html);
+
+      expect(svgs[0].location.line).toBe(3);
+      expect(svgs[0].location.column).toBe(5);
+      expect(html.slice(svgs[0].location.startOffset, svgs[0].location.endOffset))
+        .toBe('<svg class="icon"><path d="M0 0"/></svg>');
+    });
+
+    test('should build a CSS-selector-like DOM path', () => {
+      const html = `
+        <html><body>
+          <header><nav><a class="logo" href="/"><svg><path d="M0 0"/></svg></a></nav></header>
+          <main id="content">
+            <div><svg class="icon"></svg></div>
+            <div><svg class="icon"></svg></div>
+          </main>
+        </body></html>
+      `;
+      const svgs = extractInlineSvgs(html);
+
+      expect(svgs[0].location.domPath).toBe('body > header > nav > a.logo > svg');
+      expect(svgs[1].location.domPath).toBe('body > main#content > div:nth-of-type(1) > svg.icon');
+      expect(svgs[2].location.domPath).toBe('body > main#content > div:nth-of-type(2) > svg.icon');
+    });
+
+    test('formatLocation should describe a location', () => {
+      expect(formatLocation({ line: 3, column: 5, domPath: 'body > svg' }))
+        .toBe('line 3, column 5 (body > svg)');
+      expect(formatLocation(undefined)).toBe('');
+    });
+  });
+
   describe('hashSvg', () => {
     test('should generate consistent hash for identical SVGs', () => {
       const svg1 = '<svg><circle cx="10" cy="10" r="5"/></svg>';
@@ -91,6 +201,372 @@ describe('SVG Opti Detector', () => {
       
       expect(hash1).not.toBe(hash2);
     });
+
+    test('should generate same hash for SVGs that differ only in formatting', () => {
+      const svg1 = '<svg viewBox="0 0 24 24" fill="none"><path d="M0,0L10.5,10.5Z"/></svg>';
+      const svg2 = `<svg fill="none"  viewBox="0 0 24.0 24">
+        <!-- arrow -->
+        <path d="M 0 0 L 10.50 10.5001 Z" />
+      </svg>`;
+      
+      expect(hashSvg(svg1)).toBe(hashSvg(svg2));
+    });
+
+    test('should optionally ignore ids and colors', () => {
+      const svg1 = '<svg><linearGradient id="a"/><path fill="url(#a)" stroke="#F00"/></svg>';
+      const svg2 = '<svg><linearGradient id="icon-b"/><path fill="url(#icon-b)" stroke="blue"/></svg>';
+      
+      expect(hashSvg(svg1)).not.toBe(hashSvg(svg2));
+      expect(hashSvg(svg1, { ignoreIds: true })).not.toBe(hashSvg(svg2, { ignoreIds: true }));
+      expect(hashSvg(svg1, { ignoreIds: true, ignoreColors: true })).toBe(hashSvg(svg2, { ignoreIds: true, ignoreColors: true }));
+    });
+  });
+
+  describe('Near-duplicate detection', () => {
+    test('canonicalizeSvg should sort attributes and normalize numbers and colors', () => {
+      expect(canonicalizeSvg('<svg class="x" width="24.00" viewBox="0,0,24,24"><path stroke="#ABC" d="M1.23456-2L3,4"/></svg>'))
+        .toBe('<svg viewBox="0 0 24 24" width="24"><path d="M 1.235 -2 L 3 4" stroke="#aabbcc"></path></svg>');
+      expect(canonicalizeSvg('<svg width="24" height="24"><rect/></svg>', { ignoreSize: true })).toBe('<svg><rect></rect></svg>');
+      expect(canonicalizeSvg('<svg><path fill="URL(#GradA)"/></svg>')).toBe('<svg><path fill="URL(#GradA)"></path></svg>');
+    });
+
+    test('svgSimilarity should score shape differences only', () => {
+      const icon = '<svg width="24" viewBox="0 0 24 24" fill="black"><path d="M0 0h24"/><path d="M0 12h24"/><path d="M0 24h24"/></svg>';
+      
+      expect(svgSimilarity(icon, icon.replace('width="24"', 'width="48"').replace('black', 'red'))).toBe(1);
+      expect(svgSimilarity(icon, icon.replace('M0 24h24', 'M0 24h12'))).toBeCloseTo(12 / 13);
+      expect(svgSimilarity(icon, '<svg viewBox="0 0 16 16"><circle r="8"/></svg>')).toBeLessThan(0.5);
+    });
+
+    test('should group SVGs that differ in color or size, next to exact duplicates', async () => {
+      const svgs = extractInlineSvgs(`
+        <svg class="a" width="24" height="24" viewBox="0 0 24 24"><path fill="#f00" d="M0 0L10 10Z"/></svg>
+        <svg class="b" width="24" height="24" viewBox="0 0 24 24"><path fill="#f00" d="M0 0L10 10Z"/></svg>
+        <svg width="48" height="48" viewBox="0 0 24 24"><path fill="blue" d="M0 0L10 10Z"/></svg>
+        <svg viewBox="0 0 24 24"><path d="M0 0L10 10Z"/><path d="M5 5h10"/><path d="M1 1h2"/><path d="M3 3h1"/><path d="M2 7v3"/></svg>
+        <svg viewBox="0 0 24 24"><path d="M0 0L10 10Z"/><path d="M5 5h10"/><path d="M1 1h2"/><path d="M3 3h1"/><path d="M2 7v4"/></svg>
+      `);
+      const result = await analyzeSvgs(svgs);
+      
+      expect(Object.values(result.duplicates)).toEqual([[0, 1]]);
+      
+      const groups = findNearDuplicates(svgs, result);
+      expect(groups).toHaveLength(2);
+      expect(groups[0]).toMatchObject({
+        indices: [0, 2],
+        similarity: 1,
+        differences: ['color', 'size'],
+        members: [{ index: 2, similarity: 1, differences: ['color', 'size'] }],
+        optimizedSavings: result.svgStats[2].optimizedSize
+      });
+      expect(groups[1]).toMatchObject({ indices: [3, 4], differences: ['shape'] });
+      expect(groups[1].similarity).toBeGreaterThanOrEqual(0.9);
+      
+      expect(findNearDuplicates(svgs, result, { threshold: 1 })).toHaveLength(1);
+    });
+
+    test('reports should list near-duplicate groups', async () => {
+      const svgs = extractInlineSvgs('<svg><rect fill="red"/></svg><svg><rect fill="blue"/></svg>');
+      const result = await analyzeSvgs(svgs);
+      const nearDuplicates = findNearDuplicates(svgs, result);
+      
+      expect(buildJsonReport('page.html', svgs, result, undefined, { nearDuplicates }).nearDuplicates).toEqual(nearDuplicates);
+      
+      const sarif = buildSarifReport('page.html', svgs, result, undefined, { nearDuplicates });
+      const [nearDuplicateResult] = sarif.runs[0].results.filter(item => item.ruleId === 'svg-near-duplicate');
+      expect(nearDuplicateResult.message.text).toBe('SVG #1 looks like SVG #0 (100% similar, differs in color).');
+    });
+
+    test('parseCliArgs should parse the similarity threshold', () => {
+      expect(parseCliArgs(['page.html', '--near-duplicates', '--similarity', '0.8'])).toMatchObject({
+        nearDuplicates: true,
+        showDuplicates: true,
+        similarity: 0.8
+      });
+      expect(parseCliArgs(['page.html', '--similarity', '2']).errors).toHaveLength(1);
+    })
+    test('ignoreIds and ignoreColors should count SVGs that differ only there as duplicates', async () => {
+      const icon = (id, color) => `<svg viewBox="0 0 24 24"><linearGradient id="${id}"><stop stop-color="${color}"/></linearGradient><path fill="url(#${id})" d="M0 0h24v24z"/></svg>`;
+      const html = icon('g1', '#000') + icon('g2', '#000') + icon('g3', '#fff');
+      const duplicatesOf = async (options) => Object.values((await analyze(null, { html, ...options })).analysis.duplicates);
+      
+      expect(await duplicatesOf({})).toEqual([]);
+      expect(await duplicatesOf({ ignoreIds: true })).toEqual([[0, 1]]);
+      expect(await duplicatesOf({ ignoreIds: true, ignoreColors: true })).toEqual([[0, 1, 2]]);
+      expect(parseCliArgs(['page.html', '--ignore-ids', '--ignore-colors'])).toMatchObject({ ignoreIds: true, ignoreColors: true });
+      expect(parseCliArgs(['page.html'], { options: { ignoreColors: true } })).toMatchObject({ ignoreIds: false, ignoreColors: true });
+    });
+  });
+
+  describe('Accessibility audit', () => {
+    const audit = async (html) => {
+      const svgs = extractInlineSvgs(html, { accessibility: true });
+      return auditAccessibility(svgs, await analyzeSvgs(svgs));
+    };
+    const rulesOf = (entries) => Object.fromEntries(entries.map(entry => [entry.index, entry.findings.map(finding => finding.rule)]));
+
+    test('should flag SVGs without an accessible name depending on their context', async () => {
+      const entries = await audit(`
+        <a href="/"><svg><path d="M0 0h1"/></svg></a>
+        <button>Save <svg><path d="M0 0h2"/></svg></button>
+        <svg role="img"><path d="M0 0h3"/></svg>
+        <svg><path d="M0 0h4"/></svg>
+        <svg aria-label="Logo"><path d="M0 0h5"/></svg>
+        <svg><title>Chart</title><path d="M0 0h6"/></svg>
+        <svg aria-hidden="true" focusable="false"><path d="M0 0h7"/></svg>
+      `);
+      
+      expect(rulesOf(entries)).toEqual({
+        0: ['svg-a11y-missing-name'],
+        1: ['svg-a11y-decorative-not-hidden'],
+        2: ['svg-a11y-role-img-without-name', 'svg-a11y-stripped-by-svgo'],
+        3: ['svg-a11y-missing-name'],
+        6: ['svg-a11y-stripped-by-svgo']
+      });
+      expect(entries[0].findings[0]).toMatchObject({ severity: 'error', message: expect.stringContaining('only content of its <a>') });
+      expect(entries[3].findings[0].severity).toBe('warning');
+    });
+
+    test('should only look at the page around SVGs when the audit is on', async () => {
+      const html = '<a href="/"><svg><svg><path d="M0 0h1"/></svg></svg></a>';
+      const [outer, inner] = extractInlineSvgs(html);
+      
+      expect(outer.nested).toBe(false);
+      expect(inner.nested).toBe(true);
+      expect(outer).not.toHaveProperty('accessibility');
+      expect(extractInlineSvgs(html, { accessibility: true })[0].accessibility).toEqual({ control: 'a', controlHasText: false, missingReferences: {} });
+      
+      const run = await analyze(null, { html, accessibility: true });
+      expect(run.accessibility).toHaveLength(1);
+      expect(run.accessibility[0].findings[0].message).toContain('only content of its <a>');
+    });
+
+    test('should flag decorative SVGs that can still be focused', async () => {
+      const [entry] = await audit('<svg aria-hidden="true"><path d="M0 0h1"/></svg>');
+      expect(entry.findings).toEqual([expect.objectContaining({ rule: 'svg-a11y-focusable', severity: 'note' })]);
+    });
+
+    test('should flag aria-labelledby ids missing from the document', async () => {
+      const [entry] = await audit(`
+        <h2 id="heading">Sales</h2>
+        <svg aria-labelledby="heading missing" aria-describedby="gone"><path d="M0 0h1"/></svg>
+      `);
+      
+      expect(entry.findings.map(finding => finding.message)).toEqual([
+        'aria-labelledby points at "missing", which is not in the document.',
+        'aria-describedby points at "gone", which is not in the document.'
+      ]);
+    });
+
+    test('should warn when the SVGO config strips the title or the ids it is labelled by', async () => {
+      const html = '<svg aria-labelledby="t"><title id="t">Chart</title><path d="M0 0h1"/></svg>';
+      const [entry] = await audit(html);
+      expect(entry.findings).toEqual([expect.objectContaining({
+        rule: 'svg-a11y-stripped-by-svgo',
+        message: 'The SVGO config strips id "t" used by aria-labelledby; disable cleanupIds to keep it.'
+      })]);
+      
+      const svgs = extractInlineSvgs(html);
+      const result = await analyzeSvgs(svgs, { svgoConfig: { plugins: ['removeTitle'] } });
+      expect(auditAccessibility(svgs, result)[0].findings[0].message).toContain('strips <title>');
+    });
+
+    test('analyze should report the audit in every format', async () => {
+      const run = await analyze(path.join(__dirname, 'test-svgs.html'), { accessibility: true });
+      expect(Array.isArray(run.accessibility)).toBe(true);
+      expect(buildReport(run).accessibility).toEqual(run.accessibility);
+      
+      const ruleIds = buildReport(run, 'sarif').runs[0].results.map(item => item.ruleId);
+      run.accessibility.forEach(entry => entry.findings.forEach(finding => expect(ruleIds).toContain(finding.rule)));
+      expect(parseCliArgs(['page.html', '--a11y']).accessibility).toBe(true);
+    });
+  });
+
+  describe('Id conflicts', () => {
+    const html = [
+      '<svg class="a"><defs><linearGradient id="gradient1"><stop offset="0"/></linearGradient></defs><rect fill="url(#gradient1)" width="5" height="5"/></svg>',
+      '<svg class="b"><defs><linearGradient id="gradient1"><stop offset="1"/></linearGradient><clipPath id="clip0"><rect width="2" height="2"/></clipPath></defs><rect fill="url(#gradient1)" clip-path="url(#clip0)" width="5" height="5"/></svg>',
+      '<svg class="c"><use href="#icon-star"/><path fill="url(#missing)" d="M0 0h1"/></svg>',
+      '<svg class="sprite"><symbol id="icon-star"><path d="M0 0h3"/></symbol></svg>',
+      '<a href="#clip0">link</a>'
+    ].join('\n');
+
+    test('should find collisions, broken references and ids SVGO renames', async () => {
+      const svgs = extractInlineSvgs(html);
+      const conflicts = findIdConflicts(svgs, await analyzeSvgs(svgs));
+      
+      expect(conflicts.collisions).toEqual([
+        expect.objectContaining({ id: 'gradient1', indices: [0, 1], misresolved: [1] })
+      ]);
+      expect(conflicts.brokenReferences).toEqual([expect.objectContaining({ index: 2, ids: ['missing'] })]);
+      expect(conflicts.renamedIds.map(entry => [entry.index, entry.ids, entry.referencedElsewhere])).toEqual([
+        [0, ['gradient1'], []],
+        [1, ['gradient1', 'clip0'], []],
+        [3, ['icon-star'], ['icon-star']]
+      ]);
+      expect(conflicts.optimizedCollisions).toEqual([{ id: 'a', indices: [0, 1] }]);
+    });
+
+    test('should treat each scanned file as its own document', async () => {
+      const svgs = [
+        { html: '<svg><clipPath id="c"/><g clip-path="url(#c)"/></svg>', attributes: {}, location: { file: 'a.vue' } },
+        { html: '<svg><clipPath id="c"/><g clip-path="url(#c)"/></svg>', attributes: {}, location: { file: 'b.vue' } }
+      ];
+      
+      expect(findIdConflicts(svgs, await analyzeSvgs(svgs)).collisions).toEqual([]);
+    });
+
+    test('should not count the ids of a nested SVG twice', async () => {
+      const svgs = extractInlineSvgs('<svg class="outer"><svg id="inner"><rect id="dot" width="1" height="1"/></svg><use href="#dot"/></svg>');
+      const conflicts = findIdConflicts(svgs, await analyzeSvgs(svgs));
+      
+      expect(svgs.map(svg => svg.nested)).toEqual([false, true]);
+      expect(conflicts.collisions).toEqual([]);
+      expect(conflicts.optimizedCollisions).toEqual([]);
+      expect(conflicts.renamedIds.map(entry => entry.index)).not.toContain(1);
+    });
+
+    test('prefixSvgIds should rename ids and every reference to them', () => {
+      const svg = [
+        '<svg aria-labelledby="title other"><title id="title">T</title>',
+        '<style>#shape { fill: url(#paint) } .x { color: #fff }</style>',
+        '<linearGradient id="paint"/><path id="shape" d="M0 0"/>',
+        '<use xlink:href="#shape"/><use href=\'#kept\'/><g id="kept"/></svg>'
+      ].join('');
+      
+      expect(prefixSvgIds(svg, 'p-', { keep: new Set(['kept']) })).toBe([
+        '<svg aria-labelledby="p-title other"><title id="p-title">T</title>',
+        '<style>#p-shape { fill: url(#p-paint) } .x { color: #fff }</style>',
+        '<linearGradient id="p-paint"/><path id="p-shape" d="M0 0"/>',
+        '<use xlink:href="#p-shape"/><use href=\'#kept\'/><g id="kept"/></svg>'
+      ].join(''));
+      expect(prefixSvgIds('<svg><path d="M0 0"/></svg>', 'p-')).toBe('<svg><path d="M0 0"/></svg>');
+    });
+
+    test('rewriteHtmlWithPrefixedIds should keep ids referenced from outside their SVG', async () => {
+      const svgs = extractInlineSvgs(html);
+      const result = await analyzeSvgs(svgs);
+      const rewrite = rewriteHtmlWithPrefixedIds(html, svgs, result);
+      
+      expect(rewrite.changedIndices).toEqual([0, 1]);
+      expect(rewrite.html).toContain('<linearGradient id="svg0-gradient1">');
+      expect(rewrite.html).toContain('fill="url(#svg1-gradient1)" clip-path="url(#clip0)"');
+      expect(rewrite.html).toContain('<symbol id="icon-star">');
+      
+      const optimized = rewriteHtmlWithPrefixedIds(html, svgs, result, { optimize: true });
+      expect(optimized.html).toContain('url(#svg0-a)');
+      expect(optimized.html).toContain('url(#svg1-a)');
+    });
+
+    test('reports should list id conflicts', async () => {
+      const svgs = extractInlineSvgs(html);
+      const result = await analyzeSvgs(svgs);
+      const idConflicts = findIdConflicts(svgs, result);
+      
+      expect(buildJsonReport('page.html', svgs, result, undefined, { idConflicts }).idConflicts).toEqual(idConflicts);
+      
+      const sarif = buildSarifReport('page.html', svgs, result, undefined, { idConflicts });
+      const levels = sarif.runs[0].results
+        .filter(item => item.ruleId.startsWith('svg-id-') || item.ruleId === 'svg-missing-reference')
+        .map(item => `${item.ruleId}:${item.level}`);
+      expect(levels).toEqual([
+        'svg-id-collision:error',
+        'svg-id-collision:note',
+        'svg-missing-reference:error',
+        'svg-id-renamed:note',
+        'svg-id-renamed:note',
+        'svg-id-renamed:warning'
+      ]);
+      expect(parseCliArgs(['page.html', '--id-conflicts', '--prefix-ids'])).toMatchObject({ idConflicts: true, prefixIds: true });
+    });
+  });
+
+  describe('Security scan', () => {
+    const risky = [
+      '<svg class="bad" onload="alert(1)" viewBox="0 0 10 10">',
+      '  <script>alert(2)</script>',
+      '  <a xlink:href=" java&#x09;script:alert(3)"><text>x</text></a>',
+      '  <a href="https://example.com/"><text>link</text></a>',
+      '  <foreignObject width="10" height="10"><div>html</div></foreignObject>',
+      '  <image href="https://cdn.example.com/pixel.png" width="1" height="1"/>',
+      '  <image href="data:image/png;base64,iVBORw0KGgo=" width="1" height="1"/>',
+      '  <use href="data:image/svg+xml;base64,PHN2Zz4=#x"/>',
+      '  <style>@import url(https://cdn.example.com/a.css); .a { fill: url(//cdn.example.com/f.svg#g) }</style>',
+      '  <rect width="10" height="10"/>',
+      '</svg>'
+    ].join('\n');
+
+    test('should flag risky content with a severity per finding', () => {
+      const [entry, ...others] = scanSvgSecurity(extractInlineSvgs(`${risky}<svg><rect width="1" height="1"/></svg>`));
+      
+      expect(others).toEqual([]);
+      expect(entry.index).toBe(0);
+      expect(entry.findings.map(finding => `${finding.rule}:${finding.severity}`)).toEqual([
+        'svg-security-event-handler:high',
+        'svg-security-script:high',
+        'svg-security-javascript-url:high',
+        'svg-security-foreign-object:medium',
+        'svg-security-external-resource:medium',
+        'svg-security-base64-payload:low',
+        'svg-security-base64-payload:medium',
+        'svg-security-external-resource:medium',
+        'svg-security-external-resource:medium'
+      ]);
+    });
+
+    test('sanitizeSvg should remove the findings and keep everything else', () => {
+      const { markup, removed } = sanitizeSvg(risky);
+      
+      expect(removed).toHaveLength(9);
+      expect(markup).toBe([
+        '<svg class="bad" viewBox="0 0 10 10">',
+        '  ',
+        '  <a><text>x</text></a>',
+        '  <a href="https://example.com/"><text>link</text></a>',
+        '  ',
+        '  <image width="1" height="1"/>',
+        '  <image width="1" height="1"/>',
+        '  <use/>',
+        '  <style> .a { fill: none }</style>',
+        '  <rect width="10" height="10"/>',
+        '</svg>'
+      ].join('\n'));
+      expect(scanSvgSecurity(extractInlineSvgs(markup))).toEqual([]);
+    });
+
+    test('should sanitize the optimized SVGs when rewriting with --fix', async () => {
+      const html = `<body>\n<p>keep</p>\n<svg onclick="go()"><!-- c --><rect width="1" height="1"/></svg>\n</body>`;
+      expect(sanitizeHtmlSvgs(html)).toMatchObject({
+        html: `<body>\n<p>keep</p>\n<svg><!-- c --><rect width="1" height="1"/></svg>\n</body>`,
+        changedIndices: [0],
+        removed: [expect.objectContaining({ index: 0, rule: 'svg-security-event-handler' })]
+      });
+      
+      const svgs = extractInlineSvgs(html);
+      const result = await analyzeSvgs(svgs);
+      const rewrite = runRewrite('page.html', html, svgs, result, { optimize: true, sanitize: true, dryRun: true, log: () => {} });
+      expect(rewrite.html).not.toContain('onclick');
+      expect(rewrite.html).not.toContain('<!--');
+      expect(rewrite.sanitized).toHaveLength(1);
+    });
+
+    test('reports should list security findings and the CLI should validate severities', async () => {
+      const run = await analyze(path.join(__dirname, 'test-svgs.html'), { security: true });
+      expect(run.security).toEqual([]);
+      
+      const svgs = extractInlineSvgs(risky);
+      const result = await analyzeSvgs(svgs);
+      const security = scanSvgSecurity(svgs);
+      expect(buildJsonReport('page.html', svgs, result, undefined, { security }).security).toEqual(security);
+      
+      const sarif = buildSarifReport('page.html', svgs, result, undefined, { security });
+      const [script] = sarif.runs[0].results.filter(item => item.ruleId === 'svg-security-script');
+      expect(script).toMatchObject({ level: 'error', message: { text: 'SVG #0: <script> element' } });
+      expect(sarif.runs[0].tool.driver.rules.find(rule => rule.id === 'svg-security-script').properties['security-severity']).toBe('8.0');
+      
+      expect(parseCliArgs(['page.html', '--fail-on-security', 'medium'])).toMatchObject({ security: true, failOnSecurity: 'medium' });
+      expect(parseCliArgs(['page.html', '--fail-on-security', 'critical']).errors).toHaveLength(1);
+    });
   });
 
   describe('generateIdentifierString', () => {
@@ -274,6 +750,1899 @@ describe('SVG Opti Detector', () => {
     });
   });
 
+  describe('Worker threads', () => {
+    // 50 distinct icons, each used three times
+    const svgs = Array.from({ length: 150 }, (_, i) => ({
+      html: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24"><g><g fill="#000000"><path d="M ${i % 50}.000000,2.0000000 L 15.000000,8.0000000 C 1.5,2.5 3.25,4.125 5,6 Z"/><circle cx="12.00000" cy="12.0000" r="${(i % 50) % 7}.5000"/></g></g></svg>`
+    }));
+
+    test('should give the same results, order and duplicates as the main thread', async () => {
+      const progress = [];
+      const serial = await analyzeSvgs(svgs);
+      const pooled = await analyzeSvgs(svgs, { concurrency: 2, onProgress: update => progress.push(update) });
+
+      expect(pooled).toEqual(serial);
+      expect(pooled.svgStats.map(stat => stat.index)).toEqual(svgs.map((svg, i) => i));
+      expect(Object.keys(pooled.duplicates)).toHaveLength(50);
+      expect(pooled.duplicates[pooled.svgStats[0].hash]).toEqual([0, 50, 100]);
+      expect(progress.map(update => update.processed)).toEqual(Array.from({ length: 15 }, (_, i) => (i + 1) * 10));
+      expect(progress.every(update => update.total === 150)).toBe(true);
+    }, 30000);
+
+    test('should warn about optimization failures from the workers', async () => {
+      const warn = jest.fn();
+      const result = await analyzeSvgs([{ html: '<svg><foo:bar/></svg>' }, { html: '<svg><rect/></svg>' }], { concurrency: 2, warn });
+
+      expect(result.svgStats[0].error).toBeTruthy();
+      expect(result.svgStats[0].optimizedSize).toBe(result.svgStats[0].originalSize);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('Failed to optimize SVG #0'));
+    }, 30000);
+
+    test('should stay on the main thread for custom SVGO plugins', async () => {
+      const warn = jest.fn();
+      const svgoConfig = { plugins: ['preset-default', { name: 'noop', fn: () => ({}) }] };
+      const result = await analyzeSvgs(svgs.slice(0, 3), { concurrency: 2, svgoConfig, warn });
+
+      expect(result.svgStats).toHaveLength(3);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('main thread'));
+    });
+
+    test('should reject tasks once the pool is closed', async () => {
+      const pool = createWorkerPool(1);
+      await pool.close();
+
+      await expect(pool.optimize('<svg/>')).rejects.toThrow('closed');
+    });
+
+    // Benchmark: more workers only pay off with cores to spread the work over. The
+    // SVGs are all distinct, as duplicates are only optimized once whatever the pool.
+    (os.availableParallelism() < 2 ? test.skip : test)('should optimize distinct SVGs faster with more workers', async () => {
+      const distinct = Array.from({ length: 200 }, (_, i) => ({
+        html: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24"><g><g fill="#000000"><path d="M ${i}.000000,2.0000000 L 15.000000,8.0000000 C 1.5,2.5 3.25,4.125 5,6 Z"/><circle cx="12.00000" cy="12.0000" r="${i}.5000"/></g></g></svg>`
+      }));
+      const single = createWorkerPool(1);
+      const several = createWorkerPool(Math.min(os.availableParallelism(), 4));
+      
+      try {
+        // Start every worker before timing anything
+        await Promise.all([single, several].flatMap(pool => Array.from({ length: pool.size }, () => pool.optimize(svgs[0].html))));
+        
+        let start = process.hrtime.bigint();
+        const serial = await analyzeSvgs(distinct, { pool: single });
+        const singleTime = process.hrtime.bigint() - start;
+        
+        start = process.hrtime.bigint();
+        const parallel = await analyzeSvgs(distinct, { pool: several });
+        const severalTime = process.hrtime.bigint() - start;
+        
+        expect(parallel).toEqual(serial);
+        expect(severalTime).toBeLessThan(singleTime);
+      } finally {
+        await Promise.all([single.close(), several.close()]);
+      }
+    }, 60000);
+
+    test('should send each distinct markup to the workers once', async () => {
+      const sent = [];
+      const pool = {
+        size: 2,
+        optimize: markup => {
+          sent.push(markup);
+          return new Promise(resolve => setImmediate(() => resolve(optimizeSvg(markup))));
+        }
+      };
+      const serial = await analyzeSvgs(svgs);
+      
+      expect(await analyzeSvgs(svgs, { pool })).toEqual(serial);
+      expect(sent).toHaveLength(50);
+      expect(new Set(sent).size).toBe(50);
+      
+      // Runs sharing a cache share the jobs in flight too, and later runs send nothing
+      sent.length = 0;
+      const cache = new Map();
+      expect(await Promise.all([analyzeSvgs(svgs, { pool, cache }), analyzeSvgs(svgs, { pool, cache })])).toEqual([serial, serial]);
+      expect(await analyzeSvgs(svgs, { pool, cache })).toEqual(serial);
+      expect(sent).toHaveLength(50);
+    });
+  });
+
+  describe('parseCliArgs', () => {
+    test('should parse input and boolean flags', () => {
+      const options = parseCliArgs(['page.html', '-d', '--sort-by-savings']);
+
+      expect(options.input).toBe('page.html');
+      expect(options.showDuplicates).toBe(true);
+      expect(options.sortBySavings).toBe(true);
+      expect(options.format).toBe('text');
+      expect(options.compressed).toBe(false);
+      expect(parseCliArgs(['page.html', '--compressed']).compressed).toBe(true);
+      expect(options.concurrency).toBe(1);
+      expect(parseCliArgs(['page.html', '--concurrency', '4']).concurrency).toBe(4);
+      expect(parseCliArgs(['page.html', '--concurrency', '0']).errors).toHaveLength(1);
+    });
+
+    test('should not mistake option values for the input', () => {
+      expect(parseCliArgs(['--format', 'json', 'page.html'])).toMatchObject({
+        input: 'page.html',
+        format: 'json'
+      });
+      expect(parseCliArgs(['--format=sarif', 'page.html'])).toMatchObject({
+        input: 'page.html',
+        format: 'sarif'
+      });
+    });
+
+    test('should parse budget options', () => {
+      const options = parseCliArgs(['--max-total-bytes', '10KB', 'page.html', '--max-savings-percent=15']);
+
+      expect(options.input).toBe('page.html');
+      expect(options.errors).toEqual([]);
+      expect(options.budgets.maxTotalBytes).toBe(10240);
+      expect(options.budgets.maxSavingsPercent).toBe(15);
+      expect(options.budgets.maxSvgBytes).toBeNull();
+      expect(options.budgets.highSavingsPercent).toBe(20);
+    });
+
+    test('should report invalid option values', () => {
+      expect(parseCliArgs(['page.html', '--format', 'xml']).errors).toHaveLength(1);
+      expect(parseCliArgs(['page.html', '--max-svg-bytes', 'lots']).errors).toHaveLength(1);
+    });
+  });
+
+  describe('parseByteSize', () => {
+    test('should parse byte sizes with optional units', () => {
+      expect(parseByteSize('2048')).toBe(2048);
+      expect(parseByteSize('2KB')).toBe(2048);
+      expect(parseByteSize('1.5mb')).toBe(1572864);
+      expect(parseByteSize('big')).toBeNaN();
+    });
+  });
+
+  describe('checkBudgets', () => {
+    const svgs = [
+      {
+        html: '<svg>  <!-- comment -->  <circle cx="10.000" cy="10.000" r="5"/></svg>',
+        attributes: { class: null, id: null, width: null, height: null, viewBox: null }
+      },
+      {
+        html: '<svg>  <!-- comment -->  <circle cx="10.000" cy="10.000" r="5"/></svg>',
+        attributes: { class: null, id: null, width: null, height: null, viewBox: null }
+      }
+    ];
+
+    test('should pass with the default (unlimited) budgets', async () => {
+      const result = await analyzeSvgs(svgs);
+
+      expect(checkBudgets(svgs, result)).toEqual([]);
+    });
+
+    test('should report every breached budget', async () => {
+      const result = await analyzeSvgs(svgs);
+      const breaches = checkBudgets(svgs, result, {
+        ...DEFAULT_BUDGETS,
+        maxTotalBytes: 10,
+        maxSvgBytes: 10,
+        maxSavingsPercent: 5,
+        maxDuplicateGroups: 0
+      });
+
+      const byBudget = (name) => breaches.filter(b => b.budget === name);
+      expect(byBudget('maxTotalBytes')).toHaveLength(1);
+      expect(byBudget('maxTotalBytes')[0].index).toBeNull();
+      expect(byBudget('maxDuplicateGroups')).toHaveLength(1);
+      expect(byBudget('maxSvgBytes').map(b => b.index)).toEqual([0, 1]);
+      expect(byBudget('maxSavingsPercent').map(b => b.index)).toEqual([0, 1]);
+      breaches.forEach(b => expect(typeof b.message).toBe('string'));
+    });
+  });
+
+  describe('Machine-readable reports', () => {
+    const svgs = [
+      {
+        html: '<svg class="a">  <!-- comment -->  <circle cx="10.000" cy="10.000" r="5"/></svg>',
+        attributes: { class: 'a', id: null, width: null, height: null, viewBox: null }
+      },
+      {
+        html: '<svg class="b">  <!-- comment -->  <circle cx="10.000" cy="10.000" r="5"/></svg>',
+        attributes: { class: 'b', id: null, width: null, height: null, viewBox: null }
+      },
+      {
+        html: '<svg><rect width="10" height="10"/></svg>',
+        attributes: { class: null, id: null, width: null, height: null, viewBox: null }
+      }
+    ];
+
+    test('summarizeDuplicates should compute both deduplication scenarios', async () => {
+      const result = await analyzeSvgs(svgs);
+      const summary = summarizeDuplicates(svgs, result);
+
+      expect(summary.duplicateGroupCount).toBe(1);
+      expect(summary.totalDuplicates).toBe(1);
+      expect(summary.groups[0].indices).toEqual([0, 1]);
+      expect(summary.groups[0].classes).toEqual(['a', 'b']);
+      expect(summary.deduplicationOnly.savings).toBe(result.svgStats[1].originalSize);
+      expect(summary.deduplicationAndOptimization.totalSize)
+        .toBe(result.totalOptimizedSize - result.svgStats[1].optimizedSize);
+    });
+
+    test('buildJsonReport should emit a versioned report', async () => {
+      const result = await analyzeSvgs(svgs);
+      const report = buildJsonReport('page.html', svgs, result);
+
+      expect(report.schemaVersion).toBe(REPORT_SCHEMA_VERSION);
+      expect(report.source).toBe('page.html');
+      expect(report.summary.totalSvgs).toBe(3);
+      expect(report.svgs).toHaveLength(3);
+      expect(report.svgs[1]).toMatchObject({
+        index: 1,
+        attributes: { class: 'b' },
+        hash: result.svgStats[1].hash,
+        isDuplicate: true
+      });
+      expect(report.duplicates).toHaveLength(1);
+      expect(report.deduplication.scenarios).toHaveProperty('deduplicationOnly');
+      expect(report.deduplication.scenarios).toHaveProperty('deduplicationAndOptimization');
+      expect(() => JSON.stringify(report)).not.toThrow();
+    });
+
+    test('buildSarifReport should emit results for savings and duplicates', async () => {
+      const result = await analyzeSvgs(svgs);
+      const sarif = buildSarifReport('page.html', svgs, result);
+      const run = sarif.runs[0];
+
+      expect(sarif.version).toBe('2.1.0');
+      expect(run.tool.driver.name).toBe('svg-opti-detector');
+
+      const duplicateResults = run.results.filter(r => r.ruleId === 'svg-duplicate');
+      expect(duplicateResults).toHaveLength(1);
+      expect(duplicateResults[0].locations[0].logicalLocations[0].name).toBe('SVG #1');
+
+      const optimizationResults = run.results.filter(r => r.ruleId === 'svg-unoptimized');
+      expect(optimizationResults.length).toBeGreaterThan(0);
+      optimizationResults.forEach(r => {
+        expect(r.locations[0].physicalLocation.artifactLocation.uri).toBe('page.html');
+      });
+    });
+
+    test('reports should carry source locations of extracted SVGs', async () => {
+      const extracted = extractInlineSvgs('<body>\n<svg class="a"><!-- x --><path d="M0 0"/></svg>\n<svg class="b"><!-- x --><path d="M0 0"/></svg>\n</body>');
+      const result = await analyzeSvgs(extracted);
+
+      const report = buildJsonReport('page.html', extracted, result);
+      expect(report.svgs[1].location).toMatchObject({ line: 3, column: 1, domPath: 'body > svg.b:nth-of-type(2)' });
+      expect(report.duplicates[0].locations.map(l => l.line)).toEqual([2, 3]);
+
+      const sarif = buildSarifReport('page.html', extracted, result);
+      const duplicate = sarif.runs[0].results.find(r => r.ruleId === 'svg-duplicate');
+      expect(duplicate.locations[0].physicalLocation.region).toEqual({ startLine: 3, startColumn: 1 });
+      expect(duplicate.locations[0].logicalLocations[0].fullyQualifiedName).toBe('body > svg.b:nth-of-type(2)');
+    });
+  });
+
+  describe('Auto-fix', () => {
+    const html = [
+      '<!DOCTYPE html>',
+      '<html>',
+      '<body>',
+      '  <p class="keep">  Untouched   markup  </p>',
+      '  <svg viewBox="0 0 10 10">',
+      '    <!-- comment -->',
+      '    <rect x="0" y="0" width="10" height="10" fill="#ff0000"/>',
+      '  </svg>',
+      '  <svg><g><cc:work></cc:work></g></svg>',
+      '</body>',
+      '</html>'
+    ].join('\n');
+
+    const silence = () => {
+      const originalWarn = console.warn;
+      console.warn = jest.fn();
+      return () => { console.warn = originalWarn; };
+    };
+
+    test('processSvgBatch should keep the optimized markup', async () => {
+      const results = await processSvgBatch([{ html: '<svg><!-- c --><rect width="1" height="1"/></svg>' }], 0);
+
+      expect(results[0].optimizedHtml).toContain('<svg');
+      expect(results[0].optimizedHtml).not.toContain('<!--');
+    });
+
+    test('should replace optimized SVGs and keep everything else intact', async () => {
+      const restore = silence();
+      const svgs = extractInlineSvgs(html);
+      const result = await analyzeSvgs(svgs);
+      restore();
+
+      const fix = rewriteHtmlWithOptimizedSvgs(html, svgs, result);
+
+      expect(fix.changedIndices).toEqual([0]);
+      expect(fix.html).toContain('<p class="keep">  Untouched   markup  </p>');
+      expect(fix.html).toContain(result.svgStats[0].optimizedHtml);
+      expect(fix.html).not.toContain('<!-- comment -->');
+      // The SVG that failed to optimize is left as written
+      expect(fix.html).toContain('<svg><g><cc:work></cc:work></g></svg>');
+      expect(fix.fixedSize).toBeLessThan(fix.originalSize);
+    });
+
+    test('replaceSvgMarkup should skip replacements nested in another one', () => {
+      const source = '<div><svg><svg></svg></svg></div>';
+      const { html: output, applied } = replaceSvgMarkup(source, [
+        { startOffset: 10, endOffset: 21, html: 'INNER' },
+        { startOffset: 5, endOffset: 27, html: 'OUTER' }
+      ]);
+
+      expect(output).toBe('<div>OUTER</div>');
+      expect(applied).toHaveLength(1);
+    });
+
+    test('runRewrite should write to --out and print a unified diff', async () => {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'svg-opti-fix-'));
+      const inputFile = path.join(tmpDir, 'page.html');
+      const outFile = path.join(tmpDir, 'page.fixed.html');
+      fs.writeFileSync(inputFile, html);
+
+      const restore = silence();
+      const svgs = extractInlineSvgs(html);
+      const result = await analyzeSvgs(svgs);
+      restore();
+
+      const log = jest.fn();
+      const fix = runRewrite(inputFile, html, svgs, result, { outFile, log });
+      const output = log.mock.calls.map(call => call.join(' ')).join('\n');
+
+      expect(fs.readFileSync(outFile, 'utf8')).toBe(fix.html);
+      expect(fs.readFileSync(inputFile, 'utf8')).toBe(html);
+      expect(output).toContain('@@');
+      expect(output).toContain('-    <!-- comment -->');
+
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('runRewrite should not write anything in dry-run mode', async () => {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'svg-opti-fix-'));
+      const inputFile = path.join(tmpDir, 'page.html');
+      fs.writeFileSync(inputFile, html);
+
+      const restore = silence();
+      const svgs = extractInlineSvgs(html);
+      const result = await analyzeSvgs(svgs);
+      restore();
+
+      runRewrite(inputFile, html, svgs, result, { dryRun: true, log: jest.fn() });
+
+      expect(fs.readFileSync(inputFile, 'utf8')).toBe(html);
+      expect(fs.readdirSync(tmpDir)).toEqual(['page.html']);
+
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('runRewrite should refuse to write back to a URL', async () => {
+      const svgs = extractInlineSvgs(html);
+      const restore = silence();
+      const result = await analyzeSvgs(svgs);
+      restore();
+
+      expect(() => runRewrite('https://example.com/', html, svgs, result, { log: jest.fn() }))
+        .toThrow('--out');
+    });
+
+    test('runRewrite should refuse JSX and template files', async () => {
+      const svgs = extractInlineSvgs(html);
+      const restore = silence();
+      const result = await analyzeSvgs(svgs);
+      restore();
+
+      expect(() => runRewrite('Icon.tsx', html, svgs, result, { dryRun: true, log: jest.fn() }))
+        .toThrow('Icon.tsx is not HTML or SVG');
+      expect(() => runRewrite('-', html, svgs, result, { label: 'Header.vue', outFile: 'out.vue', log: jest.fn() }))
+        .toThrow('Header.vue is not HTML or SVG');
+      expect(isRewritableInput('https://example.com/Header.vue')).toBe(true);
+      expect(isRewritableInput('-')).toBe(true);
+      expect(isRewritableInput('page.html')).toBe(true);
+    });
+  });
+
+  describe('Sprite extraction', () => {
+    const html = [
+      '<html>',
+      '<body>',
+      '  <svg class="star" width="24" height="24" viewBox="0 0 24 24" fill="none">',
+      '    <path d="M12 2l3 6 7 1-5 5 1 7-6-3-6 3 1-7-5-5 7-1z"/>',
+      '  </svg>',
+      '  <svg class="rect" viewBox="0 0 10 10"><rect width="10" height="10"/></svg>',
+      '  <svg class="star-filled" width="24" height="24" viewBox="0 0 24 24" fill="none">',
+      '    <path d="M12 2l3 6 7 1-5 5 1 7-6-3-6 3 1-7-5-5 7-1z"/>',
+      '  </svg>',
+      '</body>',
+      '</html>'
+    ].join('\n');
+
+    test('should move duplicate groups into an inline sprite', async () => {
+      const svgs = extractInlineSvgs(html);
+      const result = await analyzeSvgs(svgs);
+      const rewrite = extractSvgSprite(html, svgs, result);
+
+      expect(rewrite.symbols).toHaveLength(1);
+      const symbolId = rewrite.symbols[0].id;
+
+      expect(rewrite.html).toContain(`<body><svg xmlns="http://www.w3.org/2000/svg" aria-hidden="true"`);
+      expect(rewrite.html).toContain(`<symbol id="${symbolId}" viewBox="0 0 24 24" fill="none">`);
+      expect(rewrite.html).toContain(`<svg class="star" width="24" height="24" viewBox="0 0 24 24"><use href="#${symbolId}"/></svg>`);
+      expect(rewrite.html).toContain(`<svg class="star-filled" width="24" height="24" viewBox="0 0 24 24"><use href="#${symbolId}"/></svg>`);
+      // SVGs that are not duplicated are left alone
+      expect(rewrite.html).toContain('<svg class="rect" viewBox="0 0 10 10"><rect width="10" height="10"/></svg>');
+      expect(rewrite.changedIndices).toEqual([0, 2]);
+      expect(rewrite.fixedSize).toBe(Buffer.byteLength(rewrite.html));
+      expect(rewrite.spriteSize).toBe(0);
+    });
+
+    test('should reference an external sprite file', async () => {
+      const svgs = extractInlineSvgs(html);
+      const result = await analyzeSvgs(svgs);
+      const rewrite = extractSvgSprite(html, svgs, result, { spriteHref: 'icons/sprite.svg' });
+      const symbolId = rewrite.symbols[0].id;
+
+      expect(rewrite.html).not.toContain('<symbol');
+      expect(rewrite.html).toContain(`<use href="icons/sprite.svg#${symbolId}"/>`);
+      expect(rewrite.sprite).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"><symbol/);
+      expect(rewrite.spriteSize).toBe(Buffer.byteLength(rewrite.sprite));
+    });
+
+    test('should optimize the sprite and remaining SVGs when combined with fix', async () => {
+      const svgs = extractInlineSvgs(html);
+      const result = await analyzeSvgs(svgs);
+      const rewrite = extractSvgSprite(html, svgs, result, { optimize: true });
+
+      expect(rewrite.html).toContain(result.svgStats[1].optimizedHtml);
+      expect(rewrite.changedIndices).toEqual([0, 1, 2]);
+    });
+
+    test('should insert the sprite after the doctype and head when <body> is implied', async () => {
+      const icon = '<svg viewBox="0 0 2 2"><rect width="2" height="2"/></svg>';
+      const page = `<!DOCTYPE html>\n<title>Icons</title>\n<p>${icon}</p>${icon}`;
+      const svgs = extractInlineSvgs(page);
+      const rewrite = extractSvgSprite(page, svgs, await analyzeSvgs(svgs));
+
+      expect(rewrite.html.startsWith('<!DOCTYPE html>\n<title>Icons</title>\n<svg xmlns="http://www.w3.org/2000/svg" aria-hidden="true"')).toBe(true);
+      
+      const fragment = `${icon}${icon}`;
+      const fragmentSvgs = extractInlineSvgs(fragment);
+      expect(extractSvgSprite(fragment, fragmentSvgs, await analyzeSvgs(fragmentSvgs)).html).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" aria-hidden="true"/);
+    });
+
+    test('should escape quotes in attribute values', async () => {
+      const icon = `<svg viewBox="0 0 2 2" aria-label='The "star" icon' data-note='a &amp; b'><rect width="2" height="2"/></svg>`;
+      const page = `<body>${icon}${icon}</body>`;
+      const svgs = extractInlineSvgs(page);
+      const rewrite = extractSvgSprite(page, svgs, await analyzeSvgs(svgs));
+
+      expect(rewrite.html).toContain('<svg viewBox="0 0 2 2" aria-label="The &quot;star&quot; icon" data-note="a &amp; b"><use href="#');
+    });
+
+    test('should leave pages without duplicates untouched', async () => {
+      const single = '<body><svg><circle r="1"/></svg></body>';
+      const svgs = extractInlineSvgs(single);
+      const result = await analyzeSvgs(svgs);
+      const rewrite = extractSvgSprite(single, svgs, result);
+
+      expect(rewrite.html).toBe(single);
+      expect(rewrite.sprite).toBeNull();
+    });
+
+    test('runRewrite should write the page and the sprite file', async () => {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'svg-opti-sprite-'));
+      const inputFile = path.join(tmpDir, 'page.html');
+      const spriteFile = path.join(tmpDir, 'icons', 'sprite.svg');
+      fs.writeFileSync(inputFile, html);
+
+      const svgs = extractInlineSvgs(html);
+      const result = await analyzeSvgs(svgs);
+      const log = jest.fn();
+      runRewrite(inputFile, html, svgs, result, { extractSprite: true, spriteFile, log });
+
+      expect(fs.readFileSync(inputFile, 'utf8')).toContain('href="icons/sprite.svg#svg-sprite-');
+      expect(fs.readFileSync(spriteFile, 'utf8')).toContain('<symbol');
+      expect(log.mock.calls.map(call => call.join(' ')).join('\n')).toContain('page + sprite');
+
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+  });
+
+  describe('Compressed transfer sizes', () => {
+    const icon = '<svg width="24" height="24" viewBox="0 0 24 24"><path d="M12 2l3 6 7 1-5 5 1 7-6-3-6 3 1-7-5-5 7-1z"/></svg>';
+    const html = `<html><body><p>Rated</p>${icon}${icon}${icon}<svg viewBox="0 0 10 10"><rect width="10" height="10"/></svg></body></html>`;
+
+    test('should report gzip and brotli sizes', () => {
+      const zlib = require('zlib');
+      const sizes = compressedSize(icon);
+
+      expect(sizes.gzip).toBe(zlib.gzipSync(icon, { level: 9 }).length);
+      expect(sizes.brotli).toBeGreaterThan(0);
+      expect(sizes.brotli).toBeLessThan(Buffer.byteLength(icon) + 10);
+    });
+
+    test('should compress the SVGs together so repeated markup costs little', async () => {
+      const svgs = extractInlineSvgs(html);
+      const result = await analyzeSvgs(svgs);
+      const transfer = measureTransferSizes(svgs, result, html);
+      const duplicates = summarizeDuplicates(svgs, result);
+
+      expect(transfer.svgs).toHaveLength(4);
+      expect(transfer.svgs[0].original).toEqual(compressedSize(svgs[0].html));
+      expect(transfer.totals.original).toEqual(compressedSize(svgs.map(svg => svg.html).join('')));
+      // Removing two exact copies saves far less once compressed than the raw bytes suggest
+      expect(transfer.deduplicationOnly.savings.gzip).toBeGreaterThan(0);
+      expect(transfer.deduplicationOnly.savings.gzip).toBeLessThan(duplicates.deduplicationOnly.savings / 2);
+      expect(transfer.deduplicationOnly.gzip).toBe(transfer.totals.original.gzip - transfer.deduplicationOnly.savings.gzip);
+
+      expect(transfer.page.original).toEqual({ size: Buffer.byteLength(html), ...compressedSize(html) });
+      const fixed = rewriteHtmlWithOptimizedSvgs(html, svgs, result).html;
+      expect(transfer.page.optimized).toEqual({ size: Buffer.byteLength(fixed), ...compressedSize(fixed) });
+      const sprited = extractSvgSprite(html, svgs, result, { optimize: true }).html;
+      expect(transfer.page.deduplicatedAndOptimized).toEqual({ size: Buffer.byteLength(sprited), ...compressedSize(sprited) });
+    });
+
+    test('should skip the page sizes without the page HTML', async () => {
+      const svgs = extractInlineSvgs(html);
+      const result = await analyzeSvgs(svgs);
+
+      expect(measureTransferSizes(svgs, result).page).toBeNull();
+    });
+
+    test('should add compressed sizes to the JSON report with the compressed option', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'svg-opti-compressed-'));
+      const file = path.join(dir, 'page.html');
+      fs.writeFileSync(file, html);
+
+      const plain = buildReport(await analyze(file));
+      expect(plain.summary.compressed).toBeUndefined();
+      expect(plain.svgs[0].compressed).toBeUndefined();
+
+      const run = await analyze(file, { compressed: true });
+      const report = buildReport(run);
+      expect(report.summary.compressed).toEqual(run.transferSizes.totals);
+      expect(report.summary.page).toEqual(run.transferSizes.page);
+      expect(report.svgs[1].compressed).toEqual({
+        original: run.transferSizes.svgs[1].original,
+        optimized: run.transferSizes.svgs[1].optimized
+      });
+      expect(report.deduplication.scenarios.deduplicationAndOptimization.compressed)
+        .toEqual(run.transferSizes.deduplicationAndOptimization);
+      expect(report.deduplication.scenarios.deduplicationOnly.savings).toBe(plain.deduplication.scenarios.deduplicationOnly.savings);
+
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+
+  describe('Savings breakdown', () => {
+    const inkscapeSvg = [
+      '<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" width="24" height="24" viewBox="0 0 24 24" inkscape:version="1.2">',
+      '  <!-- Exported by Inkscape -->',
+      '  <metadata><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#"></rdf:RDF></metadata>',
+      '  <g><g fill="#000000"><path d="M 12.000000,2.0000000 L 15.000000,8.0000000 L 22.000000,9.0000000 Z"/></g></g>',
+      '</svg>'
+    ].join('\n');
+
+    test('should expand preset-default into its plugins, minus disabled ones', () => {
+      const plugins = expandSvgoPlugins(resolveSvgoConfig({ svgo: { overrides: { convertColors: false, cleanupIds: { minify: false } } } }));
+      const names = plugins.map(plugin => typeof plugin === 'string' ? plugin : plugin.name);
+
+      expect(names).toContain('removeComments');
+      expect(names).toContain('removeDimensions');
+      expect(names).not.toContain('preset-default');
+      expect(names).not.toContain('convertColors');
+      expect(plugins).toContainEqual({ name: 'cleanupIds', params: { minify: false } });
+    });
+
+    test('should credit the saved bytes to causes and plugins', async () => {
+      const breakdown = explainSvgSavings(inkscapeSvg);
+      const [optimized] = await processSvgBatch([{ html: inkscapeSvg }], 0);
+      const byCause = Object.fromEntries(breakdown.causes.map(cause => [cause.cause, cause]));
+
+      expect(breakdown.optimizedSize).toBe(optimized.optimizedSize);
+      expect(breakdown.savings).toBe(optimized.originalSize - optimized.optimizedSize);
+      expect(breakdown.causes.reduce((sum, cause) => sum + cause.savings, 0)).toBe(breakdown.savings);
+      expect(breakdown.causes[0].cause).toBe('editor-metadata');
+      expect(byCause['editor-metadata'].plugins.map(plugin => plugin.name)).toEqual(expect.arrayContaining(['removeEditorsNSData', 'removeMetadata']));
+      expect(byCause.comments.plugins).toEqual([{ name: 'removeComments', savings: byCause.comments.savings }]);
+      expect(byCause.precision.plugins[0].name).toBe('convertPathData');
+      expect(byCause.groups.plugins[0].name).toBe('collapseGroups');
+      expect(byCause.dimensions.savings).toBe(Buffer.byteLength(' width="24" height="24"'));
+    });
+
+    test('should leave out disabled plugins', () => {
+      const svgoConfig = resolveSvgoConfig({ svgo: { overrides: { removeDimensions: false } } });
+      const causes = explainSvgSavings(inkscapeSvg, { svgoConfig }).causes.map(cause => cause.cause);
+
+      expect(causes).not.toContain('dimensions');
+    });
+
+    test('should sum the causes over all SVGs', async () => {
+      const svgs = extractInlineSvgs(`<html><body>${inkscapeSvg}${inkscapeSvg}<svg viewBox="0 0 10 10"><rect width="10" height="10"/></svg></body></html>`);
+      const result = await analyzeSvgs(svgs);
+      const explanations = explainSavings(svgs, result);
+      const metadata = explanations.causes.find(cause => cause.cause === 'editor-metadata');
+
+      expect(explanations.svgs).toHaveLength(3);
+      expect(explanations.svgs[0].location.domPath).toBe('body > svg:nth-of-type(1)');
+      expect(metadata.svgCount).toBe(2);
+      expect(metadata.savings).toBe(explanations.svgs[0].causes.find(cause => cause.cause === 'editor-metadata').savings * 2);
+    });
+  });
+
+  describe('Rendering check', () => {
+    const image = (...values) => ({
+      width: values.length,
+      height: 1,
+      pixels: Uint8Array.from(values.flatMap(([value, alpha]) => [value, value, value, alpha]))
+    });
+    // Comments stand in for content SVGO drops that changes the rendering
+    const rasterize = jest.fn(async (markup) => {
+      if (markup.includes('data-broken')) throw new Error('unreadable');
+      return markup.includes('<!--') ? image([0, 255], [0, 255]) : image([255, 255], [0, 255]);
+    });
+    const html = [
+      '<svg viewBox="0 0 10 10"><!-- fill --><rect width="10" height="10"/></svg>',
+      '<svg viewBox="0 0 10 10">  <rect  width="10" height="10"/>  </svg>',
+      '<svg viewBox="0 0 10 10" data-broken="1">  <rect width="10" height="10"/>  </svg>',
+      '<svg viewBox="0 0 10 10"><!-- fill --><rect width="10" height="10"/></svg>'
+    ].join('\n');
+
+    beforeEach(() => rasterize.mockClear());
+
+    test('comparePixels should compare over white and treat different sizes as different', () => {
+      expect(comparePixels(image([0, 255], [255, 255]), image([0, 255], [255, 255]))).toBe(0);
+      expect(comparePixels(image([0, 255], [255, 255]), image([255, 255], [255, 255]))).toBe(0.5);
+      expect(comparePixels(image([0, 0], [255, 255]), image([255, 255], [255, 255]))).toBe(0);
+      expect(comparePixels(image([0, 255], [250, 255]), image([10, 255], [255, 255]))).toBe(0);
+      expect(comparePixels(image([0, 255]), image([0, 255], [0, 255]))).toBe(1);
+    });
+
+    test('toStandaloneSvg should add the namespaces inline SVGs leave out', () => {
+      expect(toStandaloneSvg('<svg viewBox="0 0 1 1"><use xlink:href="#a"/></svg>'))
+        .toBe('<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 1 1"><use xlink:href="#a"/></svg>');
+      expect(toStandaloneSvg('<svg xmlns="http://www.w3.org/2000/svg"><rect/></svg>')).toBe('<svg xmlns="http://www.w3.org/2000/svg"><rect/></svg>');
+    });
+
+    test('verifyRendering should flag SVGs whose rendering changes and exclude them from the savings', async () => {
+      const svgs = extractInlineSvgs(html);
+      const result = await analyzeSvgs(svgs);
+      const verification = await verifyRendering(svgs, result, { rasterize });
+
+      expect(verification.tolerance).toBe(0.01);
+      expect(verification.svgs.map(entry => entry.status)).toEqual(['changed', 'unchanged', 'error', 'changed']);
+      expect(verification.svgs[0].difference).toBe(0.5);
+      expect(verification.svgs[2]).toMatchObject({ difference: null, error: 'unreadable' });
+      expect(rasterize).toHaveBeenCalledTimes(6);
+      expect(rasterize.mock.calls[0][0]).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+      
+      const lenient = await verifyRendering(svgs, result, { rasterize, tolerance: 0.5 });
+      expect(lenient.svgs[0].status).toBe('unchanged');
+      
+      const safe = excludeUnsafeOptimizations(result, verification);
+      expect(safe.svgStats[0]).toMatchObject({ optimizedSize: result.svgStats[0].originalSize, optimizedHtml: null, unsafe: true });
+      expect(safe.svgStats[1]).toBe(result.svgStats[1]);
+      expect(safe.svgStats[2].optimizedSize).toBeLessThan(safe.svgStats[2].originalSize);
+      expect(safe.totalOptimizedSize).toBe(result.totalOptimizedSize + (result.svgStats[0].originalSize - result.svgStats[0].optimizedSize) * 2);
+    });
+
+    test('analyze should report unsafe SVGs and keep --fix away from them', async () => {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'svg-verify-'));
+      const file = path.join(tempDir, 'index.html');
+      fs.writeFileSync(file, html);
+      
+      const run = await analyze(file, { verify: true, verifyTolerance: 0.1, rasterize });
+      expect(run.verification.tolerance).toBe(0.1);
+      expect(run.analysis.svgStats.map(stat => Boolean(stat.unsafe))).toEqual([true, false, false, true]);
+      
+      const report = buildReport(run);
+      expect(report.verification).toEqual(run.verification);
+      expect(report.svgs.map(svg => svg.unsafe)).toEqual([true, undefined, undefined, true]);
+      expect(report.svgs[0].savings).toBe(0);
+      
+      const sarif = buildReport(run, 'sarif');
+      expect(sarif.runs[0].results.filter(result => result.ruleId === 'svg-unsafe-optimization').map(result => result.properties.difference)).toEqual([0.5, 0.5]);
+      
+      const rewritten = rewriteHtmlWithOptimizedSvgs(run.html, run.svgs, run.analysis);
+      expect(rewritten.changedIndices).toEqual([1, 2]);
+      expect(rewritten.html).toContain('<!-- fill -->');
+      
+      expect(parseCliArgs(['page.html', '--verify'])).toMatchObject({ verify: true, verifyTolerance: 0.01 });
+      expect(parseCliArgs(['page.html', '--verify-tolerance', '0.05'])).toMatchObject({ verify: true, verifyTolerance: 0.05 });
+      expect(parseCliArgs(['page.html', '--verify-tolerance', '2']).errors).toContain('Invalid value "2" for --verify-tolerance (expected a number between 0 and 1)');
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+  });
+
+  describe('External SVG references', () => {
+    const page = [
+      '<html><head>',
+      '<link rel="icon" href="icons/logo.svg">',
+      '<style>.a { background: url("icons/bg.svg"); } .b { background: url(photo.png); }</style>',
+      '</head><body>',
+      '<img src="icons/logo.svg?v=2"><img src="photo.jpg"><img src="missing.svg">',
+      '<object data="/icons/chart.svg"></object>',
+      '<div style="background-image: url(\'data:image/svg+xml,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22%3E%3C/svg%3E\')"></div>',
+      '<svg><use href="icons/sprite.svg#star"/><use href="#local"/></svg>',
+      '</body></html>'
+    ].join('\n');
+    const iconSvg = '<?xml version="1.0"?>\n<!-- exported -->\n<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10">  <rect x="0" y="0" width="10" height="10"/></svg>\n';
+
+    test('should find SVG references with their line numbers', () => {
+      const references = extractExternalSvgRefs(page);
+      const summary = references.map(reference => `${reference.type}:${reference.url}:${reference.line}`);
+
+      expect(summary).toEqual(expect.arrayContaining([
+        'img:icons/logo.svg?v=2:5',
+        'img:missing.svg:5',
+        'object:/icons/chart.svg:6',
+        'link:icons/logo.svg:2',
+        'use:icons/sprite.svg#star:8',
+        'style-block:icons/bg.svg:3'
+      ]));
+      expect(references.find(reference => reference.type === 'style-attribute').url).toMatch(/^data:image\/svg\+xml/);
+      expect(references).toHaveLength(7);
+    });
+
+    test('should resolve references against the page URL or file', () => {
+      expect(resolveSvgReference('a.svg', 'https://site.example/docs/page')).toEqual({ resolved: 'https://site.example/docs/a.svg' });
+      expect(resolveSvgReference('/a.svg', 'https://site.example/docs/page')).toEqual({ resolved: 'https://site.example/a.svg' });
+      expect(resolveSvgReference('icons/a.svg#x', '/srv/site/index.html')).toEqual({ resolved: path.resolve('/srv/site/icons/a.svg') });
+      expect(resolveSvgReference('/a.svg', '/srv/site/index.html').error).toContain('--base-url');
+      expect(resolveSvgReference('/a.svg', '/srv/site/index.html', { baseUrl: 'https://cdn.example/' }))
+        .toEqual({ resolved: 'https://cdn.example/a.svg' });
+    });
+
+    test('should resolve file: URLs in local pages to the files they name', () => {
+      const iconFile = path.join(os.tmpdir(), 'icons', 'a b.svg');
+
+      expect(resolveSvgReference(`${pathToFileURL(iconFile).href}#icon`, '/srv/site/index.html')).toEqual({ resolved: iconFile });
+      expect(resolveSvgReference('file://remote-host/a.svg', '/srv/site/index.html').error).toContain('Invalid file URL');
+    });
+
+    test('should load and analyze referenced files next to a local page', async () => {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'svg-opti-external-'));
+      fs.mkdirSync(path.join(tmpDir, 'icons'));
+      ['logo.svg', 'bg.svg', 'sprite.svg'].forEach(file => fs.writeFileSync(path.join(tmpDir, 'icons', file), iconSvg));
+      const pageFile = path.join(tmpDir, 'index.html');
+      fs.writeFileSync(pageFile, page);
+
+      const external = await analyzeExternalSvgs(page, pageFile);
+
+      // logo.svg is referenced twice but loaded once
+      const logo = external.resources.find(resource => resource.url.endsWith('icons/logo.svg'));
+      expect(logo.references).toHaveLength(2);
+      expect(logo.originalSize).toBe(Buffer.byteLength(iconSvg));
+      expect(logo.optimizedSize).toBeLessThan(logo.originalSize);
+      expect(logo.attributes.viewBox).toBe('0 0 10 10');
+      expect(external.resources).toHaveLength(4);
+      expect(external.unresolved.map(reference => reference.url).sort()).toEqual(['/icons/chart.svg', 'missing.svg']);
+      expect(external.totalOriginalSize).toBe(external.resources.reduce((sum, resource) => sum + resource.originalSize, 0));
+
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('analyze should reject external analysis of a directory scan or site', async () => {
+      await expect(analyze(path.join(__dirname), { external: true })).rejects.toThrow('work on a single page, not on a crawl or directory scan');
+      await expect(analyze(['a.html', 'b.html'], { external: true })).rejects.toThrow('work on a single page');
+      await expect(analyze(['a.html', 'b.html'], { explain: true })).rejects.toThrow('not on a crawl');
+    });
+
+    test('should fetch references of a remote page', async () => {
+      const server = http.createServer((req, res) => {
+        if (req.url.split('?')[0].endsWith('.svg') && !req.url.includes('missing')) {
+          res.writeHead(200, { 'Content-Type': 'image/svg+xml' });
+          res.end(iconSvg);
+        } else {
+          res.writeHead(404);
+          res.end();
+        }
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      const origin = `http://127.0.0.1:${server.address().port}`;
+
+      const external = await analyzeExternalSvgs(page, `${origin}/docs/index.html`);
+      await new Promise(resolve => server.close(resolve));
+
+      expect(external.resources.map(resource => resource.url)).toEqual(expect.arrayContaining([
+        `${origin}/docs/icons/logo.svg`,
+        `${origin}/icons/chart.svg`,
+        `${origin}/docs/icons/sprite.svg`
+      ]));
+      expect(external.unresolved).toHaveLength(1);
+      expect(external.unresolved[0].reason).toContain('404');
+    });
+
+    test('should not let a remote page load local files', async () => {
+      const secretFile = path.join(os.tmpdir(), 'svg-opti-secret.svg');
+      const remotePage = `<img src="${pathToFileURL(secretFile).href}"><div style="background: url(file:///etc/icon.svg)"></div>`;
+      const fetchPage = jest.fn().mockResolvedValue(iconSvg);
+
+      expect(resolveSvgReference('file:///etc/icon.svg', 'https://site.example/')).toEqual({ error: 'Unsupported URL scheme file: in a remote page' });
+      const external = await analyzeExternalSvgs(remotePage, 'https://site.example/', { fetchHtml: fetchPage });
+      expect(fetchPage).not.toHaveBeenCalled();
+      expect(external.resources).toHaveLength(0);
+      expect(external.unresolved.map(reference => reference.reason)).toEqual([
+        'Unsupported URL scheme file: in a remote page',
+        'Unsupported URL scheme file: in a remote page'
+      ]);
+    });
+
+    test('reports should keep external SVGs in their own section', async () => {
+      const svgs = extractInlineSvgs(page);
+      const result = await analyzeSvgs(svgs);
+      const external = {
+        resources: [{ url: 'icons/logo.svg', references: [{ type: 'img', url: 'icons/logo.svg', line: 5, column: 1 }], attributes: {}, originalSize: 200, optimizedSize: 100, hash: 'x' }],
+        unresolved: [{ type: 'img', url: 'missing.svg', line: 5, column: 30, reason: 'ENOENT' }],
+        totalOriginalSize: 200,
+        totalOptimizedSize: 100
+      };
+
+      const json = buildJsonReport('page.html', svgs, result, undefined, { external });
+      expect(json.external).toBe(external);
+      expect(json.summary.totalOriginalSize).toBe(result.totalOriginalSize);
+      expect(buildJsonReport('page.html', svgs, result)).not.toHaveProperty('external');
+
+      const sarif = buildSarifReport('page.html', svgs, result, undefined, { external });
+      const ruleIds = sarif.runs[0].results.map(r => r.ruleId);
+      expect(ruleIds).toContain('svg-external-unoptimized');
+      expect(ruleIds).toContain('svg-external-unresolved');
+    });
+  });
+
+  describe('Site crawling', () => {
+    const icon = '<svg class="logo" viewBox="0 0 10 10"><!-- logo --><circle cx="5" cy="5" r="4"/></svg>';
+    const routes = {
+      '/': `<html><body>${icon}<a href="/about">About</a><a href="/blog#top">Blog</a><a href="https://elsewhere.example/">Out</a></body></html>`,
+      '/about': `<html><body>${icon}<a href="/deep">Deep</a></body></html>`,
+      '/blog': `<html><body>${icon}${icon}<svg><rect width="1" height="1"/></svg></body></html>`,
+      '/deep': `<html><body><a href="/deeper">Deeper</a></body></html>`,
+      '/deeper': '<html><body></body></html>',
+      '/docs': `<html><body>${icon}<a href="/docs/">Docs</a><a href="/docs#intro">Intro</a><a href="/about/">About</a></body></html>`,
+      '/about/': `<html><body>${icon}</body></html>`,
+      '/sitemap.xml': '<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"><url><loc>BASE/about</loc></url><url><loc>BASE/blog</loc></url></urlset>',
+      '/sitemap-index.xml': '<?xml version="1.0"?><sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"><sitemap><loc>BASE/sitemap.xml</loc></sitemap></sitemapindex>'
+    };
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        const body = routes[req.url];
+        if (!body) {
+          res.writeHead(404);
+          res.end('Not found');
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': req.url.endsWith('.xml') ? 'application/xml' : 'text/html' });
+        res.end(body.replace(/BASE/g, baseUrl));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    test('extractLinks should keep same-origin links without fragments', () => {
+      const links = extractLinks(routes['/'], 'http://site.example/');
+
+      expect(links).toEqual(['http://site.example/about', 'http://site.example/blog']);
+    });
+
+    test('parseSitemap should read url sets and sitemap indexes', () => {
+      expect(parseSitemap(routes['/sitemap.xml'])).toEqual({ isIndex: false, urls: ['BASE/about', 'BASE/blog'] });
+      expect(parseSitemap(routes['/sitemap-index.xml'])).toEqual({ isIndex: true, urls: ['BASE/sitemap.xml'] });
+    });
+
+    test('fetchSitemapUrls should follow a sitemap index', async () => {
+      const urls = await fetchSitemapUrls(`${baseUrl}/sitemap-index.xml`);
+
+      expect(urls).toEqual([`${baseUrl}/about`, `${baseUrl}/blog`]);
+    });
+
+    test('crawlPages should follow same-origin links up to the maximum depth', async () => {
+      const pages = await crawlPages([`${baseUrl}/`], { followLinks: true, maxDepth: 1, log: jest.fn() });
+
+      expect(pages.map(page => page.input)).toEqual([`${baseUrl}/`, `${baseUrl}/about`, `${baseUrl}/blog`]);
+      expect(pages.every(page => page.error === null)).toBe(true);
+    });
+
+    test('crawlPages should stop at the page limit', async () => {
+      const pages = await crawlPages([`${baseUrl}/`], { followLinks: true, maxDepth: 5, maxPages: 4, log: jest.fn() });
+
+      expect(pages).toHaveLength(4);
+    });
+
+    test('crawlPages should record failed pages and continue', async () => {
+      const pages = await crawlPages([`${baseUrl}/missing`, `${baseUrl}/about`], { log: jest.fn() });
+
+      expect(pages[0].error).toContain('404');
+      expect(pages[1].error).toBeNull();
+    });
+
+    test('crawlPages should fetch a page once whatever its fragment, but keep trailing slashes apart', async () => {
+      const pages = await crawlPages([`${baseUrl}/docs`, `${baseUrl}/docs#top`], { followLinks: true, maxDepth: 1, log: jest.fn() });
+
+      expect(pages.map(page => page.input)).toEqual([`${baseUrl}/docs`, `${baseUrl}/docs/`, `${baseUrl}/about/`]);
+      expect(pages[1].error).toContain('404');
+    });
+
+    test('aggregateSiteStats should find SVGs reused across pages', async () => {
+      const pages = await crawlPages([`${baseUrl}/`, `${baseUrl}/about`, `${baseUrl}/blog`], { log: jest.fn() });
+      const site = aggregateSiteStats(pages);
+
+      expect(site.pageCount).toBe(3);
+      expect(site.pages.map(page => page.svgCount)).toEqual([1, 1, 3]);
+      expect(site.svgs[0]).toMatchObject({ pageCount: 3, occurrences: 4 });
+      expect(site.svgs[0].reuseSavings).toBe(3 * site.svgs[0].optimizedSize);
+      expect(site.spriteCandidates).toHaveLength(1);
+      expect(site.totalOriginalSize).toBe(pages.reduce((sum, page) => sum + page.result.totalOriginalSize, 0));
+    });
+
+    test('site reports should include every page', async () => {
+      const pages = await crawlPages([`${baseUrl}/`, `${baseUrl}/blog`, `${baseUrl}/missing`], { log: jest.fn() });
+
+      const json = buildSiteJsonReport(pages);
+      expect(json.pages).toHaveLength(3);
+      expect(json.pages[2].error).toContain('404');
+      expect(json.site.spriteCandidates).toHaveLength(1);
+
+      const sarif = buildSiteSarifReport(pages);
+      const uris = sarif.runs[0].artifacts.map(artifact => artifact.location.uri);
+      expect(uris).toEqual([`${baseUrl}/`, `${baseUrl}/blog`]);
+    });
+
+    test('printSiteReport should write through the given log', async () => {
+      const pages = await crawlPages([`${baseUrl}/`, `${baseUrl}/blog`], { log: jest.fn() });
+      const log = jest.fn();
+      const consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      try {
+        const site = printSiteReport(pages, { log });
+        expect(site.pageCount).toBe(2);
+        expect(consoleLog).not.toHaveBeenCalled();
+        expect(log.mock.calls.flat().join('\n')).toContain('SITE TOTALS');
+      } finally {
+        consoleLog.mockRestore();
+      }
+    });
+  });
+
+  describe('HTTP fetching', () => {
+    let server;
+    let otherOrigin;
+    let baseUrl;
+    let otherUrl;
+    let flakyHits = 0;
+    let busyHits = 0;
+    const requests = [];
+    const otherRequests = [];
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        requests.push({ url: req.url, headers: req.headers });
+        if (req.url === '/flaky') {
+          flakyHits++;
+          res.writeHead(flakyHits < 3 ? 503 : 200);
+          res.end(flakyHits < 3 ? '' : '<svg/>');
+        } else if (req.url === '/busy') {
+          busyHits++;
+          res.writeHead(busyHits < 2 ? 503 : 200, busyHits < 2 ? { 'Retry-After': '3600' } : {});
+          res.end(busyHits < 2 ? '' : '<svg/>');
+        } else if (req.url === '/redirect') {
+          res.writeHead(302, { Location: '/echo' });
+          res.end();
+        } else if (req.url === '/away') {
+          res.writeHead(301, { Location: `${otherUrl}/echo` });
+          res.end();
+        } else if (req.url === '/loop') {
+          res.writeHead(307, { Location: '/loop' });
+          res.end();
+        } else if (req.url === '/latin1') {
+          res.writeHead(200, { 'Content-Type': 'text/html' });
+          res.end(Buffer.concat([Buffer.from('<meta http-equiv="Content-Type" content="text/html; charset=ISO-8859-1"><p>caf'), Buffer.from([0xe9]), Buffer.from('</p>')]));
+        } else if (req.url === '/private') {
+          res.writeHead(401, 'Unauthorized');
+          res.end();
+        } else if (req.url !== '/hang') {
+          res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+          res.end(JSON.stringify(req.headers));
+        }
+      });
+      otherOrigin = http.createServer((req, res) => {
+        otherRequests.push({ url: req.url, headers: req.headers });
+        res.end(JSON.stringify(req.headers));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      await new Promise(resolve => otherOrigin.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      otherUrl = `http://127.0.0.1:${otherOrigin.address().port}`;
+    });
+
+    afterAll(async () => {
+      for (const instance of [server, otherOrigin]) {
+        instance.closeAllConnections();
+        await new Promise(resolve => instance.close(resolve));
+      }
+    });
+
+    test('should send the user agent, custom headers, credentials and matching cookies', async () => {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'svg-http-'));
+      const cookieFile = path.join(tempDir, 'cookies.txt');
+      fs.writeFileSync(cookieFile, [
+        '# Netscape HTTP Cookie File',
+        '127.0.0.1\tFALSE\t/\tFALSE\t0\tsession\tabc',
+        '#HttpOnly_127.0.0.1\tFALSE\t/admin\tFALSE\t0\tadmin\tyes',
+        '.example.com\tTRUE\t/\tFALSE\t0\tother\tno'
+      ].join('\n'));
+      
+      const headers = JSON.parse(await fetchUrl(`${baseUrl}/echo`, { headers: { 'X-Preview': 'on' }, auth: 'user:secret', cookieFile }));
+      expect(headers['user-agent']).toMatch(/^svg-opti-detector\//);
+      expect(headers['x-preview']).toBe('on');
+      expect(headers.authorization).toBe(`Basic ${Buffer.from('user:secret').toString('base64')}`);
+      expect(headers.cookie).toBe('session=abc');
+      
+      const bearer = JSON.parse(await fetchUrl(`${baseUrl}/echo`, { bearerToken: 't0k3n', userAgent: 'Bot/1.0' }));
+      expect(bearer.authorization).toBe('Bearer t0k3n');
+      expect(bearer['user-agent']).toBe('Bot/1.0');
+      
+      await expect(fetchUrl(`${baseUrl}/echo`, { cookieFile: path.join(tempDir, 'missing.txt') })).rejects.toThrow(/^Could not read cookie file/);
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should follow redirects up to the limit, keeping credentials on the original origin', async () => {
+      expect(JSON.parse(await fetchUrl(`${baseUrl}/redirect`, { auth: 'user:secret' })).authorization).toBeDefined();
+      expect(JSON.parse(await fetchUrl(`${baseUrl}/away`, { auth: 'user:secret' })).authorization).toBeUndefined();
+      await expect(fetchUrl(`${baseUrl}/redirect`, { maxRedirects: 0 })).rejects.toThrow(`Too many redirects fetching ${baseUrl}/redirect (more than 0`);
+      await expect(fetchUrl(`${baseUrl}/loop`)).rejects.toThrow('more than 5');
+    });
+
+    test('should keep credentials, cookies without a domain and custom headers to the input\'s origin', async () => {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'svg-http-'));
+      const cookieFile = path.join(tempDir, 'cookies.txt');
+      fs.writeFileSync(cookieFile, 'session=abc');
+      const before = requests.length;
+      const otherBefore = otherRequests.length;
+      
+      const run = await analyze(null, {
+        html: `<img src="${baseUrl}/icon.svg"><img src="${otherUrl}/icon.svg">`,
+        baseUrl,
+        external: true,
+        auth: 'user:secret',
+        cookieFile,
+        headers: { 'X-Preview': 'on' }
+      });
+      expect(run.external.unresolved).toEqual([]);
+      const [own] = requests.slice(before);
+      expect(own.headers).toMatchObject({ authorization: expect.any(String), cookie: 'session=abc', 'x-preview': 'on' });
+      const [{ headers: other }] = otherRequests.slice(otherBefore);
+      expect(other.authorization).toBeUndefined();
+      expect(other.cookie).toBeUndefined();
+      expect(other['x-preview']).toBeUndefined();
+      expect(other['user-agent']).toMatch(/^svg-opti-detector\//);
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should retry with backoff and say which step failed', async () => {
+      await expect(fetchUrl(`${baseUrl}/flaky`, { retryDelay: 1 })).resolves.toBe('<svg/>');
+      expect(flakyHits).toBe(3);
+      
+      // An hour of Retry-After is more than maxRetryAfter, so the backoff applies
+      await expect(fetchUrl(`${baseUrl}/busy`, { retryDelay: 1 })).resolves.toBe('<svg/>');
+      expect(busyHits).toBe(2);
+      
+      await expect(fetchUrl(`${baseUrl}/hang`, { timeout: 50, retries: 1, retryDelay: 1 }))
+        .rejects.toThrow(`Timed out after 50ms waiting for ${baseUrl}/hang (attempt 2 of 2)`);
+      expect(requests.filter(request => request.url === '/hang')).toHaveLength(2);
+      
+      await expect(fetchUrl(`${baseUrl}/private`)).rejects.toThrow(`HTTP 401 Unauthorized from ${baseUrl}/private (see --auth, --bearer and --cookie-file)`);
+      expect(requests.filter(request => request.url === '/private')).toHaveLength(1);
+    });
+
+    test('should decode the body with the declared charset', async () => {
+      await expect(fetchUrl(`${baseUrl}/latin1`)).resolves.toContain('<p>café</p>');
+      
+      expect(detectCharset(Buffer.from('<p>'), 'text/html; charset="Shift_JIS"')).toBe('shift_jis');
+      expect(detectCharset(Buffer.from('<?xml version="1.0" encoding="windows-1252"?><svg/>'), 'image/svg+xml')).toBe('windows-1252');
+      expect(detectCharset(Buffer.from([0xef, 0xbb, 0xbf, 0x3c]), null)).toBe('utf-8');
+      expect(detectCharset(Buffer.from('<html>'), null)).toBe('utf-8');
+    });
+
+    test('parseCookieFile and parseCliArgs should read the HTTP options', () => {
+      expect(parseCookieFile('a=1; b=2').map(cookie => [cookie.name, cookie.value, cookie.domain])).toEqual([['a', '1', null], ['b', '2', null]]);
+      
+      const options = parseCliArgs(['https://staging.example', '--header', 'X-A: 1', '--header=X-B: two:parts', '--auth', 'me:pw', '--timeout', '5000', '--retries', '0', '--max-redirects', '2', '--cookie-file', 'c.txt']);
+      expect(options).toMatchObject({
+        input: 'https://staging.example',
+        headers: { 'X-A': '1', 'X-B': 'two:parts' },
+        auth: 'me:pw',
+        timeout: 5000,
+        retries: 0,
+        maxRedirects: 2,
+        cookieFile: 'c.txt',
+        errors: []
+      });
+      expect(parseCliArgs(['page.html', '--header', 'nope', '--auth', 'secret']).errors).toEqual([
+        'Invalid value "nope" for --header (expected "Name: value")',
+        'Invalid value for --auth (expected "user:password")'
+      ]);
+      expect(parseCliArgs(['page.html']).timeout).toBe(30000);
+    });
+  });
+
+  describe('Headless rendering', () => {
+    const createBrowser = (content) => {
+      const page = {
+        goto: jest.fn().mockResolvedValue(null),
+        waitForSelector: jest.fn().mockResolvedValue(null),
+        content: jest.fn().mockResolvedValue(content)
+      };
+      const browser = { newPage: jest.fn().mockResolvedValue(page), close: jest.fn().mockResolvedValue() };
+      return { page, browser, launchBrowser: jest.fn().mockResolvedValue(browser) };
+    };
+
+    test('renderHtml should wait for network idle or a selector and close the browser', async () => {
+      const { page, browser, launchBrowser } = createBrowser('<html></html>');
+      
+      await expect(renderHtml('https://example.com/', { launchBrowser })).resolves.toBe('<html></html>');
+      expect(page.goto).toHaveBeenCalledWith('https://example.com/', expect.objectContaining({ waitUntil: 'networkidle0' }));
+      expect(page.waitForSelector).not.toHaveBeenCalled();
+      
+      await renderHtml('page.html', { launchBrowser, waitFor: '.icons svg', renderTimeout: 5000 });
+      expect(page.goto).toHaveBeenLastCalledWith(expect.stringMatching(/^file:\/\/.*page\.html$/), { waitUntil: 'load', timeout: 5000 });
+      expect(page.waitForSelector).toHaveBeenCalledWith('.icons svg', { timeout: 5000 });
+      
+      page.content.mockRejectedValueOnce(new Error('crashed'));
+      await expect(renderHtml('https://example.com/', { launchBrowser })).rejects.toThrow('crashed');
+      expect(browser.close).toHaveBeenCalledTimes(3);
+    });
+
+    test('markSvgOrigins should tell server SVGs from client ones', () => {
+      const server = extractInlineSvgs('<svg class="a"><rect/></svg>\n<svg class="b"><circle/></svg>');
+      const rendered = extractInlineSvgs('<svg class="a"><rect></rect></svg><svg><rect/></svg><svg class="b"><circle/></svg>');
+      const marked = markSvgOrigins(rendered, server);
+      
+      expect(marked.map(svg => svg.origin)).toEqual(['server', 'client', 'server']);
+      expect(marked[2].location.line).toBe(2);
+      expect(marked[1].location).toEqual({ line: null, column: null, startOffset: null, endOffset: null, domPath: 'body > svg:nth-of-type(2)' });
+    });
+
+    test('analyze should analyze the live DOM with render', async () => {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'svg-render-'));
+      const file = path.join(tempDir, 'index.html');
+      fs.writeFileSync(file, '<body><svg class="logo"><rect width="1" height="1"/></svg><div id="app"></div></body>');
+      const { launchBrowser } = createBrowser('<html><head></head><body><svg class="logo"><rect width="1" height="1"/></svg><div id="app"><svg class="icon"><circle r="1"/></svg></div></body></html>');
+      
+      const run = await analyze(file, { render: true, waitFor: '#app svg', launchBrowser });
+      expect(run.svgs.map(svg => svg.origin)).toEqual(['server', 'client']);
+      expect(run.render).toEqual({ waitFor: '#app svg', serverSvgs: 1, clientSvgs: 1 });
+      
+      const report = buildReport(run);
+      expect(report.svgs.map(svg => svg.origin)).toEqual(['server', 'client']);
+      expect(report.render).toEqual(run.render);
+      
+      expect(parseCliArgs(['page.html', '--wait-for', '#app svg'])).toMatchObject({ render: true, waitFor: '#app svg' });
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+  });
+
+  describe('Template and component extraction', () => {
+    test('should convert JSX SVGs to plain markup', () => {
+      const source = [
+        'export const Icon = ({ color, ...props }) => (',
+        '  <svg className="icon" {...props} viewBox="0 0 24 24" strokeWidth={2} fill={color} data-x={"y"}>',
+        '    {/* a comment */}',
+        '    <path d="M0 0h24" strokeLinecap="round" />',
+        '    {props.title && <title>{props.title}</title>}',
+        '  </svg>',
+        ');'
+      ].join('\n');
+      const svgs = extractJsxSvgs(source);
+
+      expect(svgs).toHaveLength(1);
+      expect(svgs[0].attributes.class).toBe('icon');
+      expect(svgs[0].attributes.viewBox).toBe('0 0 24 24');
+      expect(svgs[0].html).toContain('stroke-width="2"');
+      expect(svgs[0].html).toContain('stroke-linecap="round"');
+      expect(svgs[0].html).toContain('data-x="y"');
+      expect(svgs[0].html).not.toContain('fill');
+      expect(svgs[0].html).not.toContain('props');
+      expect(svgs[0].location).toMatchObject({ line: 2, column: 3 });
+      expect(source.slice(svgs[0].location.startOffset, svgs[0].location.endOffset)).toMatch(/^<svg[\s\S]*<\/svg>$/);
+      expect(svgs[0].nested).toBe(false);
+      expect(svgs[0].accessibility).toBeUndefined();
+      expect(extractJsxSvgs(source, { accessibility: true })[0].accessibility).toEqual({ control: null, controlHasText: false, missingReferences: {} });
+    });
+
+    test('should not pick up capitalized Svg components', () => {
+      expect(extractJsxSvgs('const a = <Svg width={2}><Path d="M0 0" /></Svg>;')).toHaveLength(0);
+    });
+
+    test('should mask template syntax without moving offsets', () => {
+      const source = '<svg class="{{ cls }}">\n<?php echo $x; ?><path d="M0 0"/>{% if a %}</svg>';
+      const masked = maskTemplateSyntax(source);
+
+      expect(masked).toHaveLength(source.length);
+      expect(masked.split('\n')).toHaveLength(2);
+      expect(masked).not.toMatch(/\{\{|<\?php|\{%/);
+    });
+
+    test('should extract Vue and Svelte SVGs without template directives', () => {
+      const vue = '<template>\n  <svg :class="cls" @click="go" width="{{ w }}" viewBox="0 0 1 1"><path d="M0 0"/></svg>\n</template>';
+      const [vueSvg] = extractSvgsFromSource(vue, 'Icon.vue');
+      expect(vueSvg.html).toBe('<svg viewBox="0 0 1 1"><path d="M0 0"></path></svg>');
+      expect(vueSvg.attributes.width).toBeNull();
+      expect(vueSvg.location.line).toBe(2);
+
+      const svelte = '<svg fill={color} on:click={go} class:active={on} viewBox="0 0 1 1">{#if x}<path d="M0 0"/>{/if}</svg>';
+      const [svelteSvg] = extractSvgsFromSource(svelte, 'Icon.svelte');
+      expect(svelteSvg.html).not.toMatch(/fill|on:click|class:active|#if/);
+      expect(svelteSvg.attributes.viewBox).toBe('0 0 1 1');
+    });
+  });
+
+  describe('Directory scanning', () => {
+    let tmpDir;
+
+    beforeAll(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'svg-opti-scan-'));
+      const write = (file, content) => {
+        fs.mkdirSync(path.dirname(path.join(tmpDir, file)), { recursive: true });
+        fs.writeFileSync(path.join(tmpDir, file), content);
+      };
+      fs.mkdirSync(path.join(tmpDir, '.git'));
+      write('.gitignore', 'dist/\n*.gen.html\n');
+      write('src/page.html', '<body><svg class="a"><circle r="4"/></svg></body>');
+      write('src/Icon.jsx', 'export default () => <svg className="b"><circle r="4" /></svg>;');
+      write('src/Icon.vue', '<template><svg :class="c"><circle r="4"/></svg></template>');
+      write('src/legacy/old.hbs', '<svg>{{> icon}}</svg>');
+      write('src/styles.css', 'svg { fill: red; }');
+      write('src/page.gen.html', '<svg></svg>');
+      write('src/nested/.gitignore', 'secret.html\n');
+      write('src/nested/secret.html', '<svg></svg>');
+      write('dist/index.html', '<svg></svg>');
+      write('node_modules/pkg/index.html', '<svg></svg>');
+    });
+
+    afterAll(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+    const relative = (files) => files.map(file => path.relative(tmpDir, file).split(path.sep).join('/'));
+
+    test('should walk directories and respect .gitignore files', () => {
+      expect(relative(scanFiles([tmpDir]))).toEqual([
+        'src/Icon.jsx',
+        'src/Icon.vue',
+        'src/legacy/old.hbs',
+        'src/page.html'
+      ]);
+    });
+
+    test('should apply include and exclude globs', () => {
+      const files = scanFiles([tmpDir], { include: ['src/**/*.{vue,jsx}'], exclude: ['**/*.jsx'] });
+
+      expect(relative(files)).toEqual(['src/Icon.vue']);
+    });
+
+    test('should expand glob inputs', () => {
+      const files = scanFiles([`${tmpDir.split(path.sep).join('/')}/src/**/*.{html,hbs}`]);
+
+      expect(relative(files)).toEqual(['src/legacy/old.hbs', 'src/page.html']);
+    });
+
+    test('should scan ignored files when asked to', () => {
+      const files = relative(scanFiles([tmpDir], { respectGitignore: false }));
+
+      expect(files).toContain('dist/index.html');
+      expect(files).toContain('src/nested/secret.html');
+      expect(files).not.toContain('node_modules/pkg/index.html');
+    });
+
+    test('should combine the SVGs of every file with their paths', async () => {
+      const svgs = extractSvgsFromFiles(scanFiles([tmpDir]));
+      const result = await analyzeSvgs(svgs);
+
+      expect(svgs.map(svg => path.basename(svg.location.file)))
+        .toEqual(['Icon.jsx', 'Icon.vue', 'old.hbs', 'page.html']);
+      // The same circle in JSX, Vue and HTML is a duplicate across files
+      expect(Object.values(result.duplicates)).toEqual([[0, 1, 3]]);
+    });
+
+    test('getRunMode should pick a scan for local directories and globs', () => {
+      expect(getRunMode(parseCliArgs([tmpDir]))).toBe('scan');
+      expect(getRunMode(parseCliArgs(['src/**/*.vue']))).toBe('scan');
+      expect(getRunMode(parseCliArgs(['page.html']))).toBe('page');
+      expect(getRunMode(parseCliArgs(['a.html', 'b.html']))).toBe('site');
+      expect(getRunMode(parseCliArgs(['https://example.com/', '--crawl']))).toBe('site');
+    });
+  });
+
+  describe('Icon libraries', () => {
+    const sketchStar = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<!-- Generator: Sketch 52 -->',
+      '<svg width="24px" height="24px" viewBox="0 0 24 24" version="1.1" xmlns="http://www.w3.org/2000/svg">',
+      '    <title>star</title>',
+      '    <path d="M12.000,2.000 L15.000,8.000 L22.000,9.000 Z" fill="#000000"></path>',
+      '</svg>',
+      ''
+    ].join('\n');
+    let tmpDir;
+    let cwd;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'svg-opti-icons-'));
+      fs.mkdirSync(path.join(tmpDir, 'icons', 'nav'), { recursive: true });
+      fs.writeFileSync(path.join(tmpDir, 'icons', 'star.svg'), sketchStar);
+      fs.writeFileSync(path.join(tmpDir, 'icons', 'nav', 'favorite.svg'), sketchStar.replace('Sketch 52', 'Sketch 53'));
+      fs.writeFileSync(path.join(tmpDir, 'icons', 'square.svg'), '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10"><rect width="10" height="10"/></svg>');
+      cwd = process.cwd();
+      process.chdir(tmpDir);
+    });
+
+    afterEach(() => {
+      process.chdir(cwd);
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should treat a whole .svg file as one SVG', () => {
+      const svgs = extractSvgFile('<svg viewBox="0 0 2 2"><svg x="1"><rect/></svg></svg>\n');
+      const [star] = extractSvgFile(sketchStar);
+
+      expect(svgs).toHaveLength(1);
+      expect(star.html).toBe(sketchStar);
+      expect(star.attributes).toMatchObject({ width: '24px', height: '24px', viewBox: '0 0 24 24' });
+      expect(star.location).toEqual({ line: null, column: null, startOffset: 0, endOffset: sketchStar.length, domPath: null });
+      expect(extractSvgFile('<p>not an svg</p>')).toEqual([]);
+    });
+
+    test('should find duplicate icons under different file names', async () => {
+      const run = await analyze('icons');
+
+      expect(run.mode).toBe('scan');
+      expect(run.svgs.map(svg => svg.location.file)).toEqual(['icons/nav/favorite.svg', 'icons/square.svg', 'icons/star.svg']);
+      expect(run.analysis.svgStats[0].originalSize).toBe(Buffer.byteLength(sketchStar));
+      expect(run.duplicates.groups).toHaveLength(1);
+      expect(run.duplicates.groups[0].locations.map(location => location.file)).toEqual(['icons/nav/favorite.svg', 'icons/star.svg']);
+    });
+
+    test('should write optimized copies below the output directory', async () => {
+      const run = await analyze('icons');
+      const log = jest.fn();
+      const written = writeOptimizedSvgFiles(run.svgs, run.analysis, { outDir: 'out', inputs: ['icons'], log });
+
+      expect(written.files.map(file => file.target)).toEqual(['out/nav/favorite.svg', 'out/square.svg', 'out/star.svg']);
+      expect(fs.readFileSync(path.join(tmpDir, 'out', 'star.svg'), 'utf8')).toBe(run.analysis.svgStats[2].optimizedHtml);
+      expect(fs.readFileSync(path.join(tmpDir, 'icons', 'star.svg'), 'utf8')).toBe(sketchStar);
+      expect(log).toHaveBeenCalledWith(expect.stringContaining('Wrote 3 SVG file(s) to out'));
+    });
+
+    test('should not write anything in a dry run, nor over the sources', async () => {
+      const run = await analyze(path.join('icons', 'star.svg'));
+      const written = writeOptimizedSvgFiles(run.svgs, run.analysis, { outDir: 'out', inputs: [path.join('icons', 'star.svg')], dryRun: true, log: () => {} });
+
+      expect(run.mode).toBe('page');
+      expect(written.files).toEqual([expect.objectContaining({ source: 'icons/star.svg', target: 'out/star.svg', optimized: true })]);
+      expect(fs.existsSync(path.join(tmpDir, 'out'))).toBe(false);
+      expect(() => writeOptimizedSvgFiles(run.svgs, run.analysis, { outDir: 'icons', inputs: [path.join('icons', 'star.svg')], log: () => {} }))
+        .toThrow('--out-dir would overwrite icons/star.svg');
+    });
+  });
+
+  describe('Configuration', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'svg-opti-config-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should find a config file in the working directory', () => {
+      expect(loadConfig({ cwd: tmpDir })).toEqual({ source: null });
+
+      fs.writeFileSync(path.join(tmpDir, 'package.json'), JSON.stringify({
+        name: 'site',
+        'svg-opti-detector': { ignore: ['.from-package'] }
+      }));
+      expect(loadConfig({ cwd: tmpDir }).ignore).toEqual(['.from-package']);
+
+      fs.writeFileSync(path.join(tmpDir, 'svg-opti-detector.config.json'), JSON.stringify({ ignore: ['.from-json'] }));
+      expect(loadConfig({ cwd: tmpDir })).toEqual({
+        ignore: ['.from-json'],
+        source: path.join(tmpDir, 'svg-opti-detector.config.json')
+      });
+
+      fs.writeFileSync(path.join(tmpDir, 'svg-opti-detector.config.js'), "module.exports = { ignore: ['.from-js'] };");
+      expect(loadConfig({ cwd: tmpDir }).ignore).toEqual(['.from-js']);
+    });
+
+    test('should load an explicit config path and reject invalid configs', () => {
+      fs.writeFileSync(path.join(tmpDir, 'custom.json'), JSON.stringify({ budgets: { maxSvgBytes: 2048 } }));
+      fs.writeFileSync(path.join(tmpDir, 'typo.json'), JSON.stringify({ budget: {} }));
+
+      expect(loadConfig({ cwd: tmpDir, configPath: 'custom.json' }).budgets).toEqual({ maxSvgBytes: 2048 });
+      expect(() => loadConfig({ cwd: tmpDir, configPath: 'typo.json' })).toThrow('unknown key "budget"');
+      expect(() => loadConfig({ cwd: tmpDir, configPath: 'missing.json' })).toThrow('not found');
+    });
+
+    test('should apply SVGO overrides to the default plugins and preset-default', () => {
+      const config = resolveSvgoConfig({
+        svgo: {
+          multipass: false,
+          overrides: {
+            removeDimensions: false,
+            cleanupIds: false,
+            convertColors: { currentColor: true },
+            prefixIds: { prefix: 'icon' }
+          }
+        }
+      });
+
+      expect(config.multipass).toBe(false);
+      expect(config.plugins).not.toContain('removeDimensions');
+      expect(config.plugins[0]).toEqual({
+        name: 'preset-default',
+        params: { overrides: { cleanupIds: false, convertColors: { currentColor: true } } }
+      });
+      expect(config.plugins).toContainEqual({ name: 'prefixIds', params: { prefix: 'icon' } });
+      expect(resolveSvgoConfig({ svgo: { plugins: ['removeComments'] } }).plugins).toEqual(['removeComments']);
+    });
+
+    test('should keep dimensions when removeDimensions is disabled', async () => {
+      const svgs = [{ html: '<svg width="24" height="24" viewBox="0 0 24 24"><path d="M0 0h24v24H0z"/></svg>' }];
+      const svgoConfig = resolveSvgoConfig({ svgo: { overrides: { removeDimensions: false } } });
+
+      const [defaultResult] = await processSvgBatch(svgs, 0);
+      const [configuredResult] = await processSvgBatch(svgs, 0, { svgoConfig });
+
+      expect(defaultResult.optimizedHtml).not.toContain('width');
+      expect(configuredResult.optimizedHtml).toContain('width="24"');
+    });
+
+    test('should skip SVGs matching ignore selectors', () => {
+      const html = `
+        <svg class="logo"><rect/></svg>
+        <div data-svg-ignore><svg><circle/></svg></div>
+        <svg class="icon"><path/></svg>
+      `;
+
+      const svgs = extractInlineSvgs(html, { ignore: ['.logo', '[data-svg-ignore]'] });
+
+      expect(svgs).toHaveLength(1);
+      expect(svgs[0].attributes.class).toBe('icon');
+    });
+
+    test('should use config options and budgets as CLI defaults', () => {
+      const config = {
+        budgets: { maxSvgBytes: 1024, highSavingsPercent: 30 },
+        options: { showDuplicates: true, format: 'json' }
+      };
+
+      const options = parseCliArgs(['page.html', '--format', 'sarif', '--max-svg-bytes', '2KB'], config);
+
+      expect(options.showDuplicates).toBe(true);
+      expect(options.format).toBe('sarif');
+      expect(options.budgets.maxSvgBytes).toBe(2048);
+      expect(options.budgets.highSavingsPercent).toBe(30);
+      expect(parseCliArgs(['page.html'], config).format).toBe('json');
+    });
+
+    test('should echo the active configuration in reports', () => {
+      const svgs = [{ html: '<svg></svg>', attributes: {} }];
+      const result = { totalOriginalSize: 11, totalOptimizedSize: 11, svgStats: [{ index: 0, originalSize: 11, optimizedSize: 11, hash: 'a', isDuplicate: false }], duplicates: {} };
+      const config = { source: 'svg-opti-detector.config.json', svgo: resolveSvgoConfig(), budgets: DEFAULT_BUDGETS, ignore: ['.logo'] };
+
+      expect(buildJsonReport('page.html', svgs, result, DEFAULT_BUDGETS, { config }).config).toEqual(config);
+      expect(buildSarifReport('page.html', svgs, result, DEFAULT_BUDGETS, { config }).runs[0].properties.config).toEqual(config);
+    });
+  });
+
+  describe('HTML report', () => {
+    const html = [
+      '<svg class="star" width="24" height="24" viewBox="0 0 24 24"><!-- star --><path d="M12 2l3 6h7l-5 5 2 7-7-4-7 4 2-7-5-5h7z"/></svg>',
+      '<svg class="star filled" width="24" height="24" viewBox="0 0 24 24"><!-- star --><path d="M12 2l3 6h7l-5 5 2 7-7-4-7 4 2-7-5-5h7z"/></svg>',
+      '<svg id="x&quot;&lt;/script&gt;"><rect width="1" height="1"/></svg>'
+    ].join('\n');
+
+    test('should show every distinct SVG once, with duplicates grouped', async () => {
+      const svgs = extractInlineSvgs(html);
+      const result = await analyzeSvgs(svgs);
+
+      const report = buildHtmlReport('page.html', svgs, result);
+
+      expect(report.startsWith('<!DOCTYPE html>')).toBe(true);
+      expect(report.match(/<article/g)).toHaveLength(2);
+      expect(report).toContain('<h2>SVG #0, #1 <span class="badge">2× duplicate</span></h2>');
+      expect(report).toContain(`data-savings="${(result.svgStats[0].originalSize - result.svgStats[0].optimizedSize) * 2}"`);
+      expect(report).toContain('Width and height were removed');
+      expect(report).not.toContain('</script>"');
+      expect(report.match(/<\/script>/g)).toHaveLength(1);
+
+      const [, originalUri] = report.match(/alt="Original SVG #0" src="data:image\/svg\+xml;base64,([^"]+)"/);
+      const original = Buffer.from(originalUri, 'base64').toString('utf8');
+      expect(original).toBe(svgs[0].html.replace('<svg', '<svg xmlns="http://www.w3.org/2000/svg"'));
+    });
+
+    test('should warn when the optimization changed the viewBox', () => {
+      const svgs = [{ html: '<svg viewBox="0 0 24 24"><rect width="24" height="1"/></svg>', attributes: {}, location: null }];
+      const result = {
+        totalOriginalSize: 100,
+        totalOptimizedSize: 60,
+        svgStats: [{ index: 0, originalSize: 100, optimizedSize: 60, optimizedHtml: '<svg viewBox="0 0 24 1"><path d="M0 0h24v1H0z"/></svg>', hash: 'a', isDuplicate: false, error: null }],
+        duplicates: {}
+      };
+
+      expect(buildHtmlReport('page.html', svgs, result)).toContain('<div class="warning">⚠ viewBox changed from &quot;0 0 24 24&quot; to &quot;0 0 24 1&quot;</div>');
+    });
+
+    test('should not put terminal colors in the report', async () => {
+      const svgs = extractInlineSvgs('<svg class="logo"><rect width="1" height="1"/></svg><svg class="logo"><rect width="1" height="1"/></svg><svg><circle r="1"/></svg>');
+      const result = await analyzeSvgs(svgs);
+      const level = chalk.level;
+      chalk.level = 3;
+      let report;
+      try {
+        report = buildHtmlReport('page.html', svgs, result);
+      } finally {
+        chalk.level = level;
+      }
+
+      expect(report).not.toContain('\u001b');
+      expect(report).toContain('<li>#0 (class=&quot;logo&quot;)');
+      expect(report).toContain('<div class="attrs">(class=&quot;logo&quot;)</div>');
+      expect(report).toContain('<div class="attrs">no identifying attributes</div>');
+    });
+  });
+
+  describe('Baseline comparison', () => {
+    const reportFor = async (html) => {
+      const svgs = extractInlineSvgs(html);
+      return buildJsonReport('page.html', svgs, await analyzeSvgs(svgs));
+    };
+
+    test('should list new, removed, grown and newly duplicated SVGs', async () => {
+      const baseline = await reportFor([
+        '<svg class="logo"><circle r="5"/></svg>',
+        '<svg id="menu"><rect width="10" height="2"/></svg>',
+        '<svg><path d="M0 0h5"/></svg>',
+        '<svg><path d="M0 0h9"/></svg>'
+      ].join('\n'));
+      const current = await reportFor([
+        '<svg><path d="M0 0h1"/></svg>',
+        '<svg class="logo"><circle r="5"/></svg>',
+        '<svg id="menu"><!-- wider --><rect width="10.25" height="2"/></svg>',
+        '<svg><path d="M0 0h5"/></svg>',
+        '<svg class="copy"><path d="M0 0h1"/></svg>'
+      ].join('\n'));
+
+      const comparison = compareReports(baseline, current);
+
+      expect(comparison.added.map(svg => svg.index)).toEqual([0, 4]);
+      expect(comparison.removed.map(svg => svg.index)).toEqual([3]);
+      expect(comparison.grown).toHaveLength(1);
+      expect(comparison.grown[0]).toMatchObject({
+        baseline: { index: 1, attributes: { id: 'menu' } },
+        current: { index: 2, attributes: { id: 'menu' } }
+      });
+      expect(comparison.grown[0].originalSizeDelta).toBeGreaterThan(0);
+      expect(comparison.newDuplicateGroups.map(group => group.indices)).toEqual([[0, 4]]);
+      expect(comparison.summary).toMatchObject({
+        addedCount: 2,
+        removedCount: 1,
+        grownCount: 1,
+        newDuplicateGroupCount: 1,
+        totalOriginalSizeDelta: current.summary.totalOriginalSize - baseline.summary.totalOriginalSize,
+        unoptimizedSizeDelta: current.summary.totalSavings - baseline.summary.totalSavings
+      });
+    });
+
+    test('should match moved SVGs by content rather than by index', async () => {
+      const icons = ['<svg class="a"><circle r="1"/></svg>', '<svg class="b"><circle r="2"/></svg>'];
+      const comparison = compareReports(await reportFor(icons.join('')), await reportFor([...icons].reverse().join('')));
+
+      expect(comparison.summary).toMatchObject({ addedCount: 0, removedCount: 0, grownCount: 0, totalOriginalSizeDelta: 0 });
+    });
+
+    test('analyze should compare against a saved baseline', async () => {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'svg-opti-baseline-'));
+      const pageFile = path.join(tmpDir, 'index.html');
+      const baselineFile = path.join(tmpDir, 'baseline.json');
+
+      try {
+        fs.writeFileSync(pageFile, '<svg class="logo"><circle r="5"/></svg>');
+        fs.writeFileSync(baselineFile, JSON.stringify(buildReport(await analyze(pageFile))));
+        fs.writeFileSync(pageFile, '<svg class="logo"><circle r="5"/></svg><svg id="new"><rect/></svg>');
+
+        const run = await analyze(pageFile, { baseline: loadBaseline(baselineFile) });
+
+        expect(run.comparison.added.map(svg => svg.attributes.id)).toEqual(['new']);
+        expect(buildReport(run).comparison).toEqual(run.comparison);
+        expect(buildReport(run, 'sarif').runs[0].results.map(result => result.ruleId)).toContain('svg-regression');
+
+        fs.writeFileSync(baselineFile, JSON.stringify({ schemaVersion: 0 }));
+        expect(() => loadBaseline(baselineFile)).toThrow('schema version');
+        
+        // Version 1 hashed the raw markup, so its hashes cannot be compared with today's
+        expect(REPORT_SCHEMA_VERSION).toBe(2);
+        fs.writeFileSync(baselineFile, JSON.stringify({ ...buildReport(run), schemaVersion: 1 }));
+        expect(() => loadBaseline(baselineFile)).toThrow('has report schema version 1, expected 2');
+      } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      }
+    });
+
+    test('parseCliArgs should parse baseline options', () => {
+      expect(parseCliArgs(['--compare', 'base.json', 'page.html', '--save-baseline', 'next.json'])).toMatchObject({
+        input: 'page.html',
+        compare: 'base.json',
+        saveBaseline: 'next.json'
+      });
+    });
+  });
+
+  describe('Watch mode', () => {
+    test('analyzeSvgs should reuse cached results for the same markup', async () => {
+      const cache = new Map();
+      const svgs = extractInlineSvgs('<svg class="a"><circle r="5"/></svg><svg class="b"><circle r="5"/></svg>');
+      const first = await analyzeSvgs(svgs, { cache });
+      
+      expect(cache.size).toBe(1);
+      expect(cache.get(first.svgStats[0].hash).size).toBe(2);
+      
+      cache.get(first.svgStats[0].hash).get(svgs[0].html).optimizedSize = 1;
+      const second = await analyzeSvgs(svgs, { cache });
+      expect(second.svgStats[0].optimizedSize).toBe(1);
+      expect(second.svgStats[1].optimizedSize).toBe(first.svgStats[1].optimizedSize);
+      expect(second.svgStats[1].isDuplicate).toBe(true);
+      expect(first.svgStats[1].isDuplicate).toBe(true);
+    });
+
+    test('extractSvgsFromFiles should not read cached files again', () => {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'svg-watch-'));
+      const file = path.join(tempDir, 'icon.html');
+      fs.writeFileSync(file, '<svg class="a"><circle r="5"/></svg>');
+      const cache = new Map();
+      
+      const svgs = extractSvgsFromFiles([file], { cache });
+      fs.rmSync(file);
+      expect(extractSvgsFromFiles([file], { cache })).toEqual(svgs);
+      expect(cache.get(file)).toEqual(svgs);
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('diffReports should list resized SVGs and duplicate groups that appeared or disappeared', async () => {
+      const reportFor = async (html) => {
+        const svgs = extractInlineSvgs(html);
+        return buildJsonReport('page.html', svgs, await analyzeSvgs(svgs));
+      };
+      const previous = await reportFor([
+        '<svg class="logo"><circle r="5"/></svg>',
+        '<svg id="menu"><!-- wide --><rect width="10.25" height="2"/></svg>',
+        '<svg><path d="M0 0h5"/></svg>',
+        '<svg><path d="M0 0h5"/></svg>'
+      ].join('\n'));
+      const current = await reportFor([
+        '<svg class="logo"><circle r="5"/></svg>',
+        '<svg id="menu"><rect width="10" height="2"/></svg>',
+        '<svg><path d="M0 0h5"/></svg>',
+        '<svg class="a"><rect width="1" height="1"/></svg>',
+        '<svg class="b"><rect width="1" height="1"/></svg>'
+      ].join('\n'));
+      
+      const delta = diffReports(previous, current);
+      expect(delta.resized).toHaveLength(1);
+      expect(delta.resized[0].current.attributes.id).toBe('menu');
+      expect(delta.resized[0].originalSizeDelta).toBeLessThan(0);
+      expect(delta.added.map(svg => svg.index)).toEqual([3, 4]);
+      expect(delta.removed.map(svg => svg.index)).toEqual([3]);
+      expect(delta.newDuplicateGroups.map(group => group.indices)).toEqual([[3, 4]]);
+      expect(delta.removedDuplicateGroups.map(group => group.indices)).toEqual([[2, 3]]);
+      expect(delta.totalOriginalSizeDelta).toBe(current.summary.totalOriginalSize - previous.summary.totalOriginalSize);
+    });
+
+    test('watchInputs should analyze the changed files again and report what changed', async () => {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'svg-watch-'));
+      fs.writeFileSync(path.join(tempDir, 'a.html'), '<svg class="a"><circle r="5"/></svg>');
+      fs.writeFileSync(path.join(tempDir, 'b.html'), '<svg class="b"><rect width="10" height="10"/></svg>');
+      const changes = [];
+      let notify;
+      const onChange = jest.fn(change => {
+        changes.push(change);
+        notify();
+      });
+      const nextChange = () => new Promise(resolve => { notify = resolve; });
+      
+      const watcher = await watchInputs(tempDir, { onChange, onError: error => { throw error; } });
+      try {
+        let changed = nextChange();
+        fs.writeFileSync(path.join(tempDir, 'b.html'), '<svg class="b"><rect width="10" height="10"/></svg><svg class="c"><circle r="5"/></svg>');
+        await changed;
+        
+        expect(changes[0].files).toEqual([path.relative(process.cwd(), path.join(tempDir, 'b.html')).split(path.sep).join('/')]);
+        expect(changes[0].optimizedSvgCount).toBe(1);
+        expect(changes[0].run.svgs).toHaveLength(3);
+        expect(changes[0].delta.added.map(svg => svg.attributes.class)).toEqual(['c']);
+        expect(changes[0].delta.newDuplicateGroups).toHaveLength(1);
+        
+        changed = nextChange();
+        fs.rmSync(path.join(tempDir, 'b.html'));
+        await changed;
+        expect(changes[1].delta.removed.map(svg => svg.attributes.class)).toEqual(['b', 'c']);
+        expect(changes[1].delta.removedDuplicateGroups).toHaveLength(1);
+        expect(changes[1].optimizedSvgCount).toBe(0);
+      } finally {
+        await watcher.close();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+      
+      expect(parseCliArgs(['src', '--watch']).watch).toBe(true);
+    });
+  });
+
+  describe('Standard input and in-memory markup', () => {
+    const page = '<html><body><svg class="a" viewBox="0 0 10 10"><!-- x --><rect width="10" height="10"/></svg></body></html>';
+
+    test('analyze should take markup as a string or Buffer, named by the label', async () => {
+      const fromString = await analyze(null, { html: page });
+      expect(fromString.source).toBe('<html>');
+      expect(fromString.svgs).toHaveLength(1);
+      expect(fromString.svgs[0].location.line).toBe(1);
+      
+      const fromBuffer = await analyze(Buffer.from(page), { label: 'pages/home.html' });
+      expect(fromBuffer.source).toBe('pages/home.html');
+      expect(buildReport(fromBuffer).source).toBe('pages/home.html');
+      expect(fromBuffer.analysis).toEqual(fromString.analysis);
+      
+      const vue = await analyze(null, { html: '<template><svg :class="cls" viewBox="0 0 10 10"><rect width="10" height="10"/></svg></template>', label: 'Icon.vue' });
+      expect(vue.svgs[0].html).not.toContain(':class');
+    });
+
+    test('decodeMarkup should decode Buffers with the charset they declare', () => {
+      const latin1 = Buffer.concat([Buffer.from('<meta charset="iso-8859-1"><svg><title>caf'), Buffer.from([0xe9]), Buffer.from('</title></svg>')]);
+      
+      expect(decodeMarkup(latin1)).toContain('café');
+      expect(decodeMarkup(Buffer.from('\ufeff<svg/>'))).toBe('<svg/>');
+      expect(decodeMarkup('<svg/>')).toBe('<svg/>');
+    });
+
+    test('should read the page from standard input', async () => {
+      const stdin = () => Readable.from([Buffer.from(page.slice(0, 20)), Buffer.from(page.slice(20))]);
+      
+      await expect(fetchHtml('-', { stdin: stdin() })).resolves.toBe(page);
+      const run = await analyze('-', { stdin: stdin() });
+      expect(run.source).toBe('<stdin>');
+      expect(run.svgs).toHaveLength(1);
+      expect(run.html).toBe(page);
+      
+      expect(parseCliArgs(['-', '-d'])).toMatchObject({ input: '-', inputs: ['-'], showDuplicates: true });
+      expect(parseCliArgs(['--stdin', '--label', 'build/index.html'])).toMatchObject({ input: '-', label: 'build/index.html' });
+      expect(() => runRewrite('-', run.html, run.svgs, run.analysis, { optimize: true, log: () => {} }))
+        .toThrow('--fix needs --out <file> when the input is a URL or standard input');
+    })
+    test('should resolve external references of markup in memory', async () => {
+      const icon = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10"><!-- icon --><rect width="10" height="10"/></svg>';
+      const html = '<img src="icons/logo.svg"><img src="/root.svg">';
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'svg-opti-memory-'));
+      fs.mkdirSync(path.join(tmpDir, 'icons'));
+      fs.writeFileSync(path.join(tmpDir, 'icons', 'logo.svg'), icon);
+      
+      try {
+        const fromCwd = await analyze(Buffer.from(html), { external: true });
+        expect(fromCwd.external.resources).toHaveLength(0);
+        expect(fromCwd.external.unresolved.map(reference => reference.url)).toEqual(['/root.svg', 'icons/logo.svg']);
+        
+        const fromLabel = await analyze(Buffer.from(html), { external: true, label: path.join(tmpDir, 'index.html') });
+        expect(fromLabel.external.resources.map(resource => resource.references[0].url)).toEqual(['icons/logo.svg']);
+        
+        const fetchPage = jest.fn().mockResolvedValue(icon);
+        const fromBaseUrl = await analyze(null, { html, external: true, baseUrl: 'https://cdn.example/site/', fetchHtml: fetchPage });
+        expect(fetchPage.mock.calls.map(([url]) => url)).toEqual(['https://cdn.example/site/icons/logo.svg', 'https://cdn.example/root.svg']);
+        expect(fromBaseUrl.external.resources).toHaveLength(2);
+        
+        const nowhere = await analyzeExternalSvgs(html, null);
+        expect(nowhere.unresolved.map(reference => reference.reason)).toEqual([
+          expect.stringContaining('needs --base-url or --label'),
+          expect.stringContaining('needs --base-url or --label')
+        ]);
+      } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('Programmatic API', () => {
+    let tmpDir;
+    let pageFile;
+    const page = [
+      '<html><body>',
+      '<svg class="logo" width="24" height="24"><!-- logo --><circle cx="12" cy="12" r="10"/></svg>',
+      '<svg class="icon"><rect width="10" height="10"/></svg>',
+      '<svg class="icon"><rect width="10" height="10"/></svg>',
+      '<svg><g><cc:work></cc:work></g></svg>',
+      '</body></html>'
+    ].join('\n');
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'svg-opti-api-'));
+      pageFile = path.join(tmpDir, 'index.html');
+      fs.writeFileSync(pageFile, page);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('analyze should resolve to the results without printing anything', async () => {
+      const spies = [
+        jest.spyOn(console, 'log'),
+        jest.spyOn(console, 'warn'),
+        jest.spyOn(console, 'error'),
+        jest.spyOn(process.stdout, 'write'),
+        jest.spyOn(process.stderr, 'write')
+      ];
+
+      const run = await analyze(pageFile);
+
+      spies.forEach(spy => expect(spy).not.toHaveBeenCalled());
+      expect(run.mode).toBe('page');
+      expect(run.source).toBe(pageFile);
+      expect(run.svgs).toHaveLength(4);
+      expect(run.analysis.svgStats[3].error).toContain('cc:work');
+      expect(run.duplicates.duplicateGroupCount).toBe(1);
+      expect(run.breaches).toEqual([]);
+      expect(run.config.source).toBeNull();
+      expect(buildReport(run).summary.totalSvgs).toBe(4);
+      expect(buildReport(run, 'sarif').version).toBe('2.1.0');
+    });
+
+    test('analyze should report through the given logger and progress callback', async () => {
+      const icons = Array.from({ length: 25 }, (_, i) => `<svg><rect width="${i}"/></svg>`).join('');
+      fs.writeFileSync(pageFile, `<html><body>${icons}<svg><cc:work></cc:work></svg></body></html>`);
+      const log = jest.fn();
+      const warn = jest.fn();
+      const onProgress = jest.fn();
+
+      await analyze(pageFile, { log, warn, onProgress });
+
+      expect(log).toHaveBeenCalledWith(expect.stringContaining('Reading local file:'), pageFile);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('Failed to optimize SVG #25'));
+      expect(onProgress.mock.calls.map(([progress]) => progress)).toEqual([
+        { processed: 10, total: 26 },
+        { processed: 20, total: 26 },
+        { processed: 26, total: 26 }
+      ]);
+    });
+
+    test('analyze should apply a configuration and options', async () => {
+      const run = await analyze(pageFile, {
+        config: { ignore: ['.logo'], budgets: { maxDuplicateGroups: 0 } },
+        nearDuplicates: true
+      });
+
+      expect(run.svgs.map(svg => svg.attributes.class)).toEqual(['icon', 'icon', null]);
+      expect(run.budgets.maxDuplicateGroups).toBe(0);
+      expect(run.breaches.map(breach => breach.budget)).toEqual(['maxDuplicateGroups']);
+      expect(run.nearDuplicates).toEqual([]);
+      expect(run.config.ignore).toEqual(['.logo']);
+    });
+
+    test('analyze should treat several inputs as a site', async () => {
+      const otherFile = path.join(tmpDir, 'other.html');
+      fs.writeFileSync(otherFile, '<svg class="icon"><rect width="10" height="10"/></svg>');
+
+      const run = await analyze([pageFile, otherFile], { budgets: { maxSvgBytes: 60 } });
+
+      expect(run.mode).toBe('site');
+      expect(run.pages.map(p => p.input)).toEqual([pageFile, otherFile]);
+      expect(run.site.spriteCandidates).toHaveLength(1);
+      expect(run.breaches[0]).toMatchObject({ budget: 'maxSvgBytes', page: pageFile });
+      expect(buildReport(run).pages).toHaveLength(2);
+    });
+  });
+
   describe('Integration tests with test files', () => {
     test('should process test HTML file', async () => {
       const testFile = path.join(__dirname, 'test-svgs.html');